@@ -29,6 +29,10 @@ export class AnalyticsDashboard {
     console.log(chalk.gray(`  Success rate: ${stats.successRate}%`));
     console.log(chalk.gray(`  Avg time per call: ${stats.avgDuration}ms`));
     console.log(chalk.gray(`  Total tokens: ${stats.totalTokens.toLocaleString()}`));
+    console.log(chalk.gray(`  Estimated cost: $${stats.totalCostUsd.toFixed(4)}`));
+    if (stats.repairedCalls > 0) {
+      console.log(chalk.gray(`  Schema repairs: ${stats.repairAttempts} across ${stats.repairedCalls} calls`));
+    }
 
     // Most invoked prompts
     console.log(chalk.bold('\n🔔 Most Invoked Prompts'));
@@ -90,6 +94,41 @@ export class AnalyticsDashboard {
     console.log('');
   }
 
+  /**
+   * Show estimated spend broken down by run, user, role, prompt and day.
+   * @param {Object} [options]
+   *   - by: string (a single dimension: run | user | role | prompt | model | day)
+   *   - since: string (ISO date)
+   *   - limit: number (rows per table, default 10)
+   */
+  showCost(options = {}) {
+    const dimensions = options.by ? [options.by] : ['run', 'user', 'role', 'prompt', 'day'];
+    const limit = options.limit || 10;
+    const tables = dimensions.map(by => [by, this.analytics.getCostBreakdown(by, { since: options.since })]);
+    const stats = this.analytics.getStats();
+
+    console.log(chalk.bold.cyan('\n💰 ShipMachine Spend\n'));
+    console.log(chalk.gray(`  Total: $${stats.totalCostUsd.toFixed(4)} over ${stats.totalCalls} calls${options.since ? ` (all time; tables since ${options.since})` : ''}`));
+
+    for (const [by, rows] of tables) {
+      console.log(chalk.bold(`\n  By ${by}`));
+      console.log(chalk.gray(`  ${'Key'.padEnd(38)} ${'Calls'.padStart(6)} ${'In'.padStart(10)} ${'Out'.padStart(9)} ${'Cost'.padStart(10)}`));
+      for (const row of rows.slice(0, limit)) {
+        const key = row.key.length > 38 ? `${row.key.slice(0, 35)}...` : row.key;
+        const unpriced = row.unpricedCalls ? chalk.yellow(` (${row.unpricedCalls} unpriced)`) : '';
+        console.log(
+          `  ${key.padEnd(38)} ${String(row.calls).padStart(6)} ${String(row.inputTokens).padStart(10)} ` +
+          `${String(row.outputTokens).padStart(9)} ${`$${row.costUsd.toFixed(4)}`.padStart(10)}${unpriced}`
+        );
+      }
+      if (rows.length > limit) {
+        console.log(chalk.gray(`  … ${rows.length - limit} more`));
+      }
+    }
+
+    console.log('');
+  }
+
   /**
    * Show detailed stats for a specific prompt.
    */
@@ -0,0 +1,59 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { PolicyEngine } from '../control-plane/policy.js';
+import { ApprovalManager, FileQueueApprovalProvider } from '../control-plane/approvals.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const baseDir = path.join(__dirname, '..');
+
+/**
+ * Open the file approval queue configured in config.yaml.
+ * @param {string} [configPath]
+ * @returns {FileQueueApprovalProvider}
+ */
+function openQueue(configPath) {
+  const policy = new PolicyEngine(configPath || path.join(baseDir, 'control-plane', 'config.yaml'));
+  return new FileQueueApprovalProvider(ApprovalManager.queueDir(policy.config.approvals, baseDir));
+}
+
+/**
+ * Handle the approve/deny commands: record a decision on a queued request.
+ * @param {string} id - approval request ID
+ * @param {Object} options - {config, note, by, deny}
+ */
+export function decideApproval(id, options) {
+  const decision = options.deny ? 'denied' : 'approved';
+  try {
+    const entry = openQueue(options.config).resolve(id, decision, { by: options.by, note: options.note });
+    const color = decision === 'approved' ? chalk.green : chalk.red;
+    console.log(color(`\n${decision === 'approved' ? '✓' : '✗'} ${entry.kind} ${entry.subject} ${decision} [${id}]`));
+    console.log(chalk.gray(`  Run ID: ${entry.runId}\n`));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle the approvals command: list queued requests.
+ * @param {Object} options - {config, all}
+ */
+export function listApprovals(options) {
+  const entries = openQueue(options.config).list(options.all ? {} : { status: 'pending' });
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`\nNo ${options.all ? '' : 'pending '}approval requests.\n`));
+    return;
+  }
+
+  console.log(chalk.bold.cyan(`\n⏸  Approval Requests${options.all ? '' : ' (pending)'}\n`));
+  for (const entry of entries) {
+    console.log(`  ${chalk.bold(entry.id)}  ${entry.status}  ${entry.kind} ${entry.subject}`);
+    console.log(chalk.gray(`    ${entry.reason}`));
+    console.log(chalk.gray(`    Run: ${entry.runId}  Requested: ${entry.requestedAt}`));
+  }
+  console.log('');
+}
+
+export default decideApproval;
@@ -0,0 +1,36 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { PolicyEngine } from '../control-plane/policy.js';
+import { AuditLog } from '../control-plane/audit-log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const baseDir = path.join(__dirname, '..');
+
+/**
+ * Handle the audit verify command: check the audit log's hash chain.
+ * Exits 1 when the chain is broken.
+ * @param {Object} options - {config, log}
+ */
+export function verifyAudit(options) {
+  let logPath = options.log ? path.resolve(options.log) : null;
+  if (!logPath) {
+    const policy = new PolicyEngine(options.config || path.join(baseDir, 'control-plane', 'config.yaml'));
+    logPath = policy.governance.auditLogPath();
+  }
+
+  const result = new AuditLog(logPath).verify();
+
+  console.log(chalk.bold.cyan('\n🔏 Audit Log\n'));
+  console.log(chalk.gray(`  Path: ${logPath}`));
+  if (result.ok) {
+    console.log(chalk.green(`  ✓ Chain intact (${result.entries} entries)\n`));
+    return;
+  }
+
+  console.log(chalk.red(`  ✗ Chain broken at line ${result.line}: ${result.reason}`));
+  console.log(chalk.gray(`    ${result.entries} entries verified before the break\n`));
+  process.exit(1);
+}
+
+export default verifyAudit;
@@ -3,6 +3,10 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import { runTask } from './run-task.js';
+import { resumeTask } from './resume.js';
+import { decideApproval, listApprovals } from './approve.js';
+import { verifyAudit } from './audit.js';
+import { listPacks, installPack, validatePacks, testPacks, diffPacks } from './pack.js';
 import { Analytics } from '../promptos-bridge/analytics.js';
 import { PromptOSBridge } from '../promptos-bridge/index.js';
 import { PRTool } from '../tools/pr.js';
@@ -31,8 +35,55 @@ program
   .option('--user <name>', 'User name for analytics', 'anonymous')
   .option('--dry-run', 'Plan without executing changes', false)
   .option('--config <path>', 'Path to custom config.yaml')
+  .option('--parallel <n>', 'Max plan steps to run concurrently (overrides config.yaml)', parseInt)
+  .option('--in-place', 'Edit the checkout directly instead of an isolated git worktree', false)
+  .option('--record <cassette>', 'Record every LLM response to a cassette file')
+  .option('--replay <cassette>', 'Serve LLM responses from a recorded cassette (offline; fails on an unrecorded prompt)')
   .action(runTask);
 
+// ---- resume command ----
+program
+  .command('resume <run-id>')
+  .description('Resume a checkpointed run from its first incomplete phase/step')
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action(resumeTask);
+
+// ---- approval commands ----
+program
+  .command('approvals')
+  .description('List approval requests waiting in the file queue')
+  .option('--all', 'Include decided and expired requests', false)
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action(listApprovals);
+
+program
+  .command('approve <id>')
+  .description('Approve a queued approval request so the blocked run continues')
+  .option('--note <text>', 'Note recorded with the decision')
+  .option('--by <name>', 'Approver recorded with the decision (default: $USER)')
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action((id, options) => decideApproval(id, options));
+
+program
+  .command('deny <id>')
+  .description('Deny a queued approval request')
+  .option('--note <text>', 'Note recorded with the decision')
+  .option('--by <name>', 'Approver recorded with the decision (default: $USER)')
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action((id, options) => decideApproval(id, { ...options, deny: true }));
+
+// ---- audit command ----
+const auditCmd = program
+  .command('audit')
+  .description('Inspect the governance audit log');
+
+auditCmd
+  .command('verify')
+  .description('Check the audit log hash chain for tampering')
+  .option('--log <path>', 'Audit log to verify (default: audit.log_path in governance.yaml)')
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action(verifyAudit);
+
 // ---- doctor command ----
 program
   .command('doctor')
@@ -89,19 +140,32 @@ program
         console.log(chalk.red('  ✗ No prompts found'));
         issues++;
       }
+      for (const { promptId, pack, message } of bridge.registryIssues) {
+        console.log(chalk.yellow(`  ⚠ ${promptId || `pack ${pack}`}: ${message}`));
+        warnings++;
+      }
     } catch (err) {
       console.log(chalk.red(`  ✗ Failed to load prompts: ${err.message}`));
       issues++;
     }
 
-    // Check API key
-    console.log(chalk.gray('Checking API key...'));
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (apiKey) {
-      console.log(chalk.green('  ✓ ANTHROPIC_API_KEY set'));
-    } else {
-      console.log(chalk.yellow('  ⚠ ANTHROPIC_API_KEY not set (will use mock)'));
-      warnings++;
+    // Check LLM providers
+    console.log(chalk.gray('Checking LLM providers...'));
+    try {
+      const bridge = new PromptOSBridge(path.join(__dirname, '..', 'promptos', 'packs'));
+      for (const provider of bridge.llm.describeProviders()) {
+        const models = provider.models.map(m => `${m}*`).join(', ');
+        if (provider.type === 'mock' || provider.available) {
+          console.log(chalk.green(`  ✓ ${provider.name} (${provider.type}) — ${models}`));
+        } else {
+          const keyEnv = bridge.llm.providerConfigs[provider.name].api_key_env;
+          console.log(chalk.yellow(`  ⚠ ${provider.name} (${provider.type}) — ${keyEnv} not set (${models} will use mock)`));
+          warnings++;
+        }
+      }
+    } catch (err) {
+      console.log(chalk.red(`  ✗ ${err.message}`));
+      issues++;
     }
 
     // Check config file
@@ -159,11 +223,21 @@ program
   .description('Show analytics dashboard')
   .option('--prompt <id>', 'Show metrics for a specific prompt')
   .option('--runs', 'Show recent runs')
+  .option('--cost', 'Show estimated spend by run, user, role, prompt and day')
+  .option('--by <dimension>', 'With --cost: a single breakdown (run, user, role, prompt, model, day)')
+  .option('--since <date>', 'With --cost: only events on or after this date (YYYY-MM-DD)')
   .action((options) => {
     const analyticsDir = path.join(__dirname, '..', 'analytics');
     const dashboard = new AnalyticsDashboard(analyticsDir);
 
-    if (options.prompt) {
+    if (options.cost) {
+      try {
+        dashboard.showCost({ by: options.by, since: options.since });
+      } catch (err) {
+        console.error(chalk.red(`Error: ${err.message}`));
+        process.exit(1);
+      }
+    } else if (options.prompt) {
       dashboard.showPrompt(options.prompt);
     } else if (options.runs) {
       dashboard.showRuns();
@@ -179,25 +253,40 @@ const packCmd = program
 
 packCmd
   .command('list')
-  .description('List available prompt packs')
-  .action(() => {
-    const promptosPath = path.join(__dirname, '..', 'promptos', 'packs');
-    const bridge = new PromptOSBridge(promptosPath);
-
-    const prompts = bridge.listPrompts();
-    console.log(chalk.bold.cyan('\n📦 Available Prompts'));
-    prompts.forEach(id => {
-      console.log(chalk.gray(`  ${id}`));
-    });
-    console.log('');
-  });
+  .description('List installed prompt packs and prompt versions')
+  .action(listPacks);
 
 packCmd
-  .command('load <pack-name>')
-  .description('Load a prompt pack into the registry')
-  .action((packName) => {
-    console.log(chalk.yellow(`Loading pack: ${packName} (not implemented — packs are auto-loaded)`));
-  });
+  .command('install <source>')
+  .description('Install a pack from a directory or tarball into promptos/packs (validated first)')
+  .option('--force', 'Install despite validation errors or missing dependencies, replacing the same version', false)
+  .action(installPack);
+
+packCmd
+  .command('load <dir>')
+  .description('Link a local pack directory into promptos/packs (edits apply without reinstalling)')
+  .option('--force', 'Link despite validation errors or missing dependencies, replacing the same version', false)
+  .action((dir, options) => installPack(dir, { ...options, link: true }));
+
+packCmd
+  .command('validate [source]')
+  .description('Lint a pack (directory, tarball or installed name[@range]), or every installed pack')
+  .action(validatePacks);
+
+packCmd
+  .command('test [source]')
+  .description('Run spec examples as offline contract tests against the output schemas')
+  .option('--record <cassette>', 'Send each example to the model and record the responses')
+  .option('--replay <cassette>', 'Check each example against its recorded response (fails if the prompt changed since recording)')
+  .option('--model <model>', 'Model for --record')
+  .option('--few-shot <n>', 'Other examples sent as few-shot turns (default: llm.few_shot_examples with a cassette, else 0)', parseInt)
+  .option('--config <path>', 'Path to custom config.yaml')
+  .action(testPacks);
+
+packCmd
+  .command('diff <from> <to>')
+  .description('Show prompt text and schema changes between two packs (directories, tarballs or name@version)')
+  .action(diffPacks);
 
 // ---- eval command ----
 program
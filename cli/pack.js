@@ -0,0 +1,202 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { PromptOSBridge } from '../promptos-bridge/index.js';
+import { PackManager } from '../promptos-bridge/pack-manager.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const baseDir = path.join(__dirname, '..');
+const packsDir = path.join(baseDir, 'promptos', 'packs');
+
+/**
+ * Handle the pack list command: installed packs and their prompt versions.
+ */
+export function listPacks() {
+  const bridge = new PromptOSBridge(packsDir);
+
+  console.log(chalk.bold.cyan('\n📦 Prompt Packs\n'));
+  for (const pack of bridge.listPacks()) {
+    const status = pack.enabled ? '' : chalk.red(' (not loaded)');
+    console.log(`  ${chalk.bold(pack.name)}@${pack.version}${status} ${chalk.gray(path.relative(baseDir, pack.dir))}`);
+  }
+
+  console.log(chalk.bold.cyan('\n📝 Prompts\n'));
+  for (const id of bridge.listPrompts()) {
+    console.log(chalk.gray(`  ${id} ${bridge.listPromptVersions(id).join(', ')}`));
+  }
+  for (const { promptId, pack, message } of bridge.registryIssues) {
+    console.log(chalk.yellow(`  ⚠ ${promptId || `pack ${pack}`}: ${message}`));
+  }
+  console.log('');
+}
+
+/**
+ * Handle the pack install and pack load commands. install copies a pack
+ * directory or tarball into promptos/packs; load (link) symlinks a local
+ * directory so edits to it take effect without reinstalling.
+ * @param {string} source
+ * @param {Object} options - {force, link}
+ */
+export function installPack(source, options) {
+  try {
+    const manager = new PackManager(packsDir);
+    const result = options.link
+      ? manager.link(source, { force: options.force })
+      : manager.install(source, { force: options.force });
+    const verb = options.link ? 'Linked' : result.replaced ? 'Replaced' : 'Installed';
+    console.log(chalk.green(`\n✓ ${verb} ${result.name}@${result.version}`));
+    console.log(chalk.gray(`  ${path.relative(baseDir, result.dir)}`));
+    printProblems(result.warnings, chalk.yellow, '⚠');
+    console.log('');
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle the pack validate command: lint one pack, or every installed pack.
+ * Exits 1 when any pack has errors.
+ * @param {string} [source] - directory, tarball or installed "name[@range]"
+ */
+export function validatePacks(source) {
+  const manager = new PackManager(packsDir);
+  let failed = 0;
+
+  try {
+    const sources = source ? [source] : manager.list().map(pack => pack.dir);
+    console.log(chalk.bold.cyan('\n🔎 Pack Validation\n'));
+    for (const each of sources) {
+      const result = manager.validate(each);
+      const summary = `${result.name}@${result.version}`;
+      if (result.errors.length === 0) {
+        console.log(chalk.green(`  ✓ ${summary}${result.warnings.length ? chalk.yellow(` (${result.warnings.length} warning(s))`) : ''}`));
+      } else {
+        console.log(chalk.red(`  ✗ ${summary} — ${result.errors.length} error(s)`));
+        failed++;
+      }
+      printProblems(result.errors, chalk.red, '✗');
+      printProblems(result.warnings, chalk.yellow, '⚠');
+    }
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log('');
+  if (failed > 0) process.exit(1);
+}
+
+/**
+ * Handle the pack diff command: prompt text and schema changes between two packs.
+ * @param {string} from - directory, tarball or installed "name@version"
+ * @param {string} to
+ */
+export function diffPacks(from, to) {
+  try {
+    const result = new PackManager(packsDir).diff(from, to);
+    console.log(chalk.bold.cyan(`\n🔀 ${result.from.name}@${result.from.version} → ${result.to.name}@${result.to.version}\n`));
+
+    const changed = result.prompts.filter(prompt => prompt.status !== 'unchanged');
+    if (changed.length === 0) console.log(chalk.gray('  No prompt changes'));
+    for (const prompt of changed) {
+      if (prompt.status === 'added') {
+        console.log(chalk.green(`  + ${prompt.id}@${prompt.toVersion} (added)`));
+        continue;
+      }
+      if (prompt.status === 'removed') {
+        console.log(chalk.red(`  - ${prompt.id}@${prompt.fromVersion} (removed)`));
+        continue;
+      }
+      const versions = prompt.fromVersion === prompt.toVersion ? prompt.toVersion : `${prompt.fromVersion} → ${prompt.toVersion}`;
+      console.log(chalk.bold(`  ~ ${prompt.id} ${versions}`));
+      printHunks('prompt', prompt.prompt);
+      printHunks('inputs / outputs', prompt.schema);
+    }
+    console.log('');
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle the pack test command: run every spec's examples as contract tests
+ * (see PackManager.test). Exits 1 when any example fails.
+ * @param {string} [source] - directory, tarball or installed "name[@range]" (default: every installed pack)
+ * @param {Object} options - {record, replay, model, fewShot, config}
+ */
+export async function testPacks(source, options) {
+  const { record, replay } = options;
+  if (record && replay) {
+    console.error(chalk.red('Error: --record and --replay cannot be used together'));
+    process.exit(1);
+  }
+
+  let failed = 0;
+  try {
+    const manager = new PackManager(packsDir);
+    let llm = null;
+    let fewShot = options.fewShot ?? 0;
+    if (record || replay) {
+      // recorded calls go through config.yaml's providers, as a run's would
+      const bridge = new PromptOSBridge(packsDir, {
+        configPath: options.config,
+        cassette: { mode: record ? 'record' : 'replay', path: path.resolve(record || replay) },
+      });
+      llm = bridge.llm;
+      fewShot = options.fewShot ?? bridge.fewShotExamples;
+    }
+
+    const mode = record ? `recording to ${record}` : replay ? `replaying ${replay}` : 'replaying expected outputs';
+    console.log(chalk.bold.cyan(`\n🧪 Prompt Contract Tests (${mode})\n`));
+    const sources = source ? [source] : manager.list().map(pack => pack.dir);
+    for (const each of sources) {
+      const result = await manager.test(each, { llm, model: options.model, fewShot });
+      const passed = result.results.filter(r => r.passed).length;
+      const color = passed === result.results.length ? chalk.green : chalk.red;
+      console.log(color(`  ${result.name}@${result.version}: ${passed}/${result.results.length} example(s) passed`));
+      for (const { promptId, example, passed: ok, errors } of result.results) {
+        if (ok) continue;
+        failed++;
+        console.log(chalk.red(`    ✗ ${promptId} examples[${example}]`));
+        for (const error of errors) console.log(chalk.gray(`        ${error}`));
+      }
+      if (result.untested.length > 0) {
+        console.log(chalk.yellow(`    ⚠ no examples: ${result.untested.join(', ')}`));
+      }
+    }
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log('');
+  if (failed > 0) process.exit(1);
+}
+
+function printProblems(problems, color, mark) {
+  for (const { promptId, message } of problems) {
+    console.log(color(`    ${mark} ${promptId ? `${promptId}: ` : ''}${message}`));
+  }
+}
+
+/**
+ * Print changed lines with up to 2 lines of context around each.
+ */
+function printHunks(label, lines) {
+  const changed = lines.map((line, i) => (line[0] !== ' ' ? i : -1)).filter(i => i >= 0);
+  if (changed.length === 0) return;
+  console.log(chalk.gray(`    ${label}:`));
+  const shown = new Set(changed.flatMap(i => [i - 2, i - 1, i, i + 1, i + 2]));
+  let last = -1;
+  lines.forEach((line, i) => {
+    if (!shown.has(i)) return;
+    if (last !== -1 && i > last + 1) console.log(chalk.gray('      …'));
+    const color = line[0] === '+' ? chalk.green : line[0] === '-' ? chalk.red : chalk.gray;
+    console.log(color(`      ${line}`));
+    last = i;
+  });
+}
+
+export default installPack;
@@ -0,0 +1,30 @@
+import chalk from 'chalk';
+import { ShipMachine } from '../orchestrator/index.js';
+import { printRunSummary, createProgressReporter } from './run-task.js';
+
+/**
+ * Handle the resume command.
+ * @param {string} runId - run ID of a checkpointed run
+ * @param {Object} options - parsed command options
+ */
+export async function resumeTask(runId, options) {
+  const { config: configPath } = options;
+
+  console.log(chalk.bold.cyan('\n🛠️  ShipMachine ShipMachine — resuming run\n'));
+
+  let shipmachine;
+  try {
+    shipmachine = ShipMachine.resume(runId, {
+      config: configPath ? { configPath } : {},
+      onProgress: createProgressReporter(),
+    });
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const result = await shipmachine.run();
+  printRunSummary(result);
+}
+
+export default resumeTask;
@@ -1,3 +1,4 @@
+import path from 'path';
 import chalk from 'chalk';
 import { ShipMachine } from '../orchestrator/index.js';
 
@@ -6,7 +7,7 @@ import { ShipMachine } from '../orchestrator/index.js';
  * @param {Object} options - parsed command options
  */
 export async function runTask(options) {
-  const { repo, objective, role, dryRun, config: configPath } = options;
+  const { repo, objective, role, user, dryRun, config: configPath, parallel, inPlace, record, replay } = options;
 
   if (!repo) {
     console.error(chalk.red('Error: --repo is required'));
@@ -18,30 +19,92 @@ export async function runTask(options) {
     process.exit(1);
   }
 
+  if (record && replay) {
+    console.error(chalk.red('Error: --record and --replay cannot be used together'));
+    process.exit(1);
+  }
+
   console.log(chalk.bold.cyan('\n🛠️  ShipMachine ShipMachine\n'));
 
   const shipmachine = new ShipMachine({
     repoPath: repo,
     objective,
     agentRole: role || 'engineer',
-    config: configPath ? { configPath: configPath } : {},
+    user: user || null,
+    config: {
+      ...(configPath ? { configPath } : {}),
+      ...(parallel ? { maxParallelSteps: parallel } : {}),
+      ...(inPlace ? { inPlace: true } : {}),
+      ...(record || replay ? { cassette: { mode: record ? 'record' : 'replay', path: path.resolve(record || replay) } } : {}),
+    },
     dryRun: dryRun || false,
+    onProgress: createProgressReporter(),
   });
 
   const result = await shipmachine.run();
+  printRunSummary(result);
+}
+
+/**
+ * Live status line for streaming LLM calls, e.g.
+ *   ⋯ steps ship.patch 412 tok 6.3s · steps ship.tests 88 tok 1.2s
+ * Parallel calls share the line; it is cleared when the last one finishes.
+ * @param {NodeJS.WriteStream} [stream]
+ * @returns {Function|null} ShipMachine onProgress handler (null when stream isn't a TTY)
+ */
+export function createProgressReporter(stream = process.stderr) {
+  if (!stream.isTTY) return null;
+
+  const active = new Map(); // callId → progress
+  let lastRender = 0;
 
+  return progress => {
+    if (progress.done) {
+      active.delete(progress.callId);
+    } else {
+      active.set(progress.callId, progress);
+      // Redraw at most ten times a second
+      if (Date.now() - lastRender < 100) return;
+    }
+    lastRender = Date.now();
+
+    const calls = [...active.values()].map(p =>
+      `${p.phase ? `${p.phase} ` : ''}${p.promptId} ${p.outputTokens} tok ${(p.elapsedMs / 1000).toFixed(1)}s`
+    );
+    // Keep to one row so \r can redraw it
+    const text = calls.length > 0 ? `  ⋯ ${calls.join(' · ')}`.slice(0, (stream.columns || 80) - 1) : '';
+    const line = text ? chalk.gray(text) : '';
+    stream.write(`\r\x1b[K${line}`);
+  };
+}
+
+/**
+ * Print the run summary and exit with the run's status code.
+ * Shared by run-task and resume.
+ * @param {{status: string, runId?: string, bundlePath?: string, branch?: string, reason?: string}} result
+ */
+export function printRunSummary(result) {
   console.log(chalk.bold.cyan('\n📊 Run Summary'));
   console.log(chalk.gray(`  Status: ${result.status}`));
+  if (result.runId) {
+    console.log(chalk.gray(`  Run ID: ${result.runId}`));
+  }
   if (result.bundlePath) {
     console.log(chalk.gray(`  Bundle: ${result.bundlePath}`));
   }
+  if (result.branch) {
+    console.log(chalk.gray(`  Branch: ${result.branch}`));
+  }
   if (result.reason) {
     console.log(chalk.gray(`  Reason: ${result.reason}`));
   }
+  if (result.status === 'escalated') {
+    console.log(chalk.yellow(`  Needs a human — fix the tree, then: shipmachine resume ${result.runId}`));
+  }
 
   if (result.status === 'success') {
     process.exit(0);
-  } else if (result.status === 'aborted' || result.status === 'error') {
+  } else if (['aborted', 'escalated', 'error'].includes(result.status)) {
     process.exit(1);
   }
 }
@@ -0,0 +1,306 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_TIMEOUT_SECONDS = 900;
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Approvals — blocking human approval gates.
+ *
+ * When policy requires approval (a gated prompt, a dangerous command) the
+ * caller asks the ApprovalManager, which waits on a pluggable provider:
+ *
+ *   tty   interactive y/N prompt on the terminal
+ *   file  a JSON request in a queue directory, decided out of band with
+ *         `shipmachine approve <id>` / `shipmachine deny <id>` (for CI)
+ *   auto  tty when stdin is a terminal, otherwise file
+ *
+ * A timeout policy (`approvals.timeout_seconds`, `approvals.on_timeout`)
+ * bounds the wait; on_timeout defaults to deny. Every decision is passed to
+ * onDecision with the run ID so it can be recorded with the run.
+ *
+ * In a dry run nobody is asked: each gate is recorded as
+ * "would-require-approval" and the run continues.
+ */
+
+/**
+ * Interactive terminal prompt.
+ */
+export class TTYApprovalProvider {
+  /**
+   * @param {Object} [options] - {input, output} streams (default: stdin/stdout)
+   */
+  constructor(options = {}) {
+    this.name = 'tty';
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+  }
+
+  /**
+   * @param {Object} request - from ApprovalManager.request()
+   * @param {{signal: AbortSignal}} options - aborted on timeout
+   * @returns {Promise<{decision: string, decidedBy: string, note?: string}>}
+   */
+  decide(request, { signal }) {
+    const rl = readline.createInterface({ input: this.input, output: this.output });
+    signal.addEventListener('abort', () => rl.close(), { once: true });
+
+    this.output.write(
+      `\n⏸  Approval required [${request.id}]\n` +
+      `   Run: ${request.runId}\n` +
+      `   ${request.kind}: ${request.subject}\n` +
+      `   Reason: ${request.reason}\n`
+    );
+
+    return new Promise((resolve) => {
+      rl.question('   Approve? [y/N] ', (answer) => {
+        rl.close();
+        resolve({
+          decision: /^y(es)?$/i.test(answer.trim()) ? 'approved' : 'denied',
+          decidedBy: process.env.USER || 'tty',
+        });
+      });
+    });
+  }
+}
+
+/**
+ * File-based approval queue: one <id>.json per request in queueDir.
+ * The run polls its request file until someone records a decision.
+ */
+export class FileQueueApprovalProvider {
+  /**
+   * @param {string} queueDir
+   * @param {Object} [options] - {pollIntervalMs} (default: 1000)
+   */
+  constructor(queueDir, options = {}) {
+    this.name = 'file';
+    this.queueDir = queueDir;
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+  }
+
+  async decide(request, { signal }) {
+    this._write({ ...request, status: 'pending' });
+    console.log(`\n⏸  Approval required [${request.id}] — ${request.kind} ${request.subject}: ${request.reason}`);
+    console.log(`   Waiting for: shipmachine approve ${request.id}  (or: shipmachine deny ${request.id})`);
+
+    while (!signal.aborted) {
+      const entry = this.get(request.id);
+      if (entry && entry.status !== 'pending') {
+        return { decision: entry.status, decidedBy: entry.decidedBy || 'file', note: entry.note };
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    // Timed out — mark the request so a late `approve` is refused
+    const entry = this.get(request.id);
+    if (entry?.status === 'pending') {
+      this._write({ ...entry, status: 'expired', decidedAt: new Date().toISOString() });
+    }
+    return { decision: 'expired', decidedBy: 'timeout' };
+  }
+
+  /**
+   * Read a queued request.
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._path(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List queued requests, oldest first.
+   * @param {Object} [options] - {status} filter (e.g. 'pending')
+   * @returns {Object[]}
+   */
+  list(options = {}) {
+    if (!fs.existsSync(this.queueDir)) return [];
+    return fs.readdirSync(this.queueDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => this.get(path.basename(f, '.json')))
+      .filter(entry => entry && (!options.status || entry.status === options.status))
+      .sort((a, b) => (a.requestedAt || '').localeCompare(b.requestedAt || ''));
+  }
+
+  /**
+   * Record a decision on a pending request.
+   * @param {string} id
+   * @param {'approved'|'denied'} decision
+   * @param {Object} [options] - {by, note}
+   * @returns {Object} updated entry
+   */
+  resolve(id, decision, options = {}) {
+    if (!['approved', 'denied'].includes(decision)) {
+      throw new Error(`Approvals: invalid decision "${decision}"`);
+    }
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error(`Approvals: no approval request "${id}" in ${this.queueDir}`);
+    }
+    if (entry.status !== 'pending') {
+      throw new Error(`Approvals: request "${id}" is already ${entry.status}`);
+    }
+
+    const updated = {
+      ...entry,
+      status: decision,
+      decidedBy: options.by || process.env.USER || 'cli',
+      decidedAt: new Date().toISOString(),
+      ...(options.note ? { note: options.note } : {}),
+    };
+    this._write(updated);
+    return updated;
+  }
+
+  _path(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Approvals: invalid approval ID "${id}"`);
+    }
+    return path.join(this.queueDir, `${id}.json`);
+  }
+
+  _write(entry) {
+    fs.mkdirSync(this.queueDir, { recursive: true });
+    const filePath = this._path(entry.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+export class ApprovalManager {
+  /**
+   * @param {Object} provider - {name, decide(request, {signal})}
+   * @param {Object} [options]
+   *   - timeoutMs: number (0 waits forever; default: 15 minutes)
+   *   - onTimeout: 'deny'|'approve' (default: 'deny')
+   *   - onDecision: (record) => void (called for every decision)
+   *   - dryRun: boolean (record gates without asking or waiting)
+   */
+  constructor(provider, options = {}) {
+    if (options.onTimeout && !['deny', 'approve'].includes(options.onTimeout)) {
+      throw new Error(`Approvals: on_timeout must be "deny" or "approve", got "${options.onTimeout}"`);
+    }
+    this.provider = provider;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_SECONDS * 1000;
+    this.onTimeout = options.onTimeout || 'deny';
+    this.onDecision = options.onDecision || null;
+    this.dryRun = options.dryRun || false;
+  }
+
+  /**
+   * Build a manager from the `approvals` section of config.yaml.
+   * @param {Object} [approvalsConfig] - {provider, queue_dir, timeout_seconds, on_timeout, poll_interval_ms}
+   * @param {Object} [options] - {baseDir, onDecision, dryRun}
+   * @returns {ApprovalManager}
+   */
+  static fromConfig(approvalsConfig = {}, options = {}) {
+    const mode = approvalsConfig.provider || 'auto';
+    let provider;
+    if (mode === 'tty' || (mode === 'auto' && process.stdin.isTTY && !process.env.CI)) {
+      provider = new TTYApprovalProvider();
+    } else if (mode === 'file' || mode === 'auto') {
+      provider = new FileQueueApprovalProvider(ApprovalManager.queueDir(approvalsConfig, options.baseDir), {
+        pollIntervalMs: approvalsConfig.poll_interval_ms,
+      });
+    } else {
+      throw new Error(`Approvals: unknown provider "${mode}" (expected tty, file or auto)`);
+    }
+
+    return new ApprovalManager(provider, {
+      timeoutMs: (approvalsConfig.timeout_seconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000,
+      onTimeout: approvalsConfig.on_timeout,
+      onDecision: options.onDecision,
+      dryRun: options.dryRun,
+    });
+  }
+
+  /**
+   * Resolve the file queue directory (relative paths are under baseDir).
+   * @returns {string}
+   */
+  static queueDir(approvalsConfig = {}, baseDir = process.cwd()) {
+    return path.resolve(baseDir, approvalsConfig.queue_dir || 'approvals');
+  }
+
+  /**
+   * Block until the request is decided or the timeout policy applies.
+   *
+   * @param {Object} params
+   *   - runId: string
+   *   - kind: 'prompt'|'prompt-output'|'command'
+   *   - subject: string (prompt ID or command line)
+   *   - reason: string
+   *   - details?: Object (extra context shown to the approver)
+   * @returns {Promise<Object>} decision record ({id, runId, kind, subject, reason,
+   *   provider, decision, approved, timedOut, decidedBy, requestedAt, decidedAt, note?,
+   *   dryRun?}) — in a dry run, decision is "would-require-approval" and approved is true
+   */
+  async request({ runId, kind, subject, reason, details }) {
+    const request = {
+      id: `${(runId || 'run').slice(0, 8)}-${uuidv4().slice(0, 8)}`,
+      runId: runId || null,
+      kind,
+      subject,
+      reason,
+      ...(details ? { details } : {}),
+      requestedAt: new Date().toISOString(),
+    };
+
+    if (this.dryRun) {
+      const record = {
+        ...request,
+        provider: 'dry-run',
+        decision: 'would-require-approval',
+        approved: true,
+        timedOut: false,
+        decidedBy: 'dry run',
+        decidedAt: request.requestedAt,
+        dryRun: true,
+      };
+      if (this.onDecision) this.onDecision(record);
+      return record;
+    }
+
+    const controller = new AbortController();
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      if (this.timeoutMs > 0) {
+        timer = setTimeout(() => resolve({ decision: 'expired', decidedBy: 'timeout' }), this.timeoutMs);
+      }
+    });
+
+    let result;
+    try {
+      result = await Promise.race([this.provider.decide(request, { signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+
+    const timedOut = result.decision === 'expired';
+    const approved = timedOut ? this.onTimeout === 'approve' : result.decision === 'approved';
+    const record = {
+      ...request,
+      provider: this.provider.name,
+      decision: approved ? 'approved' : 'denied',
+      approved,
+      timedOut,
+      decidedBy: timedOut ? `timeout policy (${this.onTimeout})` : result.decidedBy,
+      decidedAt: new Date().toISOString(),
+      ...(result.note ? { note: result.note } : {}),
+    };
+
+    if (this.onDecision) this.onDecision(record);
+    return record;
+  }
+}
+
+export default ApprovalManager;
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Bytes read from the end of the log to find the previous entry
+const TAIL_BYTES = 64 * 1024;
+
+/**
+ * AuditLog — append-only, hash-chained JSONL log of governance decisions.
+ *
+ * Each entry carries the configured fields plus:
+ *
+ *   seq        1-based position in the chain
+ *   prev_hash  hash of the previous entry (GENESIS_HASH for the first)
+ *   hash       sha256 of the entry's canonical JSON (sorted keys, without `hash`)
+ *
+ * Editing, deleting, inserting or reordering entries breaks the chain,
+ * which verify() reports with the first bad line. The previous hash is
+ * read back from the file on every append, so several writers in one
+ * process (the bridge's PolicyEngine and the tools') extend the same chain.
+ */
+export class AuditLog {
+  /**
+   * @param {string} logPath - absolute path of the .jsonl log
+   * @param {Object} [options]
+   *   - fields: string[] (fields kept from each record; default: all)
+   */
+  constructor(logPath, options = {}) {
+    this.logPath = logPath;
+    this.fields = options.fields || null;
+  }
+
+  /**
+   * Append a record to the chain.
+   * @param {Object} record
+   * @returns {Object} the written entry
+   */
+  append(record) {
+    const full = { timestamp: new Date().toISOString(), ...record };
+    const fields = this.fields || Object.keys(full);
+    const entry = Object.fromEntries(
+      fields.filter(f => !['seq', 'prev_hash', 'hash'].includes(f)).map(f => [f, full[f] ?? null])
+    );
+
+    const last = this._lastEntry();
+    entry.seq = (last?.seq || 0) + 1;
+    entry.prev_hash = last?.hash || GENESIS_HASH;
+    entry.hash = AuditLog.hashEntry(entry);
+
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n', 'utf8');
+    return entry;
+  }
+
+  /**
+   * Check every entry's hash and link to its predecessor.
+   * @returns {{ok: boolean, entries: number, line?: number, reason?: string}}
+   */
+  verify() {
+    if (!fs.existsSync(this.logPath)) {
+      return { ok: true, entries: 0 };
+    }
+
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+    let prevHash = GENESIS_HASH;
+    let entries = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      const fail = reason => ({ ok: false, entries, line: i + 1, reason });
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        return fail('not valid JSON');
+      }
+      if (typeof entry.hash !== 'string') return fail('entry has no hash');
+      if (entry.seq !== entries + 1) return fail(`expected seq ${entries + 1}, found ${entry.seq}`);
+      if (entry.prev_hash !== prevHash) return fail('prev_hash does not match the previous entry');
+      if (AuditLog.hashEntry(entry) !== entry.hash) return fail('hash does not match the entry contents');
+
+      prevHash = entry.hash;
+      entries++;
+    }
+    return { ok: true, entries };
+  }
+
+  /**
+   * Hash an entry (its `hash` field is ignored).
+   * @param {Object} entry
+   * @returns {string} hex sha256
+   */
+  static hashEntry(entry) {
+    const { hash, ...rest } = entry;
+    return crypto.createHash('sha256').update(AuditLog._canonical(rest)).digest('hex');
+  }
+
+  /**
+   * JSON with object keys sorted, so the hash doesn't depend on key order.
+   */
+  static _canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(v => AuditLog._canonical(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(k => value[k] !== undefined)
+        .map(k => `${JSON.stringify(k)}:${AuditLog._canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  _lastEntry() {
+    if (!fs.existsSync(this.logPath)) return null;
+
+    const fd = fs.openSync(this.logPath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+      const lastLine = buffer.toString('utf8').split('\n').filter(l => l.trim()).pop();
+      return lastLine ? JSON.parse(lastLine) : null;
+    } catch {
+      throw new Error(`AuditLog: cannot read the last entry of ${this.logPath}; run \`shipmachine audit verify\``);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,336 @@
+/**
+ * Condition — the sandboxed expression language used by governance rules
+ * (approval_required[].condition). Conditions are parsed once, when the
+ * governance config loads, and evaluated against plain data; nothing in a
+ * config file is ever executed as code.
+ *
+ *   context.target_env == 'prod'
+ *   output.risk_level in ['high', 'critical'] and not context.approved
+ *   inputs.files.length > 10 || context['target_env'] != "dev"
+ *
+ * Grammar (lowest to highest precedence):
+ *
+ *   or          and ( ('||' | 'or') and )*
+ *   and         not ( ('&&' | 'and') not )*
+ *   not         ('!' | 'not') not | comparison
+ *   comparison  value ( ('==' | '!=' | '<' | '<=' | '>' | '>=' | 'in' | 'not in') value )?
+ *   value       literal | list | path | '(' or ')'
+ *   path        root ( '.' name | '[' string | number ']' )*   root: context | inputs | output
+ *   literal     'str' | "str" | number | true | false | null
+ *
+ * Equality is strict (no type coercion; `===`/`!==` are accepted as
+ * aliases). Ordering only compares two numbers or two strings, otherwise
+ * it is false. `x in y` tests list membership, substring, or an object key.
+ * A path that doesn't exist evaluates to null.
+ */
+
+export const CONDITION_ROOTS = ['context', 'inputs', 'output'];
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const COMPARISON_OPS = new Set(['==', '!=', '<', '<=', '>', '>=', 'in', 'not in']);
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+export class Condition {
+  /**
+   * @param {string} source - condition expression
+   * @throws {Error} "Condition: ..." with the offending position on a syntax error
+   */
+  constructor(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error('Condition: expression must be a non-empty string');
+    }
+    this.source = source;
+    this.tokens = this._tokenize(source);
+    this.pos = 0;
+    this.roots = new Set();
+    this.ast = this._parseOr();
+    if (this._peek().type !== 'eof') {
+      this._fail(`unexpected ${this._describe(this._peek())}`);
+    }
+    delete this.tokens;
+    delete this.pos;
+  }
+
+  /**
+   * Whether the condition reads a given root (e.g. 'output').
+   * @param {string} root
+   * @returns {boolean}
+   */
+  uses(root) {
+    return this.roots.has(root);
+  }
+
+  /**
+   * Evaluate the condition against a scope.
+   * @param {Object} scope - {context, inputs, output}
+   * @returns {boolean}
+   */
+  evaluate(scope = {}) {
+    return Boolean(this._eval(this.ast, scope));
+  }
+
+  // ─── Tokenizer ─────────────────────────────────────────────────────────────
+
+  _tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (/\s/.test(ch)) { i++; continue; }
+
+      if (ch === '"' || ch === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < src.length && src[j] !== ch) {
+          if (src[j] === '\\' && j + 1 < src.length) j++;
+          value += src[j++];
+        }
+        if (j >= src.length) this._fail('unterminated string', i);
+        tokens.push({ type: 'string', value, at: i });
+        i = j + 1;
+        continue;
+      }
+
+      const num = /^\d+(?:\.\d+)?/.exec(src.slice(i));
+      if (num) {
+        tokens.push({ type: 'number', value: Number(num[0]), at: i });
+        i += num[0].length;
+        continue;
+      }
+
+      const word = /^[A-Za-z_$][\w$]*/.exec(src.slice(i));
+      if (word) {
+        tokens.push({ type: KEYWORDS.has(word[0]) ? word[0] : 'name', value: word[0], at: i });
+        i += word[0].length;
+        continue;
+      }
+
+      const op = /^(?:===|!==|==|!=|<=|>=|&&|\|\||[<>!().[\],])/.exec(src.slice(i));
+      if (op) {
+        const value = op[0] === '===' ? '==' : op[0] === '!==' ? '!=' : op[0];
+        tokens.push({ type: value, value, at: i });
+        i += op[0].length;
+        continue;
+      }
+
+      this._fail(`unexpected character '${ch}'`, i);
+    }
+    tokens.push({ type: 'eof', at: src.length });
+    return tokens;
+  }
+
+  // ─── Parser ────────────────────────────────────────────────────────────────
+
+  _parseOr() {
+    let left = this._parseAnd();
+    while (this._accept('||') || this._accept('or')) {
+      left = { type: 'or', left, right: this._parseAnd() };
+    }
+    return left;
+  }
+
+  _parseAnd() {
+    let left = this._parseNot();
+    while (this._accept('&&') || this._accept('and')) {
+      left = { type: 'and', left, right: this._parseNot() };
+    }
+    return left;
+  }
+
+  _parseNot() {
+    if (this._accept('!') || this._accept('not')) {
+      return { type: 'not', operand: this._parseNot() };
+    }
+    return this._parseComparison();
+  }
+
+  _parseComparison() {
+    const left = this._parseValue();
+    let op = null;
+    if (this._peek().type === 'not' && this.tokens[this.pos + 1]?.type === 'in') {
+      this.pos += 2;
+      op = 'not in';
+    } else if (COMPARISON_OPS.has(this._peek().type)) {
+      op = this._next().type;
+    }
+    if (!op) return left;
+
+    const right = this._parseValue();
+    if (COMPARISON_OPS.has(this._peek().type)) {
+      this._fail(`comparisons can't be chained; use 'and' or parentheses`);
+    }
+    return { type: 'compare', op, left, right };
+  }
+
+  _parseValue() {
+    const token = this._next();
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'true':
+      case 'false':
+        return { type: 'literal', value: token.type === 'true' };
+      case 'null':
+        return { type: 'literal', value: null };
+      case '(': {
+        const expr = this._parseOr();
+        this._expect(')');
+        return expr;
+      }
+      case '[': {
+        const items = [];
+        if (!this._accept(']')) {
+          do { items.push(this._parseValue()); } while (this._accept(','));
+          this._expect(']');
+        }
+        return { type: 'list', items };
+      }
+      case 'name':
+        return this._parsePath(token);
+      default:
+        return this._fail(`expected a value but found ${this._describe(token)}`, token.at);
+    }
+  }
+
+  _parsePath(rootToken) {
+    if (!CONDITION_ROOTS.includes(rootToken.value)) {
+      this._fail(`unknown name '${rootToken.value}' (paths start with ${CONDITION_ROOTS.join(', ')})`, rootToken.at);
+    }
+    this.roots.add(rootToken.value);
+
+    const keys = [];
+    for (;;) {
+      if (this._accept('.')) {
+        const name = this._next();
+        if (name.type !== 'name' && !KEYWORDS.has(name.type)) {
+          this._fail(`expected a field name after '.' but found ${this._describe(name)}`, name.at);
+        }
+        this._checkKey(name.value, name.at);
+        keys.push(name.value);
+      } else if (this._accept('[')) {
+        const key = this._next();
+        if (key.type !== 'string' && key.type !== 'number') {
+          this._fail(`expected a string or number index but found ${this._describe(key)}`, key.at);
+        }
+        this._checkKey(key.value, key.at);
+        this._expect(']');
+        keys.push(key.value);
+      } else {
+        break;
+      }
+    }
+    return { type: 'path', root: rootToken.value, keys };
+  }
+
+  _checkKey(key, at) {
+    if (FORBIDDEN_KEYS.has(key)) this._fail(`field '${key}' is not accessible`, at);
+  }
+
+  _peek() {
+    return this.tokens[this.pos];
+  }
+
+  _next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  _accept(type) {
+    if (this._peek().type !== type) return false;
+    this.pos++;
+    return true;
+  }
+
+  _expect(type) {
+    if (!this._accept(type)) {
+      this._fail(`expected '${type}' but found ${this._describe(this._peek())}`);
+    }
+  }
+
+  _describe(token) {
+    if (token.type === 'eof') return 'end of expression';
+    if (token.type === 'string') return `string '${token.value}'`;
+    return `'${token.value}'`;
+  }
+
+  _fail(message, at = this._peek()?.at ?? 0) {
+    throw new Error(`Condition: ${message} at position ${at + 1} in "${this.source}"`);
+  }
+
+  // ─── Evaluator ─────────────────────────────────────────────────────────────
+
+  _eval(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'list':
+        return node.items.map(item => this._eval(item, scope));
+      case 'path':
+        return this._resolve(scope[node.root], node.keys);
+      case 'not':
+        return !this._eval(node.operand, scope);
+      case 'and':
+        return Boolean(this._eval(node.left, scope)) && Boolean(this._eval(node.right, scope));
+      case 'or':
+        return Boolean(this._eval(node.left, scope)) || Boolean(this._eval(node.right, scope));
+      case 'compare':
+        return this._compare(node.op, this._eval(node.left, scope), this._eval(node.right, scope));
+      default:
+        throw new Error(`Condition: unknown node type "${node.type}"`);
+    }
+  }
+
+  _resolve(value, keys) {
+    let current = value ?? null;
+    for (const key of keys) {
+      if (current === null || typeof current !== 'object' && typeof current !== 'string') return null;
+      if (key === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+        current = current.length;
+      } else if (Object.prototype.hasOwnProperty.call(current, key)) {
+        current = current[key] ?? null;
+      } else {
+        return null;
+      }
+    }
+    return current;
+  }
+
+  _compare(op, left, right) {
+    switch (op) {
+      case '==': return this._equal(left, right);
+      case '!=': return !this._equal(left, right);
+      case 'in': return this._contains(right, left);
+      case 'not in': return !this._contains(right, left);
+    }
+    const comparable = (typeof left === 'number' && typeof right === 'number')
+      || (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return false;
+    switch (op) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+    }
+    return false;
+  }
+
+  _equal(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, i) => this._equal(item, b[i]));
+    }
+    return a === b;
+  }
+
+  _contains(haystack, needle) {
+    if (Array.isArray(haystack)) return haystack.some(item => this._equal(item, needle));
+    if (typeof haystack === 'string') return typeof needle === 'string' && haystack.includes(needle);
+    if (haystack && typeof haystack === 'object') {
+      return typeof needle === 'string' && Object.prototype.hasOwnProperty.call(haystack, needle);
+    }
+    return false;
+  }
+}
+
+export default Condition;
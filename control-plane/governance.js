@@ -2,127 +2,178 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
+import { Condition } from './conditions.js';
+import { AuditLog } from './audit-log.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * GovernanceEngine — enterprise policy enforcement layer.
- * Handles data classification, model allowlists, approval gates, and PII redaction.
+ * Handles data classification, model allowlists, approval gates, PII
+ * redaction and the audit log, driven entirely by the `governance`
+ * section of governance.yaml:
+ *
+ *   data_classes       listed from least to most sensitive; each may have
+ *                      detect_patterns (used to classify text), redact_patterns,
+ *                      allowed_roles, requires_redaction and blocked
+ *   model_allowlist    role → model IDs (prefix match)
+ *   approval_required  [{prompt_id, condition, reason}] — condition is
+ *                      "always" or a Condition expression (conditions.js) over
+ *                      `context`/`inputs`, or over `output` for rules checked
+ *                      after the LLM call
+ *   audit              {enabled, log_path, log_fields} — hash-chained
+ *                      log (audit-log.js) of bridge and tool decisions
+ *
+ * PolicyEngine owns one GovernanceEngine and delegates its governance
+ * methods to it, so the bridge and the tools share a single implementation.
+ *
+ * A pattern is a regex string (case-insensitive) or
+ * {pattern, type?, case_sensitive?}; redactions are replaced with
+ * [REDACTED:<TYPE>], or [REDACTED] when the pattern has no type.
  */
 export class GovernanceEngine {
-  constructor(configPath = null) {
-    const cfgPath = configPath || path.join(__dirname, 'governance.yaml');
-    const raw = fs.readFileSync(cfgPath, 'utf8');
-    const config = yaml.load(raw);
-    this.governance = config.governance;
+  /**
+   * @param {string|Object} [source] - path to a governance YAML file, or the
+   *   `governance` object itself (default: control-plane/governance.yaml)
+   * @param {Object} [options]
+   *   - baseDir: string (resolves audit.log_path; default: project root)
+   */
+  constructor(source = null, options = {}) {
+    if (source && typeof source === 'object') {
+      this.governance = source;
+    } else {
+      const cfgPath = source || path.join(__dirname, 'governance.yaml');
+      try {
+        this.governance = yaml.load(fs.readFileSync(cfgPath, 'utf8'))?.governance || {};
+      } catch (err) {
+        throw new Error(`GovernanceEngine: failed to load ${cfgPath}: ${err.message}`);
+      }
+    }
+
+    this.baseDir = options.baseDir || path.join(__dirname, '..');
+    this.auditContext = {};
+    this.dataClasses = (this.governance.data_classes || []).map(dc => ({
+      ...dc,
+      detectors: this._compile(dc.detect_patterns, dc.name),
+      redactors: this._compile(dc.redact_patterns, dc.name),
+    }));
+    this.approvalRules = (this.governance.approval_required || []).map(rule =>
+      // Bare prompt IDs (older config.yaml format) always require approval
+      this._compileRule(typeof rule === 'string'
+        ? { prompt_id: rule, condition: 'always', reason: `Prompt '${rule}' requires approval` }
+        : rule)
+    );
+
+    const audit = this.governance.audit;
+    this.auditLog = audit?.enabled
+      ? new AuditLog(this.auditLogPath(), { fields: audit.log_fields })
+      : null;
   }
 
   /**
    * Check if a role is allowed to access a data class.
    * @param {string} role
-   * @param {string} dataClass - public | internal | pii | secrets
-   * @returns {{allowed: boolean, requiresRedaction: boolean, reason?: string}}
+   * @param {string} dataClass - e.g. public | internal | pii | secrets
+   * @returns {{allowed: boolean, requiresRedaction?: boolean, blocked?: boolean, unknown?: boolean, reason?: string}}
    */
   checkDataClass(role, dataClass) {
-    const cls = this.governance.data_classes.find(c => c.name === dataClass);
+    const cls = this.dataClasses.find(c => c.name === dataClass);
     if (!cls) {
-      return { allowed: true, requiresRedaction: false }; // unknown class → allow
+      return { allowed: true, unknown: true };
     }
     if (cls.blocked) {
-      return { allowed: false, requiresRedaction: false, reason: `Data class "${dataClass}" is blocked for all roles` };
+      return { allowed: false, blocked: true, reason: `Data class "${dataClass}" is blocked for all roles` };
     }
-    const allowed = cls.allowed_roles.includes(role);
-    return {
-      allowed,
-      requiresRedaction: allowed && !!cls.requires_redaction,
-      reason: allowed ? null : `Role "${role}" not permitted to access "${dataClass}" data`,
-    };
+    if (!(cls.allowed_roles || []).includes(role)) {
+      return { allowed: false, reason: `Role "${role}" not permitted to access "${dataClass}" data` };
+    }
+    return { allowed: true, requiresRedaction: cls.requires_redaction === true };
   }
 
   /**
    * Check if a model is allowed for a role.
+   * Prefix matching either way ('claude-sonnet-4-6' matches 'claude-sonnet').
    * @param {string} role
    * @param {string} model
    * @returns {boolean}
    */
   checkModelAllowed(role, model) {
-    const allowedModels = this.governance.model_allowlist[role];
-    if (!allowedModels) return false;
-    return allowedModels.some(m => model.includes(m) || m.includes(model));
+    const allowedModels = this.governance.model_allowlist?.[role];
+    if (!allowedModels || allowedModels.length === 0) return false;
+    return allowedModels.some(m => m && (model === m || model.startsWith(m) || m.startsWith(model)));
   }
 
   /**
-   * Check if a prompt requires human approval given context.
+   * Check if a prompt requires human approval before it runs.
+   * Rules whose condition reads `output` can only be decided once the
+   * output exists; see requiresOutputApproval.
    * @param {string} promptId
-   * @param {Object} context - { target_env, output, etc. }
+   * @param {Object} context - { target_env, ... }
+   * @param {Object} [inputs]
    * @returns {{required: boolean, reason?: string}}
    */
-  requiresApproval(promptId, context = {}) {
-    const rules = this.governance.approval_required || [];
-    for (const rule of rules) {
-      if (rule.prompt_id !== promptId) continue;
-      if (rule.condition === 'always') {
-        return { required: true, reason: rule.reason };
-      }
-      // Simple condition evaluation
-      try {
-        const condFn = new Function('context', `return ${rule.condition};`);
-        if (condFn(context)) {
-          return { required: true, reason: rule.reason };
-        }
-      } catch {
-        // If condition eval fails, default to requiring approval (safe default)
-        return { required: true, reason: `Condition eval failed, defaulting to approval required: ${rule.reason}` };
-      }
-    }
-    return { required: false };
+  requiresApproval(promptId, context = {}, inputs = {}) {
+    return this._matchRules(promptId, false, { context, inputs, output: null });
+  }
+
+  /**
+   * Check if a prompt's output requires human approval before it is used,
+   * evaluating only the rules whose condition reads `output`.
+   * @param {string} promptId
+   * @param {*} output - parsed LLM output
+   * @param {Object} [context]
+   * @param {Object} [inputs]
+   * @returns {{required: boolean, reason?: string}}
+   */
+  requiresOutputApproval(promptId, output, context = {}, inputs = {}) {
+    return this._matchRules(promptId, true, { context, inputs, output });
   }
 
   /**
-   * Redact sensitive patterns from text based on data class rules.
+   * Redact sensitive patterns from text using the data class's redact_patterns.
+   * Blocked classes are redacted entirely.
    * @param {string} text
    * @param {string} dataClass
    * @returns {string} redacted text
    */
   redact(text, dataClass) {
-    const cls = this.governance.data_classes.find(c => c.name === dataClass);
-    if (!cls || !cls.requires_redaction || !cls.redact_patterns) {
-      return text;
-    }
+    if (!text || typeof text !== 'string') return text;
+
+    const cls = this.dataClasses.find(c => c.name === dataClass);
+    if (!cls) return text;
+    if (cls.blocked) return `[REDACTED: ${dataClass.toUpperCase()}]`;
+    if (!cls.requires_redaction) return text;
+
     let result = text;
-    for (const pattern of cls.redact_patterns) {
-      const regex = new RegExp(pattern, 'gi');
-      result = result.replace(regex, '[REDACTED]');
+    for (const { regex, type } of cls.redactors) {
+      result = result.replace(regex, type ? `[REDACTED:${type.toUpperCase()}]` : '[REDACTED]');
     }
     return result;
   }
 
   /**
-   * Infer data class from content (heuristic).
+   * Infer the data class of text: the most sensitive class with a
+   * matching detect pattern, else the least sensitive class.
    * @param {string} text
    * @returns {string} inferred data class
    */
   inferDataClass(text) {
-    // Check for secrets/API keys first
-    if (/sk-[a-zA-Z0-9]{32,}/.test(text) || /Bearer\s+[a-zA-Z0-9]{20,}/.test(text)) {
-      return 'secrets';
-    }
-    // Check for PII
-    if (/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i.test(text) ||
-        /\b\d{3}-\d{2}-\d{4}\b/.test(text)) {
-      return 'pii';
-    }
-    // Check for internal markers
-    if (/INTERNAL|CONFIDENTIAL|NOT FOR DISTRIBUTION/i.test(text)) {
-      return 'internal';
+    const fallback = this.dataClasses[0]?.name || 'public';
+    if (!text) return fallback;
+
+    for (const cls of [...this.dataClasses].reverse()) {
+      if (cls.detectors.some(({ regex }) => { regex.lastIndex = 0; return regex.test(text); })) {
+        return cls.name;
+      }
     }
-    return 'public';
+    return fallback;
   }
 
   /**
    * Full governance check before execute().
    * @param {Object} params - { role, model, promptId, inputs, context }
-   * @returns {{allowed: boolean, violations: string[], requiresApproval: boolean, approvalReason?: string}}
+   * @returns {{allowed: boolean, violations: string[], requiresApproval: boolean, approvalReason?: string,
+   *            inferredDataClass: string, requiresRedaction: boolean}}
    */
   check({ role, model, promptId, inputs, context = {} }) {
     const violations = [];
@@ -141,7 +192,7 @@ export class GovernanceEngine {
     }
 
     // Approval check
-    const approvalCheck = this.requiresApproval(promptId, context);
+    const approvalCheck = this.requiresApproval(promptId, context, inputs);
 
     return {
       allowed: violations.length === 0,
@@ -149,9 +200,74 @@ export class GovernanceEngine {
       requiresApproval: approvalCheck.required,
       approvalReason: approvalCheck.reason,
       inferredDataClass: inferredClass,
-      requiresRedaction: dataCheck.requiresRedaction,
+      requiresRedaction: !!dataCheck.requiresRedaction,
     };
   }
+
+  /**
+   * Path of the audit log (audit.log_path, relative to baseDir).
+   * @returns {string}
+   */
+  auditLogPath() {
+    return path.resolve(this.baseDir, this.governance.audit?.log_path || 'analytics/audit.jsonl');
+  }
+
+  /**
+   * Set fields merged into every audit record (e.g. {run_id, user_id}),
+   * for callers such as the tools that don't know the run themselves.
+   * @param {Object} context
+   */
+  setAuditContext(context = {}) {
+    this.auditContext = { ...context };
+  }
+
+  /**
+   * Append a governance decision to the hash-chained audit log, keeping
+   * only audit.log_fields. No-op unless audit.enabled.
+   * @param {Object} record - {event, decision, run_id, role, prompt_id, target, ...}
+   */
+  audit(record) {
+    if (!this.auditLog) return;
+    try {
+      this.auditLog.append({ ...this.auditContext, ...record });
+    } catch (err) {
+      console.warn(`GovernanceEngine: failed to write audit log: ${err.message}`);
+    }
+  }
+
+  _matchRules(promptId, afterOutput, scope) {
+    for (const rule of this.approvalRules) {
+      if (rule.prompt_id !== promptId) continue;
+      const readsOutput = !!rule.compiled?.uses('output');
+      if (readsOutput !== afterOutput) continue;
+      if (!rule.compiled || rule.compiled.evaluate(scope)) {
+        return { required: true, reason: rule.reason || `Prompt '${promptId}' requires approval` };
+      }
+    }
+    return { required: false };
+  }
+
+  _compileRule(rule) {
+    if (!rule.condition || rule.condition === 'always') {
+      return { ...rule, compiled: null };
+    }
+    try {
+      return { ...rule, compiled: new Condition(String(rule.condition)) };
+    } catch (err) {
+      throw new Error(`GovernanceEngine: invalid approval condition for "${rule.prompt_id}": ${err.message}`);
+    }
+  }
+
+  _compile(patterns = [], className) {
+    return (patterns || []).map(p => {
+      const spec = typeof p === 'string' ? { pattern: p } : p;
+      try {
+        return { regex: new RegExp(spec.pattern, spec.case_sensitive ? 'g' : 'gi'), type: spec.type || null };
+      } catch (err) {
+        throw new Error(`GovernanceEngine: invalid pattern for data class "${className}": ${err.message}`);
+      }
+    });
+  }
 }
 
 export default GovernanceEngine;
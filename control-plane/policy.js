@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
+import { GovernanceEngine } from './governance.js';
 
 // Dangerous command patterns — require human confirmation
 const DANGEROUS_PATTERNS = [
@@ -24,16 +25,6 @@ const DANGEROUS_PATTERNS = [
   /eval\s*\(/,
 ];
 
-// PII patterns for redaction
-const PII_PATTERNS = [
-  { type: 'email', regex: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g },
-  { type: 'phone', regex: /(\+?1?[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/g },
-  { type: 'ssn', regex: /\b\d{3}[-]?\d{2}[-]?\d{4}\b/g },
-  { type: 'credit_card', regex: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g },
-  { type: 'ip_address', regex: /\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g },
-  { type: 'date_of_birth', regex: /\b(?:0?[1-9]|1[0-2])[\/\-](?:0?[1-9]|[12][0-9]|3[01])[\/\-](?:19|20)\d{2}\b/g },
-];
-
 export class PolicyEngine {
   constructor(configPath) {
     this.config = null;
@@ -48,6 +39,21 @@ export class PolicyEngine {
     } catch (err) {
       throw new Error(`PolicyEngine: failed to load config from ${this.configPath}: ${err.message}`);
     }
+    this.governance = this._loadGovernance();
+  }
+
+  /**
+   * Build the GovernanceEngine from `governance_file` (relative to
+   * config.yaml) or, failing that, an inline `governance:` section.
+   * @returns {GovernanceEngine}
+   */
+  _loadGovernance() {
+    const configDir = path.dirname(path.resolve(this.configPath));
+    const options = { baseDir: path.dirname(configDir) };
+    if (this.config.governance_file) {
+      return new GovernanceEngine(path.resolve(configDir, this.config.governance_file), options);
+    }
+    return new GovernanceEngine(this.config.governance || {}, options);
   }
 
   /**
@@ -114,7 +120,7 @@ export class PolicyEngine {
 
   /**
    * Check if budget usage is within limits.
-   * @param {Object} used - {steps, tokens, timeMinutes, filesModified}
+   * @param {Object} used - {steps, tokens, costUsd, timeMinutes, filesModified}
    * @returns {{ok: boolean, reason?: string}}
    */
   checkBudget(used) {
@@ -132,6 +138,9 @@ export class PolicyEngine {
     if (used.filesModified !== undefined && used.filesModified >= b.max_files_modified) {
       return { ok: false, reason: `Budget exceeded: files modified (${used.filesModified}/${b.max_files_modified})` };
     }
+    if (used.costUsd !== undefined && b.max_cost_usd !== undefined && used.costUsd >= b.max_cost_usd) {
+      return { ok: false, reason: `Budget exceeded: cost ($${used.costUsd.toFixed(4)}/$${b.max_cost_usd})` };
+    }
 
     // Warn at 80%
     const warnings = [];
@@ -141,10 +150,28 @@ export class PolicyEngine {
     if (used.tokens !== undefined && used.tokens >= b.max_tokens * 0.8) {
       warnings.push(`tokens at ${Math.round(used.tokens / b.max_tokens * 100)}%`);
     }
+    if (used.costUsd !== undefined && b.max_cost_usd && used.costUsd >= b.max_cost_usd * 0.8) {
+      warnings.push(`cost at ${Math.round(used.costUsd / b.max_cost_usd * 100)}%`);
+    }
 
     return { ok: true, warnings: warnings.length > 0 ? warnings : undefined };
   }
 
+  /**
+   * Check a pipeline phase's token usage against its sub-budget
+   * (budgets.phases.<phase>.max_tokens). Phases without one are unlimited.
+   * @param {string} phase - e.g. 'plan', 'steps'
+   * @param {{tokens: number}} used - TaskContext.getPhaseUsage(phase)
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  checkPhaseBudget(phase, used) {
+    const limit = this.config.budgets?.phases?.[phase]?.max_tokens;
+    if (limit !== undefined && (used.tokens || 0) >= limit) {
+      return { ok: false, reason: `Budget exceeded: ${phase} phase tokens (${used.tokens}/${limit})` };
+    }
+    return { ok: true };
+  }
+
   /**
    * Check if a command is dangerous (requires human confirmation).
    */
@@ -174,36 +201,17 @@ export class PolicyEngine {
   }
 
   // ============================================
-  // GOVERNANCE METHODS
+  // GOVERNANCE METHODS — delegated to GovernanceEngine (governance.yaml)
   // ============================================
 
   /**
    * Check if an agent role is allowed to access a data class.
    * @param {string} agentRole - role name (e.g., 'engineer')
    * @param {string} dataClass - data class name (e.g., 'pii', 'secrets')
-   * @returns {{allowed: boolean, requiresRedaction?: boolean, blocked?: boolean}}
+   * @returns {{allowed: boolean, requiresRedaction?: boolean, blocked?: boolean, reason?: string}}
    */
   checkDataClass(agentRole, dataClass) {
-    const dataClasses = this.config.governance?.data_classes || [];
-    const dc = dataClasses.find(d => d.name === dataClass);
-
-    if (!dc) {
-      // Unknown data class - allow by default but warn
-      return { allowed: true, unknown: true };
-    }
-
-    if (dc.blocked) {
-      return { allowed: false, blocked: true };
-    }
-
-    if (!dc.allowed_roles.includes(agentRole)) {
-      return { allowed: false, reason: `Role '${agentRole}' not in allowed_roles for '${dataClass}'` };
-    }
-
-    return {
-      allowed: true,
-      requiresRedaction: dc.requires_redaction === true
-    };
+    return this.governance.checkDataClass(agentRole, dataClass);
   }
 
   /**
@@ -213,73 +221,40 @@ export class PolicyEngine {
    * @returns {boolean}
    */
   checkModelAllowed(agentRole, model) {
-    const allowlist = this.config.governance?.model_allowlist || {};
-    const roleModels = allowlist[agentRole];
-
-    if (!roleModels || roleModels.length === 0) {
-      return false;
-    }
-
-    // Support partial matching (e.g., 'claude-sonnet-4-6' matches 'claude-sonnet')
-    return roleModels.some(allowedModel =>
-      allowedModel && (model === allowedModel || model.startsWith(allowedModel) || allowedModel.startsWith(model))
-    );
+    return this.governance.checkModelAllowed(agentRole, model);
   }
 
   /**
    * Check if a prompt requires approval based on context.
    * @param {string} promptId - prompt identifier
    * @param {Object} context - { target_env, ... }
+   * @param {Object} [inputs] - prompt inputs
    * @returns {{required: boolean, reason?: string}}
    */
-  requiresApproval(promptId, context = {}) {
-    const approvalList = this.config.governance?.approval_required || [];
-
-    for (const item of approvalList) {
-      if (item === promptId) {
-        // Check if it's conditional
-        if (promptId === 'ship.patch' && context.target_env === 'prod') {
-          return { required: true, reason: 'Production environment patch requires approval' };
-        }
-        if (promptId === 'ship.rollback_plan') {
-          return { required: true, reason: 'Rollback plan always requires approval' };
-        }
-        return { required: true, reason: `Prompt '${promptId}' requires approval` };
-      }
-    }
+  requiresApproval(promptId, context = {}, inputs = {}) {
+    return this.governance.requiresApproval(promptId, context, inputs);
+  }
 
-    return { required: false };
+  /**
+   * Check if a prompt's output requires approval (rules over `output`).
+   * @param {string} promptId - prompt identifier
+   * @param {*} output - parsed LLM output
+   * @param {Object} [context]
+   * @param {Object} [inputs]
+   * @returns {{required: boolean, reason?: string}}
+   */
+  requiresOutputApproval(promptId, output, context = {}, inputs = {}) {
+    return this.governance.requiresOutputApproval(promptId, output, context, inputs);
   }
 
   /**
-   * Redact PII and sensitive patterns from text.
+   * Redact sensitive patterns from text.
    * @param {string} text - text to redact
    * @param {string} dataClass - data class (e.g., 'pii')
    * @returns {string} redacted text
    */
   redact(text, dataClass) {
-    if (!text || typeof text !== 'string') {
-      return text;
-    }
-
-    // If data class is secrets, redact everything
-    if (dataClass === 'secrets') {
-      return '[REDACTED: SECRETS]';
-    }
-
-    // If data class doesn't require redaction, just return as-is
-    const dc = this.checkDataClass('engineer', dataClass);
-    if (!dc.requiresRedaction) {
-      return text;
-    }
-
-    // Apply PII redactions
-    let redacted = text;
-    for (const { type, regex } of PII_PATTERNS) {
-      redacted = redacted.replace(regex, `[REDACTED:${type.toUpperCase()}]`);
-    }
-
-    return redacted;
+    return this.governance.redact(text, dataClass);
   }
 
   /**
@@ -288,26 +263,23 @@ export class PolicyEngine {
    * @returns {string} inferred data class
    */
   inferDataClass(text) {
-    if (!text) return 'public';
-
-    const lower = text.toLowerCase();
-
-    // Check for secrets indicators
-    if (/password|secret|api_key|token|credential|private.?key/i.test(lower)) {
-      return 'secrets';
-    }
-
-    // Check for PII indicators
-    if (/email|phone|ssn|social.?security|date.?of.?birth|address|dob/i.test(lower)) {
-      return 'pii';
-    }
+    return this.governance.inferDataClass(text);
+  }
 
-    // Check for internal indicators
-    if (/internal|confidential|proprietary|internal.?use/i.test(lower)) {
-      return 'internal';
-    }
+  /**
+   * Record a governance decision in the audit log.
+   * @param {Object} record
+   */
+  audit(record) {
+    this.governance.audit(record);
+  }
 
-    return 'public';
+  /**
+   * Set fields merged into every audit record (e.g. {run_id}).
+   * @param {Object} context
+   */
+  setAuditContext(context) {
+    this.governance.setAuditContext(context);
   }
 
   _getRole(roleName) {
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * RunStore — on-disk checkpoints for ShipMachine runs.
+ * Each run gets its own directory keyed by the bridge's run ID:
+ *
+ *   runs/<run-id>/checkpoint.json
+ *
+ * The checkpoint holds the serialized TaskContext plus the options needed
+ * to rebuild the orchestrator, so an interrupted run can be resumed.
+ */
+export class RunStore {
+  constructor(baseDir = null) {
+    this.baseDir = baseDir || path.join(process.cwd(), 'runs');
+  }
+
+  /**
+   * Get the directory for a run.
+   * @param {string} runId
+   * @returns {string}
+   */
+  runDir(runId) {
+    if (!runId || !/^[a-zA-Z0-9_-]+$/.test(runId)) {
+      throw new Error(`RunStore: invalid run ID "${runId}"`);
+    }
+    return path.join(this.baseDir, runId);
+  }
+
+  /**
+   * Persist a checkpoint for a run. Writes atomically (tmp file + rename)
+   * so a crash mid-write never leaves a truncated checkpoint behind.
+   *
+   * @param {string} runId
+   * @param {TaskContext} taskContext
+   * @param {Object} meta - {repoPath, objective, agentRole, dryRun, config, status}
+   * @returns {string} checkpoint path
+   */
+  save(runId, taskContext, meta = {}) {
+    const dir = this.runDir(runId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const checkpoint = {
+      runId,
+      updatedAt: new Date().toISOString(),
+      ...meta,
+      context: taskContext.toJSON(),
+    };
+
+    const checkpointPath = path.join(dir, 'checkpoint.json');
+    const tmpPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2), 'utf8');
+    fs.renameSync(tmpPath, checkpointPath);
+
+    return checkpointPath;
+  }
+
+  /**
+   * Write an extra file (report, log) into a run's directory.
+   * @param {string} runId
+   * @param {string} name - file name, no directories
+   * @param {string} content
+   * @returns {string} written path
+   */
+  writeArtifact(runId, name, content) {
+    if (path.basename(name) !== name) {
+      throw new Error(`RunStore: invalid artifact name "${name}"`);
+    }
+    const dir = this.runDir(runId);
+    fs.mkdirSync(dir, { recursive: true });
+    const artifactPath = path.join(dir, name);
+    fs.writeFileSync(artifactPath, content, 'utf8');
+    return artifactPath;
+  }
+
+  /**
+   * Read an extra file from a run's directory.
+   * @param {string} runId
+   * @param {string} name - file name, no directories
+   * @returns {string|null} null when it doesn't exist
+   */
+  readArtifact(runId, name) {
+    const artifactPath = path.join(this.runDir(runId), path.basename(name));
+    return fs.existsSync(artifactPath) ? fs.readFileSync(artifactPath, 'utf8') : null;
+  }
+
+  /**
+   * Append a JSON record to a run's .jsonl log (e.g. approvals.jsonl).
+   * @param {string} runId
+   * @param {string} name - file name, no directories
+   * @param {Object} record
+   * @returns {string} log path
+   */
+  appendRecord(runId, name, record) {
+    if (path.basename(name) !== name) {
+      throw new Error(`RunStore: invalid artifact name "${name}"`);
+    }
+    const dir = this.runDir(runId);
+    fs.mkdirSync(dir, { recursive: true });
+    const logPath = path.join(dir, name);
+    fs.appendFileSync(logPath, JSON.stringify(record) + '\n', 'utf8');
+    return logPath;
+  }
+
+  /**
+   * Read the records of a run's .jsonl log.
+   * @param {string} runId
+   * @param {string} name
+   * @returns {Object[]} [] when the log doesn't exist
+   */
+  readRecords(runId, name) {
+    const logPath = path.join(this.runDir(runId), path.basename(name));
+    if (!fs.existsSync(logPath)) return [];
+    return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Load a run checkpoint.
+   * @param {string} runId
+   * @returns {Object} checkpoint ({runId, updatedAt, status, context, ...meta})
+   */
+  load(runId) {
+    const checkpointPath = path.join(this.runDir(runId), 'checkpoint.json');
+    if (!fs.existsSync(checkpointPath)) {
+      throw new Error(`RunStore: no checkpoint found for run "${runId}"`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`RunStore: failed to read checkpoint for run "${runId}": ${err.message}`);
+    }
+  }
+
+  /**
+   * Check if a run has a checkpoint.
+   * @param {string} runId
+   * @returns {boolean}
+   */
+  exists(runId) {
+    try {
+      return fs.existsSync(path.join(this.runDir(runId), 'checkpoint.json'));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List all checkpointed runs, most recently updated first.
+   * @returns {{runId: string, status: string, objective: string, updatedAt: string}[]}
+   */
+  list() {
+    if (!fs.existsSync(this.baseDir)) return [];
+
+    return fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .map(d => {
+        try {
+          const cp = this.load(d.name);
+          return {
+            runId: cp.runId,
+            status: cp.status || 'unknown',
+            objective: cp.objective || cp.context?.objective || '',
+            updatedAt: cp.updatedAt,
+          };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+}
+
+export default RunStore;
@@ -1,21 +1,30 @@
 /**
  * TaskContext — task-scoped memory for a single ShipMachine run.
- * Not persisted between tasks. Lives only for the duration of one run().
+ * Not shared between tasks. Checkpointed to disk by RunStore after every
+ * phase and step so an interrupted run can be resumed.
  */
 export class TaskContext {
   constructor(objective) {
     this.objective = objective || '';
     this.scopeOutput = null;
     this.repoSurvey = null;
+    this.codeMap = ''; // compact symbol map fed to survey and planning
     this.plan = null;
     this.stepResults = [];
     this.currentStep = null;
     this.startedAt = new Date().toISOString();
+    this.activeSince = this.startedAt;
+    this.priorElapsedMs = 0;
+    this.completedPhases = [];
+    this.completedSteps = [];
+    this.stepCommits = {}; // stepId → commit SHA on the task branch
     this.filesModified = [];
     this.totalTokensUsed = 0;
+    this.usage = TaskContext.emptyUsage(); // input/output tokens and cost, overall and per phase
     this.totalSteps = 0;
     this.errors = [];
-    this.testEvidence = null;
+    this.testEvidence = null;       // latest test run, for the risk / rollback prompts and the PR bundle
+    this.testEvidenceByStep = {};   // stepId → that step's test checkpoint result
     this.securityCheckResult = null;
     this.docUpdateResult = null;
     this.riskAssessment = null;
@@ -43,6 +52,58 @@ export class TaskContext {
     this.currentStep = stepId;
   }
 
+  /**
+   * Account for one LLM call made by a pipeline phase.
+   * @param {string} phase - e.g. 'plan', 'steps'
+   * @param {{inputTokens?: number, outputTokens?: number, totalTokens?: number, costUsd?: number|null}} usage
+   */
+  recordUsage(phase, usage = {}) {
+    const input = usage.inputTokens || 0;
+    const output = usage.outputTokens || 0;
+    const total = usage.totalTokens ?? input + output;
+    const cost = usage.costUsd || 0;
+
+    const add = (bucket) => {
+      bucket.calls++;
+      bucket.inputTokens += input;
+      bucket.outputTokens += output;
+      bucket.tokens += total;
+      bucket.costUsd = Math.round((bucket.costUsd + cost) * 1e6) / 1e6;
+    };
+    add(this.usage);
+    this.usage.byPhase[phase] ??= TaskContext.emptyUsage(false);
+    add(this.usage.byPhase[phase]);
+    this.totalTokensUsed += total;
+  }
+
+  /**
+   * Token usage of a single phase.
+   * @param {string} phase
+   * @returns {{calls, inputTokens, outputTokens, tokens, costUsd}}
+   */
+  getPhaseUsage(phase) {
+    return this.usage.byPhase[phase] || TaskContext.emptyUsage(false);
+  }
+
+  /**
+   * Zeroed usage counters.
+   * @param {boolean} [withPhases=true] - include the byPhase map
+   */
+  static emptyUsage(withPhases = true) {
+    const usage = { calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, costUsd: 0 };
+    return withPhases ? { ...usage, byPhase: {} } : usage;
+  }
+
+  /**
+   * Record the test run of a step's test checkpoint.
+   * @param {string} stepId
+   * @param {Object} testResult - from TestRunnerTool.run()
+   */
+  recordTestEvidence(stepId, testResult) {
+    this.testEvidenceByStep[stepId] = testResult;
+    this.testEvidence = testResult;
+  }
+
   /**
    * Record an error.
    */
@@ -54,6 +115,35 @@ export class TaskContext {
     });
   }
 
+  /**
+   * Mark a pipeline phase as finished.
+   * @param {string} phase - e.g. 'scope', 'survey', 'plan'
+   */
+  markPhaseComplete(phase) {
+    if (!this.completedPhases.includes(phase)) {
+      this.completedPhases.push(phase);
+    }
+  }
+
+  /**
+   * Check if a pipeline phase has already finished.
+   * @param {string} phase
+   * @returns {boolean}
+   */
+  isPhaseComplete(phase) {
+    return this.completedPhases.includes(phase);
+  }
+
+  /**
+   * Mark a plan step as finished.
+   * @param {string} stepId
+   */
+  markStepComplete(stepId) {
+    if (!this.completedSteps.includes(stepId)) {
+      this.completedSteps.push(stepId);
+    }
+  }
+
   /**
    * Track a file modification.
    */
@@ -65,19 +155,30 @@ export class TaskContext {
 
   /**
    * Get budget usage for policy checks.
-   * @returns {{steps, tokens, timeMinutes, filesModified}}
+   * @returns {{steps, tokens, inputTokens, outputTokens, costUsd, timeMinutes, filesModified}}
    */
   getBudgetUsage() {
-    const startMs = new Date(this.startedAt).getTime();
-    const elapsedMs = Date.now() - startMs;
     return {
       steps: this.totalSteps,
       tokens: this.totalTokensUsed,
-      timeMinutes: elapsedMs / 1000 / 60,
+      inputTokens: this.usage.inputTokens,
+      outputTokens: this.usage.outputTokens,
+      costUsd: this.usage.costUsd,
+      timeMinutes: this.getElapsedMs() / 1000 / 60,
       filesModified: this.filesModified.length,
     };
   }
 
+  /**
+   * Active run time in ms. Time spent between an interruption and a
+   * resume is not counted against the budget.
+   * @returns {number}
+   */
+  getElapsedMs() {
+    const activeMs = Date.now() - new Date(this.activeSince).getTime();
+    return this.priorElapsedMs + activeMs;
+  }
+
   /**
    * Get results for a specific step.
    */
@@ -102,7 +203,7 @@ export class TaskContext {
     parts.push(`Objective: ${this.objective}`);
     parts.push(`Started: ${this.startedAt}`);
     parts.push(`Steps completed: ${this.totalSteps}`);
-    parts.push(`Tokens used: ${this.totalTokensUsed}`);
+    parts.push(`Tokens used: ${this.totalTokensUsed} (${this.usage.inputTokens} in / ${this.usage.outputTokens} out, ~$${this.usage.costUsd.toFixed(4)})`);
     parts.push(`Files modified: ${this.filesModified.length} (${this.filesModified.slice(0, 5).join(', ')}${this.filesModified.length > 5 ? '...' : ''})`);
 
     if (this.currentStep) {
@@ -121,23 +222,31 @@ export class TaskContext {
   }
 
   /**
-   * Serialize to JSON (for logging/debugging).
+   * Serialize to JSON (for checkpoints and logging).
    */
   toJSON() {
     return {
       objective: this.objective,
       startedAt: this.startedAt,
+      elapsedMs: this.getElapsedMs(),
+      completedPhases: this.completedPhases,
+      completedSteps: this.completedSteps,
+      stepCommits: this.stepCommits,
       currentStep: this.currentStep,
       totalSteps: this.totalSteps,
       totalTokensUsed: this.totalTokensUsed,
+      usage: this.usage,
       filesModified: this.filesModified,
       errors: this.errors,
       scopeOutput: this.scopeOutput,
       repoSurvey: this.repoSurvey,
+      codeMap: this.codeMap,
       plan: this.plan,
       stepResults: this.stepResults,
       testEvidence: this.testEvidence,
+      testEvidenceByStep: this.testEvidenceByStep,
       securityCheckResult: this.securityCheckResult,
+      docUpdateResult: this.docUpdateResult,
       riskAssessment: this.riskAssessment,
       rollbackPlan: this.rollbackPlan,
       prWriteup: this.prWriteup,
@@ -145,13 +254,17 @@ export class TaskContext {
   }
 
   /**
-   * Restore from JSON.
+   * Restore from JSON. The restored context resumes its run clock now,
+   * carrying over the elapsed time recorded in the checkpoint.
    * @param {Object} data
    * @returns {TaskContext}
    */
   static fromJSON(data) {
     const ctx = new TaskContext(data.objective);
-    Object.assign(ctx, data);
+    const { elapsedMs = 0, ...rest } = data;
+    Object.assign(ctx, rest);
+    ctx.priorElapsedMs = elapsedMs;
+    ctx.activeSince = new Date().toISOString();
     return ctx;
   }
 }
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+import { ContextBuilder, SOURCE_EXTENSIONS, SKIP_DIRS, LANGUAGES } from './context-builder.js';
+
+const INDEX_VERSION = 1;
+const WALK_SKIP = new Set(['node_modules', '.git', '.venv', 'venv', '__pycache__', '.shipmachine-worktrees']);
+const BUILTINS = new Set(builtinModules);
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'constructor']);
+
+/**
+ * CodeIndexer — offline symbol index and code map for a repository.
+ *
+ * For every JS/TS/Python source file the index records:
+ *   - top-level symbols (functions, classes with their methods, constants,
+ *     interfaces/types/enums; Python defs and classes) with line numbers
+ *     and whether they are exported,
+ *   - import edges, resolved to files in the repo, and
+ *   - external (package) imports, excluding Node built-ins.
+ * Underscore-prefixed (private) methods are left out of the index.
+ *
+ * Indexes are cached per commit SHA under cacheDir, so a clean tree is
+ * only parsed once per commit. Dirty trees are indexed fresh and not cached.
+ *
+ * codeMap() renders the index as a compact text map — files ranked by how
+ * many other files import them — that fits a token budget. It is fed to
+ * ship.repo_survey and ship.plan alongside the file tree.
+ *
+ * Import parsing and resolution are shared with ContextBuilder.
+ */
+export class CodeIndexer {
+  /**
+   * @param {FilesystemTool} fsTool
+   * @param {GitTool} gitTool
+   * @param {Object} [options]
+   *   - cacheDir: string (no caching when omitted)
+   *   - tokenBudget: number (code map budget, default: 1500)
+   *   - maxFiles: number (default: 2000)
+   *   - maxFileBytes: number (larger files are skipped, default: 200000)
+   */
+  constructor(fsTool, gitTool, options = {}) {
+    this.fs = fsTool;
+    this.git = gitTool;
+    this.cacheDir = options.cacheDir || null;
+    this.tokenBudget = options.tokenBudget ?? 1500;
+    this.maxFiles = options.maxFiles ?? 2000;
+    this.maxFileBytes = options.maxFileBytes ?? 200000;
+    this.parser = new ContextBuilder(fsTool);
+  }
+
+  /**
+   * Index a repo and render its code map.
+   *
+   * @param {Object} params
+   *   - repoPath: string
+   *   - role: string
+   *   - tokenBudget?: number (overrides the default budget)
+   *   - exclude?: string[] (paths ignored when checking for a clean tree)
+   * @returns {{index: Object, map: string, cached: boolean}}
+   */
+  build({ repoPath, role, tokenBudget, exclude }) {
+    const { index, cached } = this.load(repoPath, role, { exclude });
+    return { index, map: this.codeMap(index, tokenBudget ?? this.tokenBudget), cached };
+  }
+
+  /**
+   * Return the index for the repo's current commit, from cache when possible.
+   * @param {string} repoPath
+   * @param {string} role
+   * @param {Object} [options] - {exclude} as for build()
+   * @returns {{index: Object, cached: boolean}}
+   */
+  load(repoPath, role, options = {}) {
+    const root = path.resolve(repoPath);
+    const sha = this.git.headSha(root);
+    const clean = sha !== null && !this.git.hasChanges(root, role, { exclude: options.exclude });
+    const cachePath = clean && this.cacheDir ? path.join(this.cacheDir, `${sha}.json`) : null;
+
+    if (cachePath && fs.existsSync(cachePath)) {
+      try {
+        const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        if (cached.version === INDEX_VERSION) return { index: cached, cached: true };
+      } catch {
+        // Unreadable cache entry — rebuild it below
+      }
+    }
+
+    const index = this.buildIndex(root, role);
+    index.sha = clean ? sha : null;
+
+    if (cachePath) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const tmpPath = `${cachePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(index), 'utf8');
+      fs.renameSync(tmpPath, cachePath);
+    }
+
+    return { index, cached: false };
+  }
+
+  /**
+   * Parse every source file in the repo.
+   * @returns {{version: number, files: Object<string, Object>, truncated: boolean}}
+   *   files maps repo-relative path → {language, lines, symbols, imports, external}
+   */
+  buildIndex(repoPath, role) {
+    const root = path.resolve(repoPath);
+    const sources = this._listFiles(root, role)
+      .filter(f => SOURCE_EXTENSIONS.has(path.extname(f)) && !SKIP_DIRS.some(d => `/${f}`.includes(d)))
+      .sort();
+    const files = {};
+
+    for (const rel of sources.slice(0, this.maxFiles)) {
+      const abs = path.join(root, rel);
+      let content;
+      try {
+        if (this.fs.stat(abs, role).size > this.maxFileBytes) continue;
+        content = this.fs.read_file(abs, role);
+      } catch {
+        continue;
+      }
+
+      const imports = new Set();
+      const external = new Set();
+      for (const imp of this.parser.parseImports(content, rel)) {
+        const resolved = this.parser.resolveImport(abs, imp.source, root, role);
+        if (resolved) {
+          imports.add(path.relative(root, resolved));
+        } else if (!imp.source.startsWith('.') && !imp.source.startsWith('node:')) {
+          const pkg = this._packageName(imp.source, rel);
+          if (!BUILTINS.has(pkg)) external.add(pkg);
+        }
+      }
+
+      files[rel] = {
+        language: LANGUAGES[path.extname(rel)],
+        lines: content ? content.replace(/\n$/, '').split('\n').length : 0,
+        symbols: this.extractSymbols(content, rel),
+        imports: [...imports].sort(),
+        external: [...external].sort(),
+      };
+    }
+
+    return { version: INDEX_VERSION, files, truncated: sources.length > this.maxFiles };
+  }
+
+  /**
+   * Extract top-level symbols from a source file.
+   * @param {string} content
+   * @param {string} file
+   * @returns {{name: string, kind: string, line: number, exported: boolean, methods?: string[]}[]}
+   */
+  extractSymbols(content, file) {
+    const python = path.extname(file) === '.py';
+    const exportedNames = new Set(this.parser.parseExports(content, file));
+    const lines = content.split('\n');
+    const symbols = [];
+    let currentClass = null;
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      const indent = line.match(/^\s*/)[0].length;
+
+      if (currentClass) {
+        if (indent > currentClass.indent) {
+          const method = this._matchMethod(line, python);
+          if (method && (currentClass.memberIndent ??= indent) === indent) {
+            currentClass.symbol.methods.push(method);
+          }
+          return;
+        }
+        // A closing brace at the class's own indent ends the body
+        currentClass = null;
+        if (/^\s*}/.test(line)) return;
+      }
+
+      if (indent > 0) return;
+      const symbol = python ? this._matchPython(line) : this._matchJs(line);
+      if (!symbol) return;
+
+      symbol.line = i + 1;
+      symbol.exported = python ? !symbol.name.startsWith('_') : symbol.exported || exportedNames.has(symbol.name);
+      symbols.push(symbol);
+      if (symbol.kind === 'class') {
+        symbol.methods = [];
+        currentClass = { symbol, indent };
+      }
+    });
+
+    return symbols;
+  }
+
+  /**
+   * Render an index as a compact code map within a token budget.
+   * @param {Object} index - from load()/buildIndex()
+   * @param {number} [tokenBudget]
+   * @returns {string} '' when the index has no files
+   */
+  codeMap(index, tokenBudget = this.tokenBudget) {
+    const entries = Object.entries(index.files);
+    if (entries.length === 0) return '';
+
+    const importers = new Map();
+    const external = new Set();
+    for (const [, info] of entries) {
+      info.imports.forEach(dep => importers.set(dep, (importers.get(dep) || 0) + 1));
+      info.external.forEach(pkg => external.add(pkg));
+    }
+
+    const ranked = entries.sort(([a, ia], [b, ib]) =>
+      (importers.get(b) || 0) - (importers.get(a) || 0)
+      || ib.symbols.length - ia.symbols.length
+      || a.localeCompare(b));
+
+    const header = [`${entries.length} source files${index.truncated ? ' (truncated)' : ''}, ranked by number of importers.`];
+    if (external.size > 0) header.push(`External packages: ${[...external].sort().join(', ')}`);
+
+    const blocks = [header.join('\n')];
+    let used = this.parser.estimateTokens(blocks[0]);
+    let omitted = 0;
+
+    for (const [file, info] of ranked) {
+      const block = this._formatFile(file, info, importers.get(file) || 0);
+      const cost = this.parser.estimateTokens(block);
+      if (used + cost > tokenBudget) {
+        omitted++;
+        continue;
+      }
+      blocks.push(block);
+      used += cost;
+    }
+
+    if (omitted > 0) blocks.push(`… ${omitted} more files omitted`);
+    return blocks.join('\n\n');
+  }
+
+  _formatFile(file, info, importerCount) {
+    const lines = [`${file} (${info.language}, ${info.lines} lines${importerCount ? `, imported by ${importerCount}` : ''})`];
+    for (const s of info.symbols) {
+      const marker = s.exported ? '+' : '-';
+      const methods = s.methods?.length ? ` { ${s.methods.join(', ')} }` : '';
+      lines.push(`  ${marker} ${s.kind} ${s.name}${methods} :${s.line}`);
+    }
+    if (info.imports.length) lines.push(`  → ${info.imports.join(', ')}`);
+    return lines.join('\n');
+  }
+
+  _matchJs(line) {
+    let m = line.match(/^(export\s+)?(?:default\s+)?(?:async\s+)?function\*?\s+([\w$]+)/);
+    if (m) return { name: m[2], kind: 'function', exported: !!m[1] };
+
+    m = line.match(/^(export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/);
+    if (m) return { name: m[2], kind: 'class', exported: !!m[1] };
+
+    m = line.match(/^(export\s+)?(?:declare\s+)?(interface|type|enum)\s+([\w$]+)/);
+    if (m) return { name: m[3], kind: m[2], exported: !!m[1] };
+
+    m = line.match(/^(export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(.*)$/);
+    if (m) {
+      const isFunction = /^(async\s+)?(function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.test(m[3]);
+      return { name: m[2], kind: isFunction ? 'function' : 'const', exported: !!m[1] };
+    }
+
+    return null;
+  }
+
+  _matchPython(line) {
+    let m = line.match(/^(?:async\s+)?def\s+(\w+)/);
+    if (m) return { name: m[1], kind: 'function' };
+
+    m = line.match(/^class\s+(\w+)/);
+    if (m) return { name: m[1], kind: 'class' };
+
+    return null;
+  }
+
+  _matchMethod(line, python) {
+    const m = python
+      ? line.match(/^\s+(?:async\s+)?def\s+(\w+)/)
+      : line.match(/^\s+(?:static\s+)?(?:async\s+)?(?:get\s+|set\s+)?\*?(#?[\w$]+)\s*\([^)]*\)\s*\{/);
+    return m && !NOT_METHODS.has(m[1]) && !/^[_#]/.test(m[1]) ? m[1] : null;
+  }
+
+  _packageName(source, file) {
+    if (path.extname(file) === '.py') return source.split('.')[0];
+    const parts = source.split('/');
+    return source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+
+  _listFiles(root, role) {
+    if (this.git.headSha(root) !== null) {
+      return this.git.listFiles(root, role);
+    }
+
+    const files = [];
+    const walk = (dir) => {
+      for (const entry of this.fs.list_dir(dir, false, role)) {
+        const name = path.basename(entry);
+        if (WALK_SKIP.has(name)) continue;
+        const stat = this.fs.stat(entry, role);
+        if (stat.isDirectory()) walk(entry);
+        else files.push(path.relative(root, entry));
+      }
+    };
+    walk(root);
+    return files;
+  }
+}
+
+export default CodeIndexer;
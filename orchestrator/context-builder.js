@@ -0,0 +1,376 @@
+import path from 'path';
+
+export const SOURCE_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py']);
+export const SKIP_DIRS = ['/dist/', '/build/', '/coverage/', '/pr-bundles/', '/.shipmachine-worktrees/'];
+const RESOLVE_SUFFIXES = ['', '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '/index.js', '/index.ts', '/index.mjs'];
+export const LANGUAGES = { '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'jsx', '.ts': 'ts', '.tsx': 'tsx', '.py': 'python' };
+
+/**
+ * ContextBuilder — gathers repository context for ship.patch.
+ *
+ * For each file a step edits it collects:
+ *   - definitions the file imports (import/require/from-import edges,
+ *     resolved to files in the repo), and
+ *   - call sites of the file's exported symbols elsewhere in the repo
+ *     (found with FilesystemTool.search()).
+ * Candidates are ranked (definitions first, then call sites) and packed
+ * greedily into a markdown block that fits the token budget.
+ *
+ * All file access goes through FilesystemTool, so policy path checks apply.
+ */
+export class ContextBuilder {
+  /**
+   * @param {FilesystemTool} fsTool
+   * @param {Object} [options]
+   *   - tokenBudget: number (default: 3000)
+   *   - maxSnippetLines: number (default: 40)
+   *   - maxCallSites: number (per symbol, default: 5)
+   */
+  constructor(fsTool, options = {}) {
+    this.fs = fsTool;
+    this.tokenBudget = options.tokenBudget ?? 3000;
+    this.maxSnippetLines = options.maxSnippetLines ?? 40;
+    this.maxCallSites = options.maxCallSites ?? 5;
+  }
+
+  /**
+   * Build the context block for a set of files.
+   *
+   * @param {Object} params
+   *   - repoPath: string
+   *   - files: string[] (repo-relative paths the step edits)
+   *   - role: string
+   *   - tokenBudget?: number (overrides the default budget)
+   * @returns {string} markdown, or '' when nothing relevant was found
+   */
+  build({ repoPath, files, role, tokenBudget }) {
+    const candidates = this.collect(repoPath, files, role);
+    return this.pack(candidates, tokenBudget ?? this.tokenBudget);
+  }
+
+  /**
+   * Collect ranked context candidates.
+   * @returns {Array<{kind, symbol, file, line, text, score}>} highest score first
+   */
+  collect(repoPath, files, role) {
+    const root = path.resolve(repoPath);
+    const targets = new Set(files.map(f => path.resolve(root, f)));
+    const cache = new Map();
+    const read = file => {
+      if (!cache.has(file)) cache.set(file, this.fs.read_file(file, role));
+      return cache.get(file);
+    };
+
+    const candidates = [];
+    const seen = new Set();
+    const add = candidate => {
+      const key = `${candidate.file}:${candidate.line}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      candidates.push(candidate);
+    };
+
+    for (const file of targets) {
+      if (!this._isFile(file, role)) continue;
+      const content = read(file);
+
+      // Definitions this file depends on
+      for (const imp of this.parseImports(content, file)) {
+        const depFile = this.resolveImport(file, imp.source, root, role);
+        if (!depFile || targets.has(depFile)) continue;
+        const depContent = read(depFile);
+
+        if (imp.names.length === 0) {
+          const summary = this._exportSummary(depContent);
+          if (summary) {
+            add({ kind: 'exports', symbol: imp.source, file: this._rel(root, depFile), line: 1, text: summary, score: 0.6 });
+          }
+          continue;
+        }
+
+        for (const name of imp.names) {
+          const def = this.findDefinition(depContent, name, depFile);
+          if (def) {
+            add({ kind: 'definition', symbol: name, file: this._rel(root, depFile), line: def.line, text: def.text, score: 1 });
+          }
+        }
+      }
+
+      // Call sites of this file's exports
+      const exported = this.parseExports(content, file);
+      if (exported.length === 0) continue;
+
+      const pattern = `\\b(${exported.map(this._escape).join('|')})\\b`;
+      const exact = new RegExp(pattern);
+      const perSymbol = new Map();
+
+      for (const hit of this.fs.search(pattern, root, role)) {
+        const hitFile = path.resolve(hit.file);
+        if (targets.has(hitFile) || !this._isSource(hitFile) || this._isImportLine(hit.match)) continue;
+
+        const symbol = hit.match.match(exact)?.[1];
+        if (!symbol) continue; // search() is case-insensitive
+
+        const count = perSymbol.get(symbol) || 0;
+        if (count >= this.maxCallSites) continue;
+        perSymbol.set(symbol, count + 1);
+
+        const isTest = /(^|[/._-])(test|tests|spec|__tests__)([/._-]|$)/.test(this._rel(root, hitFile));
+        add({
+          kind: 'call site',
+          symbol,
+          file: this._rel(root, hitFile),
+          line: hit.line,
+          text: this._window(read(hitFile), hit.line, 2),
+          score: 0.8 - count * 0.05 - (isTest ? 0.1 : 0),
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score || a.text.length - b.text.length);
+  }
+
+  /**
+   * Pack candidates into markdown within a token budget (≈4 chars/token).
+   * Candidates that don't fit are skipped so smaller ones can still go in.
+   * @returns {string}
+   */
+  pack(candidates, tokenBudget = this.tokenBudget) {
+    const header = '## Related code (retrieved from the repository)\n';
+    let used = this.estimateTokens(header);
+    const sections = [];
+
+    for (const c of candidates) {
+      const section = this._format(c);
+      const tokens = this.estimateTokens(section);
+      if (used + tokens > tokenBudget) continue;
+      sections.push(section);
+      used += tokens;
+    }
+
+    return sections.length > 0 ? header + sections.join('\n') : '';
+  }
+
+  /**
+   * Rough token estimate used for budgeting.
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Parse import edges from a source file.
+   * @param {string} content
+   * @param {string} file - used to pick JS vs Python syntax
+   * @returns {{source: string, names: string[]}[]} names is empty for namespace/side-effect imports
+   */
+  parseImports(content, file) {
+    const imports = [];
+
+    if (path.extname(file) === '.py') {
+      for (const m of content.matchAll(/^from\s+([.\w]+)\s+import\s+\(?([^)\n]+)\)?/gm)) {
+        imports.push({ source: m[1], names: this._splitNames(m[2]) });
+      }
+      for (const m of content.matchAll(/^import\s+([\w.]+)/gm)) {
+        imports.push({ source: m[1], names: [] });
+      }
+      return imports;
+    }
+
+    for (const m of content.matchAll(/import\s+([\w$*{}\s,]+?)\s+from\s+['"]([^'"]+)['"]/g)) {
+      imports.push({ source: m[2], names: this._importClauseNames(m[1]) });
+    }
+    for (const m of content.matchAll(/export\s+(?:\*(?:\s+as\s+[\w$]+)?|\{([^}]*)\})\s+from\s+['"]([^'"]+)['"]/g)) {
+      imports.push({ source: m[2], names: m[1] ? this._splitNames(m[1]) : [] });
+    }
+    for (const m of content.matchAll(/(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+      imports.push({ source: m[2], names: m[1].startsWith('{') ? this._splitNames(m[1].slice(1, -1)) : [] });
+    }
+    for (const m of content.matchAll(/import\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+      imports.push({ source: m[1], names: [] });
+    }
+
+    return imports;
+  }
+
+  /**
+   * Parse the names a file exports.
+   * @param {string} content
+   * @param {string} file
+   * @returns {string[]}
+   */
+  parseExports(content, file) {
+    const names = new Set();
+
+    if (path.extname(file) === '.py') {
+      for (const m of content.matchAll(/^(?:async\s+)?(?:def|class)\s+([A-Za-z]\w*)/gm)) names.add(m[1]);
+      return [...names];
+    }
+
+    for (const m of content.matchAll(/export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/g)) {
+      names.add(m[1]);
+    }
+    for (const m of content.matchAll(/export\s*\{([^}]*)\}(?!\s*from)/g)) {
+      for (const part of m[1].split(',')) {
+        const exportedAs = part.trim().split(/\s+as\s+/).pop();
+        if (exportedAs && exportedAs !== 'default') names.add(exportedAs);
+      }
+    }
+    for (const m of content.matchAll(/(?:module\.)?exports\.([\w$]+)\s*=/g)) names.add(m[1]);
+    const cjs = content.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+    if (cjs) this._splitNames(cjs[1]).forEach(n => names.add(n));
+
+    return [...names].filter(n => n.length > 1);
+  }
+
+  /**
+   * Resolve an import specifier to a file in the repo.
+   * Bare (package) specifiers resolve to null.
+   * @returns {string|null} absolute path
+   */
+  resolveImport(fromFile, source, root, role) {
+    let candidates;
+
+    if (path.extname(fromFile) === '.py') {
+      const dots = source.match(/^\.*/)[0].length;
+      const modulePath = source.slice(dots).split('.').filter(Boolean).join('/');
+      let base = root;
+      if (dots > 0) {
+        base = path.dirname(fromFile);
+        for (let i = 1; i < dots; i++) base = path.dirname(base);
+      }
+      const target = modulePath ? path.join(base, modulePath) : base;
+      candidates = [`${target}.py`, path.join(target, '__init__.py')];
+    } else {
+      if (!source.startsWith('.')) return null;
+      const target = path.resolve(path.dirname(fromFile), source);
+      candidates = RESOLVE_SUFFIXES.map(s => target + s);
+      // TS sources import compiled names: './x.js' → './x.ts'
+      if (/\.js$/.test(target)) candidates.push(target.replace(/\.js$/, '.ts'), target.replace(/\.js$/, '.tsx'));
+    }
+
+    return candidates.find(c => c.startsWith(root + path.sep) && this._isFile(c, role)) || null;
+  }
+
+  /**
+   * Find a symbol's definition and return it as a snippet.
+   * @param {string} content
+   * @param {string} name - symbol name, or 'default' for the default export
+   * @param {string} file
+   * @returns {{line: number, text: string}|null}
+   */
+  findDefinition(content, name, file) {
+    const lines = content.split('\n');
+    const n = this._escape(name);
+    const patterns = path.extname(file) === '.py'
+      ? [new RegExp(`^\\s*(?:async\\s+)?def\\s+${n}\\b`), new RegExp(`^\\s*class\\s+${n}\\b`), new RegExp(`^${n}\\s*=`)]
+      : name === 'default'
+        ? [/^\s*export\s+default\b/, /^\s*module\.exports\s*=/]
+        : [
+          new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\*?\\s+${n}\\b`),
+          new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+${n}\\b`),
+          new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+${n}\\b`),
+          new RegExp(`^\\s*(?:export\\s+)?(?:interface|type|enum)\\s+${n}\\b`),
+          new RegExp(`^\\s*(?:module\\.)?exports\\.${n}\\s*=`),
+        ];
+
+    const idx = lines.findIndex(line => patterns.some(p => p.test(line)));
+    if (idx === -1) return null;
+
+    const end = path.extname(file) === '.py'
+      ? this._pythonBlockEnd(lines, idx)
+      : this._braceBlockEnd(lines, idx);
+    return { line: idx + 1, text: lines.slice(idx, end).join('\n') };
+  }
+
+  _braceBlockEnd(lines, start) {
+    let depth = 0;
+    let opened = false;
+    const limit = Math.min(lines.length, start + this.maxSnippetLines);
+
+    for (let i = start; i < limit; i++) {
+      for (const ch of lines[i]) {
+        if (ch === '{' || ch === '(' || ch === '[') { depth++; opened = true; }
+        if (ch === '}' || ch === ')' || ch === ']') depth--;
+      }
+      if ((opened && depth <= 0) || (!opened && /;\s*$/.test(lines[i]))) return i + 1;
+    }
+    return limit;
+  }
+
+  _pythonBlockEnd(lines, start) {
+    const indent = lines[start].match(/^\s*/)[0].length;
+    const limit = Math.min(lines.length, start + this.maxSnippetLines);
+
+    for (let i = start + 1; i < limit; i++) {
+      if (lines[i].trim() && lines[i].match(/^\s*/)[0].length <= indent) return i;
+    }
+    return limit;
+  }
+
+  _exportSummary(content) {
+    const lines = content.split('\n').filter(l => /^\s*(export\s|module\.exports|exports\.)/.test(l));
+    return lines.slice(0, 15).join('\n');
+  }
+
+  _window(content, line, radius) {
+    const lines = content.split('\n');
+    return lines.slice(Math.max(0, line - 1 - radius), line + radius).join('\n').replace(/^\s*\n|\n\s*$/g, '');
+  }
+
+  _format(c) {
+    const lang = LANGUAGES[path.extname(c.file)] || '';
+    const title = c.kind === 'exports'
+      ? `Exports of ${c.file}`
+      : `${c.kind === 'definition' ? 'Definition' : 'Call site'} of \`${c.symbol}\` — ${c.file}:${c.line}`;
+    return `### ${title}\n\`\`\`${lang}\n${c.text}\n\`\`\`\n`;
+  }
+
+  _importClauseNames(rawClause) {
+    const clause = rawClause.replace(/^type\s+/, '');
+    const names = [];
+    const braces = clause.match(/\{([^}]*)\}/);
+    if (braces) names.push(...this._splitNames(braces[1]));
+    if (/\*\s+as\s+/.test(clause)) return names;
+    const def = clause.replace(/\{[^}]*\}/, '').split(',')[0].trim();
+    if (def) names.push('default');
+    return names;
+  }
+
+  /**
+   * Split "a, b as c, type D" into the imported (original) names.
+   */
+  _splitNames(list) {
+    return list.split(',')
+      .map(part => part.trim().replace(/^type\s+/, '').split(/\s+as\s+|\s*:\s*/)[0].trim())
+      .filter(n => /^[\w$]+$/.test(n));
+  }
+
+  _isImportLine(line) {
+    return /^\s*(import\s|export\s*(\*|\{[^}]*\})\s*from\s|from\s+\S+\s+import\s)/.test(line) || /\brequire\(/.test(line);
+  }
+
+  _isSource(file) {
+    return SOURCE_EXTENSIONS.has(path.extname(file)) && !SKIP_DIRS.some(d => file.includes(d));
+  }
+
+  _isFile(file, role) {
+    try {
+      return this.fs.stat(file, role).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  _rel(root, file) {
+    return path.relative(root, file);
+  }
+
+  _escape(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default ContextBuilder;
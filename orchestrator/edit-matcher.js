@@ -0,0 +1,295 @@
+/**
+ * EditMatcher — locates model-supplied edit anchors in a file.
+ *
+ * Line numbers from a model are often off by a few lines, so anchor edits
+ * ({old_text, new_text}) and unified-diff hunks are located by content and
+ * verified against the current file. Matching tries progressively looser
+ * strategies and reports how confident it is:
+ *
+ *   exact       1.0   old text appears verbatim
+ *   trailing    0.98  lines match ignoring trailing whitespace
+ *   whitespace  0.95  lines match ignoring all indentation/spacing
+ *   fuzzy       <0.95 per-line similarity, accepted above minConfidence
+ *   line        0.5   diff hunk with no context lines, placed by its line
+ *                     number alone (1.0 in a new or empty file)
+ *
+ * A match that is ambiguous (several equally good locations) or below
+ * minConfidence is rejected rather than guessed.
+ */
+export class EditMatcher {
+  /**
+   * @param {Object} [options]
+   *   - minConfidence: number (default: 0.8)
+   */
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence ?? 0.8;
+  }
+
+  /**
+   * Find the lines of `lines` that `oldText` refers to.
+   *
+   * @param {string[]} lines - current file lines
+   * @param {string} oldText - text the edit expects to replace
+   * @param {Object} [options]
+   *   - hintLine: number (1-indexed line the caller expects; breaks ties)
+   * @returns {{start: number, end: number, strategy: string, confidence: number}}
+   *   start/end are 0-indexed, end exclusive
+   */
+  locate(lines, oldText, options = {}) {
+    const oldLines = this._trimTrailingEmpty(oldText.split('\n'));
+    if (oldLines.length === 0) {
+      throw new Error('EditMatcher: old text is empty');
+    }
+
+    const strategies = [
+      { name: 'trailing', confidence: 0.98, normalize: l => l.trimEnd() },
+      { name: 'whitespace', confidence: 0.95, normalize: l => l.replace(/\s+/g, ' ').trim() },
+    ];
+
+    // Exact line-for-line match first, then the whitespace-tolerant ones
+    const exact = this._findWindows(lines, oldLines, l => l);
+    if (exact.length > 0) {
+      return this._pick(exact, oldLines.length, 'exact', 1, options.hintLine);
+    }
+
+    for (const strategy of strategies) {
+      const found = this._findWindows(lines, oldLines, strategy.normalize);
+      if (found.length > 0) {
+        return this._pick(found, oldLines.length, strategy.name, strategy.confidence, options.hintLine);
+      }
+    }
+
+    return this._fuzzy(lines, oldLines, options.hintLine);
+  }
+
+  /**
+   * Place a diff hunk that has no context lines (a pure insertion). Nothing
+   * in it can be checked against the file, so unless the file is blank it
+   * is only as good as the model's line number.
+   *
+   * @param {string[]} lines - current file lines
+   * @param {number} line - 1-indexed line from the hunk header (insert after it)
+   * @param {Object} [options]
+   *   - blank: boolean (the file was new or empty)
+   * @returns {{start: number, end: number, strategy: string, confidence: number}}
+   */
+  placeInsertion(lines, line, options = {}) {
+    const confidence = options.blank ? 1 : 0.5;
+    if (confidence < this.minConfidence) {
+      throw new Error(`EditMatcher: hunk at line ${line} has no context lines to locate it by; include surrounding lines`);
+    }
+    const start = Math.min(Math.max(line, 0), lines.length);
+    return { start, end: start, strategy: 'line', confidence };
+  }
+
+  /**
+   * Parse unified-diff text into hunks. File headers (---/+++) and
+   * "\ No newline" markers are ignored.
+   *
+   * @param {string} diffText
+   * @returns {Array<{oldStart: number, oldLines: string[], newLines: string[]}>}
+   */
+  parseUnifiedDiff(diffText) {
+    const hunks = [];
+    let current = null;
+
+    for (const line of diffText.split('\n')) {
+      const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+      if (header) {
+        current = { oldStart: parseInt(header[1], 10), oldLines: [], newLines: [] };
+        hunks.push(current);
+        continue;
+      }
+      if (!current || line.startsWith('---') || line.startsWith('+++') || line.startsWith('\\')) {
+        continue;
+      }
+
+      const marker = line[0];
+      const text = line.slice(1);
+      if (marker === '-') {
+        current.oldLines.push(text);
+      } else if (marker === '+') {
+        current.newLines.push(text);
+      } else if (marker === ' ' || line === '') {
+        current.oldLines.push(text);
+        current.newLines.push(text);
+      } else {
+        throw new Error(`EditMatcher: unexpected diff line "${line}"`);
+      }
+    }
+
+    if (hunks.length === 0) {
+      throw new Error('EditMatcher: diff has no @@ hunks');
+    }
+
+    // A trailing blank line in the diff text is not part of the last hunk
+    const last = hunks[hunks.length - 1];
+    while (last.oldLines.length && last.oldLines.at(-1) === '' && last.newLines.at(-1) === '') {
+      last.oldLines.pop();
+      last.newLines.pop();
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Shift new lines by the indentation difference between the model's
+   * old text and the lines it actually matched.
+   *
+   * @param {string[]} newLines
+   * @param {string} expectedFirst - first line of the model's old text
+   * @param {string} actualFirst - first matched line in the file
+   * @returns {string[]}
+   */
+  reindent(newLines, expectedFirst, actualFirst) {
+    const expected = expectedFirst.match(/^\s*/)[0];
+    const actual = actualFirst.match(/^\s*/)[0];
+    if (expected === actual) return newLines;
+
+    if (actual.startsWith(expected)) {
+      const extra = actual.slice(expected.length);
+      return newLines.map(l => (l.trim() ? extra + l : l));
+    }
+    if (expected.startsWith(actual)) {
+      const drop = expected.length - actual.length;
+      return newLines.map(l => (l.slice(0, drop).trim() === '' ? l.slice(drop) : l));
+    }
+    return newLines;
+  }
+
+  _findWindows(lines, oldLines, normalize) {
+    const target = oldLines.map(normalize);
+    const found = [];
+    for (let i = 0; i + target.length <= lines.length; i++) {
+      let ok = true;
+      for (let k = 0; k < target.length; k++) {
+        if (normalize(lines[i + k]) !== target[k]) {
+          ok = false;
+          break;
+        }
+      }
+      if (ok) found.push(i);
+    }
+    return found;
+  }
+
+  _pick(starts, length, strategy, confidence, hintLine) {
+    let start = starts[0];
+    if (starts.length > 1) {
+      if (!hintLine) {
+        throw new Error(
+          `EditMatcher: old text is ambiguous — it matches ${starts.length} locations (lines ${starts.map(s => s + 1).join(', ')}); include more surrounding lines`
+        );
+      }
+      start = this._nearest(starts, hintLine - 1);
+    }
+    return { start, end: start + length, strategy, confidence };
+  }
+
+  _nearest(starts, target) {
+    return starts.reduce((best, s) => (Math.abs(s - target) < Math.abs(best - target) ? s : best));
+  }
+
+  /**
+   * Score every window sharing at least one line with the old text and
+   * keep the best one if it is confident and unambiguous.
+   */
+  _fuzzy(lines, oldLines, hintLine) {
+    const norm = l => l.replace(/\s+/g, ' ').trim();
+    const fileNorm = lines.map(norm);
+    const oldNorm = oldLines.map(norm);
+
+    // Candidate window starts: anchored on any shared non-blank line
+    const candidates = new Set();
+    const positions = new Map();
+    fileNorm.forEach((l, i) => {
+      if (!l) return;
+      if (!positions.has(l)) positions.set(l, []);
+      positions.get(l).push(i);
+    });
+    oldNorm.forEach((l, k) => {
+      (positions.get(l) || []).forEach(p => candidates.add(p - k));
+    });
+    if (oldNorm.length === 1 || candidates.size === 0) {
+      for (let i = 0; i < lines.length; i++) candidates.add(i);
+    }
+
+    const scored = [];
+    for (const start of candidates) {
+      if (start < 0 || start + oldNorm.length > lines.length) continue;
+      scored.push({ start, score: this._windowScore(fileNorm, oldNorm, start) });
+    }
+    scored.sort((a, b) => b.score - a.score || a.start - b.start);
+
+    const best = scored[0];
+    if (!best || best.score < this.minConfidence) {
+      const where = best ? ` (best ${best.score.toFixed(2)} at line ${best.start + 1})` : '';
+      throw new Error(`EditMatcher: old text not found${where}`);
+    }
+
+    const ties = scored.filter(s => best.score - s.score < 0.02).map(s => s.start);
+    const start = ties.length > 1 ? this._pickTie(ties, hintLine) : best.start;
+
+    return {
+      start,
+      end: start + oldNorm.length,
+      strategy: 'fuzzy',
+      confidence: Math.min(0.94, Math.round(best.score * 100) / 100),
+    };
+  }
+
+  _pickTie(starts, hintLine) {
+    if (!hintLine) {
+      throw new Error(
+        `EditMatcher: old text is ambiguous — near-identical matches at lines ${starts.map(s => s + 1).join(', ')}; include more surrounding lines`
+      );
+    }
+    return this._nearest(starts, hintLine - 1);
+  }
+
+  /**
+   * Length-weighted mean of per-line similarity.
+   */
+  _windowScore(fileNorm, oldNorm, start) {
+    let total = 0;
+    let weight = 0;
+    for (let k = 0; k < oldNorm.length; k++) {
+      const a = fileNorm[start + k];
+      const b = oldNorm[k];
+      const w = Math.max(a.length, b.length, 1);
+      total += this._similarity(a, b) * w;
+      weight += w;
+    }
+    return weight ? total / weight : 0;
+  }
+
+  /**
+   * 1 - normalized Levenshtein distance.
+   */
+  _similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(
+          prev[j] + 1,
+          cur[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      prev = cur;
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+  }
+
+  _trimTrailingEmpty(lines) {
+    const out = [...lines];
+    while (out.length && out[out.length - 1] === '') out.pop();
+    return out;
+  }
+}
+
+export default EditMatcher;
@@ -1,8 +1,10 @@
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import { PolicyEngine } from '../control-plane/policy.js';
 import { RBAC } from '../control-plane/rbac.js';
+import { ApprovalManager } from '../control-plane/approvals.js';
 import { PromptOSBridge } from '../promptos-bridge/index.js';
 import { Analytics } from '../promptos-bridge/analytics.js';
 import { FilesystemTool } from '../tools/fs.js';
@@ -12,7 +14,10 @@ import { TestsTool } from '../tools/tests.js';
 import { PRTool } from '../tools/pr.js';
 import { Planner } from './planner.js';
 import { WorkspaceManager } from './workspace.js';
+import { ContextBuilder } from './context-builder.js';
+import { CodeIndexer } from './code-index.js';
 import { TaskContext } from '../memory/task-context.js';
+import { RunStore } from '../memory/run-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -26,15 +31,27 @@ export class ShipMachine {
    *   - repoPath: string
    *   - objective: string
    *   - agentRole?: string (default: 'engineer')
-   *   - config?: {configPath, model, maxTokens}
+   *   - user?: string (who started the run; recorded in analytics and the audit log)
+   *   - config?: {configPath, model, maxTokens, maxParallelSteps, inPlace, cassette: {mode, path}}
    *   - dryRun?: boolean
+   *   - resumeRunId?: string (continue a checkpointed run)
+   *   - worktree?: {path, branch} (existing run worktree, when resuming)
+   *   - approvals?: ApprovalManager (overrides the config.yaml approvals provider)
+   *   - onProgress?: ({phase, callId, promptId, outputTokens, elapsedMs, done}) => void (LLM streaming progress)
    */
   constructor(options) {
+    // Edits and tests happen in repoPath — the run's worktree once init() creates it
     this.repoPath = options.repoPath;
+    this.sourceRepoPath = options.repoPath;
+    this.worktree = options.worktree || null;
     this.objective = options.objective;
     this.agentRole = options.agentRole || 'engineer';
+    this.user = options.user ? { id: options.user, name: options.user } : null;
     this.config = options.config || {};
     this.dryRun = options.dryRun || false;
+    this.resumeRunId = options.resumeRunId || null;
+    this.approvals = options.approvals || null;
+    this.onProgress = options.onProgress || null;
 
     // Base directory for the project
     this.baseDir = this.config.baseDir || path.resolve(__dirname, '..');
@@ -51,7 +68,40 @@ export class ShipMachine {
     this.pr = null;
     this.planner = null;
     this.workspace = null;
+    this.contextBuilder = null;
+    this.codeIndexer = null;
     this.taskContext = null;
+    this.runStore = null;
+    this.runId = null;
+  }
+
+  /**
+   * Rebuild a ShipMachine from a run checkpoint.
+   * @param {string} runId
+   * @param {Object} [options] - {config} overrides for the checkpointed config, {onProgress}
+   * @returns {ShipMachine}
+   */
+  static resume(runId, options = {}) {
+    const config = options.config || {};
+    const baseDir = config.baseDir || path.resolve(__dirname, '..');
+    const store = new RunStore(path.join(baseDir, 'runs'));
+    const checkpoint = store.load(runId);
+
+    if (checkpoint.status === 'success') {
+      throw new Error(`ShipMachine: run "${runId}" already completed (bundle: ${checkpoint.bundlePath})`);
+    }
+
+    return new ShipMachine({
+      repoPath: checkpoint.repoPath,
+      objective: checkpoint.objective,
+      agentRole: checkpoint.agentRole,
+      user: checkpoint.user,
+      dryRun: checkpoint.dryRun,
+      config: { ...checkpoint.config, ...config },
+      resumeRunId: runId,
+      worktree: checkpoint.worktree,
+      onProgress: options.onProgress,
+    });
   }
 
   /**
@@ -76,6 +126,7 @@ export class ShipMachine {
       model: this.config.model,
       maxTokens: this.config.maxTokens,
       analyticsDir,
+      cassette: this.config.cassette,
     }, this.analytics);
 
     // Tools
@@ -88,23 +139,248 @@ export class ShipMachine {
     this.pr = new PRTool(this.policy, bundleBaseDir);
 
     // Planner
-    this.planner = new Planner();
+    this.planner = new Planner({
+      maxParallelSteps: this.config.maxParallelSteps || this.policy.config.orchestrator?.max_parallel_steps,
+      budgets: this.policy.getBudgetLimits(),
+    });
 
-    // Workspace manager
-    this.workspace = new WorkspaceManager(this.repoPath);
+    // Task context — restored from the checkpoint when resuming
+    this.runStore = new RunStore(path.join(this.baseDir, 'runs'));
+    if (this.resumeRunId) {
+      const checkpoint = this.runStore.load(this.resumeRunId);
+      this.taskContext = TaskContext.fromJSON(checkpoint.context);
+      this.runId = this.bridge.resumeRun(this.resumeRunId);
+      // Keep using the prompt versions the run started with
+      const lock = this.runStore.readArtifact(this.resumeRunId, 'prompts.lock.json');
+      if (lock) this.bridge.setLock(JSON.parse(lock));
+    } else {
+      this.taskContext = new TaskContext(this.objective);
+      this.runId = this.bridge.getRunId();
+    }
+    // Tool decisions (Exec, FS writes, Git commits) are audited under this run
+    this.policy.setAuditContext({ run_id: this.runId, user_id: this.user?.id || null });
+
+    // Approval gates — every decision is logged to runs/<run-id>/approvals.jsonl;
+    // a dry run only records which gates would have asked
+    this.approvals ??= ApprovalManager.fromConfig(this.policy.config.approvals, {
+      baseDir: this.baseDir,
+      dryRun: this.dryRun,
+    });
+    this.approvals.onDecision = record => this._recordApproval(record);
+    this.bridge.setApprovalManager(this.approvals);
+
+    // Isolated worktree — repoPath points at it from here on
+    this._setupWorktree();
+
+    // Keep cassette keys independent of where and under which run ID this runs
+    const cassette = this.bridge.llm.cassette;
+    cassette?.mask(this.sourceRepoPath, '<repo>');
+    cassette?.mask(this.worktree?.path, '<worktree>');
+    cassette?.mask(this.worktree?.branch, '<branch>');
+
+    // Workspace manager — edits and rollbacks are written through the audited FS tool
+    this.workspace = new WorkspaceManager(this.repoPath, {
+      minEditConfidence: this.policy.config.orchestrator?.edit_min_confidence,
+      fsTool: this.fs,
+      role: this.agentRole,
+    });
 
-    // Task context
-    this.taskContext = new TaskContext(this.objective);
+    // Repository context for ship.patch
+    this.contextBuilder = new ContextBuilder(this.fs, {
+      tokenBudget: this.policy.config.orchestrator?.context_token_budget,
+    });
+
+    // Symbol index and code map for ship.repo_survey / ship.plan
+    this.codeIndexer = new CodeIndexer(this.fs, this.git, {
+      cacheDir: path.join(this.baseDir, 'cache', 'code-index'),
+      tokenBudget: this.policy.config.orchestrator?.code_map_token_budget,
+    });
 
-    console.log(chalk.cyan('🚀 ShipMachine initialized'));
+    console.log(chalk.cyan(this.resumeRunId ? '🚀 ShipMachine resumed' : '🚀 ShipMachine initialized'));
+    console.log(chalk.gray(`  Run ID: ${this.runId}`));
     console.log(chalk.gray(`  Role: ${this.agentRole}`));
     console.log(chalk.gray(`  Objective: ${this.objective}`));
-    console.log(chalk.gray(`  Repo: ${this.repoPath}`));
+    console.log(chalk.gray(`  Repo: ${this.sourceRepoPath}`));
+    if (this.worktree) {
+      console.log(chalk.gray(`  Worktree: ${this.worktree.path}`));
+      console.log(chalk.gray(`  Branch: ${this.worktree.branch}`));
+    }
+  }
+
+  // ---- Approvals ----
+
+  /**
+   * Record an approval decision against the run.
+   * @param {Object} record - from ApprovalManager.request()
+   */
+  _recordApproval(record) {
+    this.runStore.appendRecord(this.runId, 'approvals.jsonl', record);
+    if (record.dryRun) {
+      console.log(chalk.yellow(`  ⏸ ${record.kind} ${record.subject} would require approval (${record.reason}) — dry run, not asked`));
+      return;
+    }
+    const color = record.approved ? chalk.green : chalk.red;
+    console.log(color(`  ${record.approved ? '✓' : '✗'} ${record.kind} ${record.subject} ${record.decision} by ${record.decidedBy} [${record.id}]`));
+  }
+
+  // ---- Worktree ----
+
+  /**
+   * Give the run its own git worktree on a shipmachine/<task> branch so the
+   * user's checkout is never touched. Skipped for dry runs, `inPlace`,
+   * `orchestrator.use_worktree: false`, and repos that aren't git repos.
+   * A resumed run reuses its worktree (re-attaching the branch if the
+   * directory was removed).
+   */
+  _setupWorktree() {
+    const orchestratorConfig = this.policy.config.orchestrator || {};
+    if (this.dryRun || this.config.inPlace || orchestratorConfig.use_worktree === false) {
+      this.worktree = null;
+      return;
+    }
+
+    const source = new WorkspaceManager(this.sourceRepoPath);
+    if (!source.isGitRepo(this.sourceRepoPath)) {
+      console.warn(chalk.yellow('  ⚠️ Not a git repository — running in place without a worktree'));
+      this.worktree = null;
+      return;
+    }
+
+    if (!this.worktree) {
+      const shortId = this.runId.slice(0, 8);
+      const worktreeDir = orchestratorConfig.worktree_dir
+        || path.join(path.dirname(source.repoPath), '.shipmachine-worktrees');
+      const worktreePath = path.join(path.resolve(worktreeDir), `${path.basename(source.repoPath)}-${shortId}`);
+
+      if (!this.policy.checkPathAllowed(worktreePath)) {
+        throw new Error(`ShipMachine: worktree path not allowed by policy: ${worktreePath} (set orchestrator.worktree_dir)`);
+      }
+
+      const created = source.createWorktree(this.sourceRepoPath, worktreePath, source.branchName(this.objective, shortId));
+      this.worktree = { path: created.worktreePath, branch: created.branch, baseCommit: created.baseCommit };
+    } else if (!fs.existsSync(this.worktree.path)) {
+      source.createWorktree(this.sourceRepoPath, this.worktree.path, this.worktree.branch);
+    }
+
+    // Linked dependency dirs show up as untracked symlinks — never commit them
+    const linked = source.linkDependencies(this.sourceRepoPath, this.worktree.path);
+    this.worktree.linked = [...new Set([...(this.worktree.linked || []), ...linked])];
+    this.repoPath = this.worktree.path;
+  }
+
+  /**
+   * Commit a finished step to the task branch. Steps that run alongside
+   * others commit only their own files; exec steps run alone, so they also
+   * pick up fixes re-applied to earlier steps' files. (Test-checkpoint steps
+   * run alone too, but still commit only their own files.)
+   * No-op outside a worktree or when the step changed nothing.
+   * @returns {string|null} commit SHA
+   */
+  _commitStep(step, result) {
+    if (!this.worktree) return null;
+
+    const paths = step.type === 'exec' ? null : (result.files_affected || []);
+    if (paths && paths.length === 0) return null;
+
+    const options = { paths, exclude: this.worktree.linked };
+    if (!this.git.hasChanges(this.repoPath, this.agentRole, options)) return null;
+
+    const { sha } = this.git.commit(this.repoPath, this._stepCommitMessage(step, result), this.agentRole, options);
+    this.taskContext.stepCommits[step.id] = sha;
+    console.log(chalk.gray(`  ⎇ Committed ${step.id} as ${sha}`));
+    return sha;
+  }
+
+  /**
+   * Structured commit message for a step. The trailers make every commit
+   * traceable to its run, step and prompt (`git log --grep "Run-Id: <id>"`).
+   */
+  _stepCommitMessage(step, result) {
+    const subject = `${step.id}: ${step.description || step.type}`;
+    const lines = [subject.length > 72 ? `${subject.slice(0, 69)}...` : subject, ''];
+
+    if (subject.length > 72) lines.push(step.description, '');
+    if (result.output?.summary) lines.push(result.output.summary, '');
+    if (result.files_affected?.length) {
+      lines.push('Files:', ...result.files_affected.map(f => `  ${f}`), '');
+    }
+
+    lines.push(`ShipMachine-Step: ${step.id} (${step.type})`);
+    if (result.promptId) lines.push(`ShipMachine-Prompt: ${result.promptId}${result.promptVersion ? `@${result.promptVersion}` : ''}`);
+    lines.push(`ShipMachine-Run-Id: ${this.runId}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Commit whatever is left uncommitted on the task branch (docs, manual
+   * fixes made before a resume). No-op outside a worktree.
+   */
+  _commitPending(description) {
+    if (!this.worktree) return null;
+
+    const options = { exclude: this.worktree.linked };
+    if (!this.git.hasChanges(this.repoPath, this.agentRole, options)) return null;
+
+    const message = [description, '', `ShipMachine-Run-Id: ${this.runId}`].join('\n');
+    const { sha } = this.git.commit(this.repoPath, message, this.agentRole, options);
+    console.log(chalk.gray(`  ⎇ Committed remaining changes as ${sha}`));
+    return sha;
+  }
+
+  /**
+   * Reset the worktree to the last step commit after a failed run, so
+   * half-applied edits from failed steps never linger on the task branch.
+   * The discarded changes are saved to runs/<run-id>/failed-steps.diff.
+   * Never throws.
+   */
+  _resetFailedSteps() {
+    if (!this.worktree || this.policy.config.orchestrator?.reset_failed_steps === false) return;
+
+    try {
+      const options = { exclude: this.worktree.linked };
+      if (!this.git.hasChanges(this.repoPath, this.agentRole, options)) return;
+
+      const discarded = this.git.diff(this.repoPath, this.agentRole, { ...options, includeUntracked: true });
+      const diffPath = this.runStore.writeArtifact(this.runId, 'failed-steps.diff', discarded);
+
+      this.git.reset(this.repoPath, 'HEAD', this.agentRole, options);
+      console.log(chalk.yellow(`  ↺ Reset worktree to the last step commit (discarded changes: ${diffPath})`));
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Failed to reset worktree: ${err.message}`));
+    }
+  }
+
+  /**
+   * Wrap up the run's worktree. On success, anything still uncommitted is
+   * committed to the task branch and the worktree is removed. On failure
+   * it is kept for inspection and resume (unless keep_worktree_on_failure
+   * is false). Never throws.
+   * @param {boolean} succeeded
+   */
+  _finishWorktree(succeeded) {
+    if (!this.worktree) return;
+
+    const keepOnFailure = this.policy.config.orchestrator?.keep_worktree_on_failure !== false;
+    if (!succeeded && keepOnFailure) {
+      console.log(chalk.yellow(`  Worktree kept for inspection: ${this.worktree.path} (${this.worktree.branch})`));
+      return;
+    }
+
+    try {
+      if (succeeded) {
+        this._commitPending(`Finalize: ${this.objective}`);
+      }
+      new WorkspaceManager(this.sourceRepoPath).removeWorktree(this.sourceRepoPath, this.worktree.path);
+      console.log(chalk.gray(`  Worktree removed — changes are on branch ${this.worktree.branch}`));
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Failed to clean up worktree ${this.worktree.path}: ${err.message}`));
+    }
   }
 
   /**
-   * Run the full ShipMachine pipeline.
-   * @returns {Promise<{bundlePath: string, status: string}>}
+   * Run the full ShipMachine pipeline. When resuming, phases and steps
+   * recorded as complete in the checkpoint are skipped.
+   * @returns {Promise<{bundlePath: string, status: string, runId: string}>}
    */
   async run() {
     try {
@@ -115,114 +391,227 @@ export class ShipMachine {
       }
 
       // Phase 1: Scope the task
-      console.log(chalk.cyan('\n📋 Phase 1: Scoping task...'));
-      const scopeResult = await this._runScopeTask();
-      this.taskContext.scopeOutput = scopeResult.output;
-      console.log(chalk.green(`  ✓ Done definition: ${scopeResult.output.done_definition}`));
+      await this._runPhase('scope', '📋 Phase 1: Scoping task...', async () => {
+        const scopeResult = await this._runScopeTask();
+        this.taskContext.scopeOutput = scopeResult.output;
+        console.log(chalk.green(`  ✓ Done definition: ${scopeResult.output.done_definition}`));
+      });
 
       // Phase 2: Survey repo
-      console.log(chalk.cyan('\n🔍 Phase 2: Surveying repository...'));
-      const surveyResult = await this._runRepoSurvey();
-      this.taskContext.repoSurvey = surveyResult.output;
-      console.log(chalk.green(`  ✓ Found ${surveyResult.output.key_modules.length} key modules`));
+      await this._runPhase('survey', '🔍 Phase 2: Surveying repository...', async () => {
+        const surveyResult = await this._runRepoSurvey();
+        this.taskContext.repoSurvey = surveyResult.output;
+        console.log(chalk.green(`  ✓ Found ${surveyResult.output.key_modules.length} key modules`));
+      });
 
       // Phase 3: Plan
-      console.log(chalk.cyan('\n📝 Phase 3: Planning...'));
-      const planResult = await this._runPlan();
-      this.taskContext.plan = planResult.output;
-      const planSteps = planResult.output?.steps || [];
-      if (!planResult.output?.steps) {
-        // Mock/fallback plan for dry-run
-        this.taskContext.plan = {
-          steps: [{ id: 'step-1', description: 'Implement changes', type: 'patch', files_affected: [], test_checkpoint: true }],
-          estimated_complexity: 'low',
-          warnings: ['Mock plan — real Claude call needed for actual planning'],
-        };
-      }
-      console.log(chalk.green(`  ✓ ${this.taskContext.plan.steps.length} steps planned`));
+      await this._runPhase('plan', '📝 Phase 3: Planning...', async () => {
+        const planResult = await this._runPlan();
+        this.taskContext.plan = planResult.output;
+        if (!planResult.output?.steps) {
+          // Mock/fallback plan for dry-run
+          this.taskContext.plan = {
+            steps: [{ id: 'step-1', description: 'Implement changes', type: 'patch', files_affected: [], test_checkpoint: true }],
+            estimated_complexity: 'low',
+            warnings: ['Mock plan — real Claude call needed for actual planning'],
+          };
+        }
+        // Reject cyclic or dangling step dependencies before the plan is checkpointed
+        this.planner.buildStepGraph(this.taskContext.plan);
+        console.log(chalk.green(`  ✓ ${this.taskContext.plan.steps.length} steps planned`));
+      });
 
-      // Phase 4: Execute steps
+      // Phase 4: Execute steps (checkpointed per step, so not wrapped in _runPhase)
       console.log(chalk.cyan('\n🔨 Phase 4: Executing steps...'));
-      const stepResults = await this._executeSteps();
-      console.log(chalk.green(`  ✓ Completed ${stepResults.completed} steps`));
+      if (this.taskContext.isPhaseComplete('steps')) {
+        console.log(chalk.gray('  ↷ Already completed — restored from checkpoint'));
+      } else {
+        const stepResults = await this._executeSteps();
+        console.log(chalk.green(`  ✓ Completed ${stepResults.completed} steps`));
+
+        if (stepResults.aborted) {
+          const status = stepResults.escalated ? 'escalated' : 'aborted';
+          this._resetFailedSteps();
+          this._finishWorktree(false);
+          this._checkpoint(status, { reason: stepResults.reason });
+          return { bundlePath: null, status, reason: stepResults.reason, runId: this.runId, branch: this.worktree?.branch };
+        }
 
-      if (stepResults.aborted) {
-        return { bundlePath: null, status: 'aborted', reason: stepResults.reason };
+        this.taskContext.markPhaseComplete('steps');
+        this._checkpoint('running');
       }
 
       // Phase 5: Docs
-      console.log(chalk.cyan('\n📖 Phase 5: Updating documentation...'));
-      const docResult = await this._runDocUpdate();
-      this.taskContext.docUpdateResult = docResult.output;
-      console.log(chalk.green('  ✓ Documentation updated'));
+      await this._runPhase('docs', '📖 Phase 5: Updating documentation...', async () => {
+        const docResult = await this._runDocUpdate();
+        this.taskContext.docUpdateResult = docResult.output;
+        console.log(chalk.green('  ✓ Documentation updated'));
+      });
 
       // Phase 6: Security check
-      console.log(chalk.cyan('\n🔒 Phase 6: Security check...'));
-      const securityResult = await this._runSecurityCheck();
-      this.taskContext.securityCheckResult = securityResult.output;
-      if (!securityResult.output.safe_to_proceed) {
-        console.log(chalk.red('  ⚠️ Security issues detected! Review required before proceeding.'));
-      } else {
-        console.log(chalk.green('  ✓ Security check passed'));
-      }
+      await this._runPhase('security', '🔒 Phase 6: Security check...', async () => {
+        const securityResult = await this._runSecurityCheck();
+        this.taskContext.securityCheckResult = securityResult.output;
+        if (!securityResult.output.safe_to_proceed) {
+          console.log(chalk.red('  ⚠️ Security issues detected! Review required before proceeding.'));
+        } else {
+          console.log(chalk.green('  ✓ Security check passed'));
+        }
+      });
 
       // Phase 7: Risk assessment
-      console.log(chalk.cyan('\n⚠️ Phase 7: Risk assessment...'));
-      const riskResult = await this._runRiskAssessment();
-      this.taskContext.riskAssessment = riskResult.output;
-      console.log(chalk.green(`  ✓ Risk level: ${riskResult.output.risk_level}`));
+      await this._runPhase('risk', '⚠️ Phase 7: Risk assessment...', async () => {
+        const riskResult = await this._runRiskAssessment();
+        this.taskContext.riskAssessment = riskResult.output;
+        console.log(chalk.green(`  ✓ Risk level: ${riskResult.output.risk_level}`));
+      });
 
       // Phase 8: Rollback plan
-      console.log(chalk.cyan('\n🔄 Phase 8: Rollback plan...'));
-      const rollbackResult = await this._runRollbackPlan();
-      this.taskContext.rollbackPlan = rollbackResult.output;
-      console.log(chalk.green('  ✓ Rollback plan created'));
+      await this._runPhase('rollback', '🔄 Phase 8: Rollback plan...', async () => {
+        const rollbackResult = await this._runRollbackPlan();
+        this.taskContext.rollbackPlan = rollbackResult.output;
+        console.log(chalk.green('  ✓ Rollback plan created'));
+      });
 
       // Phase 9: PR writeup
-      console.log(chalk.cyan('\n📦 Phase 9: Creating PR bundle...'));
-      const prResult = await this._runPRWriteup();
-      this.taskContext.prWriteup = prResult.output;
-      console.log(chalk.green(`  ✓ PR title: ${prResult.output.title}`));
+      await this._runPhase('pr', '📦 Phase 9: Creating PR bundle...', async () => {
+        const prResult = await this._runPRWriteup();
+        this.taskContext.prWriteup = prResult.output;
+        console.log(chalk.green(`  ✓ PR title: ${prResult.output.title}`));
+      });
 
       // Create bundle
       if (!this.dryRun) {
-        const diff = this.workspace.collectDiff(this.repoPath);
+        this._commitPending(`Finalize: ${this.objective}`);
+        const baseCommit = this.worktree?.baseCommit;
+        const diff = this.workspace.collectDiff(this.repoPath, baseCommit);
         const bundle = this.pr.create_bundle({
           diff,
+          branch: this.worktree?.branch,
+          commits: baseCommit ? this.git.log(this.repoPath, 100, baseCommit).reverse() : [],
           testEvidence: this.taskContext.testEvidence,
-          prDescription: prResult.output,
-          riskAssessment: riskResult.output,
-          rollbackPlan: rollbackResult.output,
-          changelog: docResult.output.changelog_entry,
+          prDescription: this.taskContext.prWriteup,
+          riskAssessment: this.taskContext.riskAssessment,
+          rollbackPlan: this.taskContext.rollbackPlan,
+          changelog: this.taskContext.docUpdateResult?.changelog_entry,
           objective: this.objective,
         }, this.agentRole);
 
         console.log(chalk.green(`\n✅ PR Bundle created: ${bundle.bundlePath}`));
+        this._logUsage();
+        this._finishWorktree(true);
+        this._checkpoint('success', { bundlePath: bundle.bundlePath });
 
-        return { bundlePath: bundle.bundlePath, status: 'success' };
+        return { bundlePath: bundle.bundlePath, status: 'success', runId: this.runId, branch: this.worktree?.branch };
       } else {
         console.log(chalk.yellow('\n⚠️ Dry run complete — no PR bundle created'));
-        return { bundlePath: null, status: 'dry-run' };
+        this._logUsage();
+        this._checkpoint('dry-run');
+        return { bundlePath: null, status: 'dry-run', runId: this.runId };
       }
     } catch (err) {
       console.error(chalk.red(`\n❌ ShipMachine error: ${err.message}`));
       if (err.stack) {
         console.error(chalk.gray(err.stack));
       }
-      return { bundlePath: null, status: 'error', error: err.message };
+      if (this.runStore && this.taskContext) {
+        this._finishWorktree(false);
+        this._checkpoint('error', { error: err.message });
+        console.error(chalk.yellow(`  Resume with: shipmachine resume ${this.runId}`));
+      }
+      return { bundlePath: null, status: 'error', error: err.message, runId: this.runId };
+    }
+  }
+
+  /**
+   * Print the run's token usage and estimated cost.
+   */
+  _logUsage() {
+    const { calls, tokens, inputTokens, outputTokens, costUsd } = this.taskContext.usage;
+    console.log(chalk.gray(`  Tokens: ${tokens} (${inputTokens} in / ${outputTokens} out) over ${calls} LLM calls, ~$${costUsd.toFixed(4)}`));
+  }
+
+  // ---- Checkpointing ----
+
+  /**
+   * Run a pipeline phase unless a checkpoint says it already finished,
+   * then checkpoint the task context.
+   * @param {string} phase - phase key recorded in TaskContext.completedPhases
+   * @param {string} label - console heading
+   * @param {Function} fn - async phase body
+   */
+  async _runPhase(phase, label, fn) {
+    console.log(chalk.cyan(`\n${label}`));
+    if (this.taskContext.isPhaseComplete(phase)) {
+      console.log(chalk.gray('  ↷ Already completed — restored from checkpoint'));
+      return;
+    }
+
+    await fn();
+    this.taskContext.markPhaseComplete(phase);
+    this._checkpoint('running');
+  }
+
+  /**
+   * Persist the task context, and the prompt versions used so far
+   * (prompts.lock.json), under the run directory.
+   * Checkpoint failures are logged, never fatal to the run.
+   * @param {string} status - running | aborted | escalated | error | success | dry-run
+   * @param {Object} [extra] - additional fields to record
+   */
+  _checkpoint(status, extra = {}) {
+    try {
+      this.runStore.save(this.runId, this.taskContext, {
+        status,
+        repoPath: this.sourceRepoPath,
+        worktree: this.worktree,
+        objective: this.objective,
+        agentRole: this.agentRole,
+        user: this.user?.id,
+        dryRun: this.dryRun,
+        config: this.config,
+        ...extra,
+      });
+      this.runStore.writeArtifact(this.runId, 'prompts.lock.json', JSON.stringify(this.bridge.getLock(), null, 2) + '\n');
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Failed to write checkpoint: ${err.message}`));
     }
   }
 
   // ---- Phase Methods ----
 
+  /**
+   * Call a prompt through the bridge for a pipeline phase. The phase's
+   * sub-budget is checked first (the bridge checks the run budget), and the
+   * call's token usage and cost are accounted to the task afterwards.
+   * @param {string} phase - budget bucket: scope, survey, plan, steps, docs, ...
+   * @param {string} promptId
+   * @param {Object} inputs
+   * @param {Object} [context] - bridge context (retryCount, target_env, ...)
+   * @returns {Promise<Object>} bridge result
+   */
+  async _execute(phase, promptId, inputs, context = {}) {
+    const phaseCheck = this.policy.checkPhaseBudget(phase, this.taskContext.getPhaseUsage(phase));
+    if (!phaseCheck.ok) {
+      throw new Error(`ShipMachine: ${phaseCheck.reason}`);
+    }
+
+    const result = await this.bridge.execute(promptId, inputs, {
+      role: this.agentRole,
+      user: this.user,
+      budget: this.taskContext.getBudgetUsage(),
+      context,
+      onProgress: this.onProgress && (progress => this.onProgress({ phase, ...progress })),
+    });
+    this.taskContext.recordUsage(phase, result.usage);
+    return result;
+  }
+
   async _runScopeTask() {
-    return this.bridge.execute('ship.scope_task', {
+    return this._execute('scope', 'ship.scope_task@1.x', {
       objective: this.objective,
       repo_context: '', // Could be populated from existing context
       constraints: '',
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
@@ -242,100 +631,303 @@ export class ShipMachine {
       packageJson = this.fs.read_file(cargoPath, this.agentRole);
     }
 
-    return this.bridge.execute('ship.repo_survey', {
+    this.taskContext.codeMap = this._buildCodeMap();
+
+    return this._execute('survey', 'ship.repo_survey@1.x', {
       repo_path: this.repoPath,
       file_tree: fileTree,
       package_json_or_requirements: packageJson,
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
+      code_map: this.taskContext.codeMap,
     });
   }
 
   async _runPlan() {
-    return this.bridge.execute('ship.plan', {
+    return this._execute('plan', 'ship.plan@2.x', {
       objective: this.objective,
-      scope_output: JSON.stringify(this.taskContext.scopeOutput),
-      repo_survey_output: JSON.stringify(this.taskContext.repoSurvey),
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
+      scope_output: this.taskContext.scopeOutput,
+      repo_survey_output: this.taskContext.repoSurvey,
+      code_map: this.taskContext.codeMap || '',
     });
   }
 
+  /**
+   * Index the repo (cached per commit) and render its code map.
+   * Indexing problems never block the survey — the map is just left out.
+   * @returns {string}
+   */
+  _buildCodeMap() {
+    try {
+      const { index, map, cached } = this.codeIndexer.build({
+        repoPath: this.repoPath,
+        role: this.agentRole,
+        exclude: this.worktree?.linked,
+      });
+      const count = Object.keys(index.files).length;
+      console.log(chalk.gray(`  🗺  Code map: ${count} files indexed${cached ? ' (cached)' : ''}`));
+      return map;
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Code index unavailable: ${err.message}`));
+      return '';
+    }
+  }
+
+  /**
+   * Execute plan steps with the Planner's DAG scheduler. Independent steps
+   * run concurrently; once a step fails or an abort condition trips, no new
+   * steps are started and in-flight steps are allowed to finish.
+   * @returns {Promise<{completed: number, aborted: boolean, escalated: boolean, reason: string}>}
+   */
   async _executeSteps() {
     const plan = this.taskContext.plan;
-    const completedSteps = [];
+    const completedSteps = this.taskContext.completedSteps;
+    const running = new Map(); // stepId → Promise<{step, result?, error?}>
     let lastResult = null;
     let aborted = false;
+    let escalated = false;
     let abortReason = '';
 
     while (true) {
-      // Check abort conditions
-      const abortCheck = this.planner.shouldAbort(
-        this.taskContext.getBudgetUsage(),
-        lastResult
-      );
-      if (abortCheck.abort) {
-        aborted = true;
-        abortReason = abortCheck.reason;
-        break;
+      if (!aborted) {
+        // Check abort conditions
+        const abortCheck = this.planner.shouldAbort(
+          this.taskContext.getBudgetUsage(),
+          lastResult
+        );
+        if (abortCheck.abort) {
+          aborted = true;
+          abortReason = abortCheck.reason;
+        }
       }
 
-      // Get next step
-      const step = this.planner.selectNextStep(plan, completedSteps, lastResult);
-      if (!step) {
-        console.log(chalk.gray('  All steps completed'));
+      // Start every step that is ready
+      if (!aborted) {
+        const ready = this.planner.selectReadySteps(plan, completedSteps, [...running.keys()]);
+        for (const step of ready) {
+          console.log(chalk.gray(`\n  Step ${step.id}: ${step.description}`));
+          running.set(step.id, this._runScheduledStep(step));
+        }
+      }
+
+      if (running.size === 0) {
+        if (!aborted) {
+          const remaining = plan.steps.length - completedSteps.length;
+          if (remaining > 0) {
+            aborted = true;
+            abortReason = `${remaining} step(s) could not be scheduled`;
+          } else {
+            console.log(chalk.gray('  All steps completed'));
+          }
+        }
         break;
       }
 
-      console.log(chalk.gray(`\n  Step ${step.id}: ${step.description}`));
+      const { step, result, error } = await Promise.race(running.values());
+      running.delete(step.id);
 
-      try {
-        const result = await this._executeStep(step);
-        this.taskContext.recordStep(step.id, step.type, result);
+      if (error) {
+        this.taskContext.recordError(step.id, error);
+        this._checkpoint('running');
+        console.error(chalk.red(`  ❌ Step ${step.id} failed: ${error.message}`));
 
-        // Track modified files
-        if (result.file_path) {
-          this.taskContext.trackFileModified(result.file_path);
-        }
-        if (result.files_affected) {
-          result.files_affected.forEach(f => this.taskContext.trackFileModified(f));
+        if (!aborted) {
+          aborted = true;
+          abortReason = /budget/i.test(error.message)
+            ? error.message
+            : `Step ${step.id} failed: ${error.message}`;
         }
+        continue;
+      }
 
-        completedSteps.push(step.id);
-        lastResult = { stepId: step.id, ...result };
+      this.taskContext.recordStep(step.id, step.type, result);
 
-        // Handle next action from test interpreter
-        if (result.next_action === 'abort') {
+      // Track modified files
+      if (result.file_path) {
+        this.taskContext.trackFileModified(result.file_path);
+      }
+      if (result.files_affected) {
+        result.files_affected.forEach(f => this.taskContext.trackFileModified(f));
+      }
+
+      // Escalated or aborted steps stay incomplete so a resume retries them
+      if (result.escalated || result.nextAction === 'abort' || result.next_action === 'abort') {
+        this._checkpoint('running');
+        if (!aborted) {
           aborted = true;
-          abortReason = `Step ${step.id} requested abort`;
-          break;
+          escalated = !!result.escalated;
+          abortReason = result.reason || `Step ${step.id} requested abort`;
         }
+        continue;
+      }
+
+      try {
+        this._commitStep(step, result);
       } catch (err) {
         this.taskContext.recordError(step.id, err);
-        console.error(chalk.red(`  ❌ Step failed: ${err.message}`));
-
-        // Try to continue or abort based on error
-        if (err.message.includes('budget')) {
+        console.error(chalk.red(`  ❌ Failed to commit step ${step.id}: ${err.message}`));
+        if (!aborted) {
           aborted = true;
-          abortReason = err.message;
-          break;
+          abortReason = `Step ${step.id} could not be committed: ${err.message}`;
+        }
+        continue;
+      }
+
+      this.taskContext.markStepComplete(step.id);
+      this._checkpoint('running');
+      lastResult = { stepId: step.id, ...result };
+    }
+
+    return { completed: completedSteps.length, aborted, escalated, reason: abortReason };
+  }
+
+  /**
+   * Run one step for the scheduler. Never rejects, so Promise.race over
+   * in-flight steps always yields the step that settled.
+   */
+  async _runScheduledStep(step) {
+    try {
+      const result = await this._executeWithFixLoop(step);
+      return { step, result };
+    } catch (error) {
+      return { step, error };
+    }
+  }
+
+  /**
+   * Execute a step, then drive the fix loop while the test interpreter
+   * asks for a fix: feed the failing output back into ship.patch, re-apply,
+   * re-test. After Planner.MAX_RETRIES the step is escalated.
+   * @param {Object} step
+   * @returns {Promise<Object>} step result (escalated: true if it gave up)
+   */
+  async _executeWithFixLoop(step) {
+    let result = await this._executeStep(step);
+
+    while (result.nextAction === 'fix' || result.nextAction === 'escalate') {
+      const check = this.planner.shouldAbort(
+        this.taskContext.getBudgetUsage(),
+        { stepId: step.id, ...result }
+      );
+      if (check.abort) {
+        return { ...result, nextAction: 'abort', reason: check.reason };
+      }
+      if (check.escalate || result.nextAction === 'escalate') {
+        return this._escalate(step, result, check.reason || `Test interpreter escalated step ${step.id}`);
+      }
+
+      const attempt = this.planner.recordRetry(step.id);
+      console.log(chalk.yellow(`  ↻ Tests failing after ${step.id} — fix attempt ${attempt}/${this.planner.MAX_RETRIES}`));
+
+      const feedback = this._buildFixFeedback(result);
+
+      // An exec step verifies earlier patches — re-patch those, then re-run it
+      if (step.type === 'exec') {
+        for (const target of this._fixTargets(step)) {
+          await this._executePatchStep(target, { feedback, skipTestCheckpoint: true });
         }
       }
+
+      result = await this._executeStep(step, { feedback });
+      result.retryCount = attempt;
+    }
+
+    return result;
+  }
+
+  /**
+   * Patch steps to re-run when an exec step's tests fail: its patch/create
+   * dependencies, or failing that the last completed patch step.
+   */
+  _fixTargets(step) {
+    const plan = this.taskContext.plan;
+    const patchTypes = new Set(['patch', 'create']);
+    const depIds = new Set(this.planner.getDependencies(plan, step));
+
+    const deps = plan.steps.filter(s => depIds.has(s.id) && patchTypes.has(s.type));
+    if (deps.length > 0) return deps;
+
+    const completed = new Set(this.taskContext.completedSteps);
+    const lastPatch = plan.steps.filter(s => completed.has(s.id) && patchTypes.has(s.type)).pop();
+    return lastPatch ? [lastPatch] : [];
+  }
+
+  /**
+   * Format a failed test run for the `context` input of ship.patch.
+   */
+  _buildFixFeedback(result) {
+    const interpret = result.testResult || {};
+    const output = result.testOutput || '';
+    const tail = output.length > 4000 ? `...${output.slice(-4000)}` : output;
+
+    return [
+      '## Previous attempt failed tests — fix the failures below',
+      `Command: ${result.testCommand || 'unknown'} (exit code ${result.exitCode})`,
+      `Failing tests: ${(interpret.failing_tests || []).join(', ') || 'unknown'}`,
+      `Root cause: ${interpret.root_cause || 'unknown'}`,
+      `Suggested fix: ${interpret.suggested_fix || 'none'}`,
+      '',
+      'Test output:',
+      '```',
+      tail,
+      '```',
+    ].join('\n');
+  }
+
+  /**
+   * Give up on a step: write an escalation report into the run directory
+   * and hand back a result that stops the run. A human can fix the tree
+   * and continue with `shipmachine resume <run-id>`.
+   */
+  _escalate(step, result, reason) {
+    const interpret = result.testResult || {};
+    const report = [
+      `# Escalation: ${step.id}`,
+      '',
+      `**Run ID:** ${this.runId}`,
+      `**Step:** ${step.description}`,
+      `**Reason:** ${reason}`,
+      `**Fix attempts:** ${this.planner.getRetryCount(step.id)}`,
+      '',
+      '## Failing tests',
+      ...(interpret.failing_tests || []).map(t => `- ${t}`),
+      '',
+      '## Root cause',
+      interpret.root_cause || 'Unknown',
+      '',
+      '## Suggested fix',
+      interpret.suggested_fix || 'None',
+      '',
+      '## Test output',
+      '```',
+      result.testOutput || '',
+      '```',
+      '',
+      `Fix the working tree, then run \`shipmachine resume ${this.runId}\`.`,
+      '',
+    ].join('\n');
+
+    let reportPath = null;
+    try {
+      reportPath = this.runStore.writeArtifact(this.runId, `escalation-${step.id}.md`, report);
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Failed to write escalation report: ${err.message}`));
+    }
+
+    console.log(chalk.red(`  ⛔ ${reason}`));
+    if (reportPath) {
+      console.log(chalk.gray(`  Report: ${reportPath}`));
     }
 
-    return { completed: completedSteps.length, aborted, reason: abortReason };
+    return { ...result, escalated: true, nextAction: 'escalate', reason, reportPath };
   }
 
-  async _executeStep(step) {
+  async _executeStep(step, options = {}) {
     switch (step.type) {
       case 'analysis':
         return { complete: true, result: 'Analysis complete' };
 
       case 'patch':
       case 'create':
-        return this._executePatchStep(step);
+        return this._executePatchStep(step, options);
 
       case 'tests':
         return this._executeTestsStep(step);
@@ -354,88 +946,214 @@ export class ShipMachine {
     }
   }
 
-  async _executePatchStep(step) {
-    // Get current file content
-    const filePath = step.files_affected?.[0];
-    if (!filePath) {
+  /**
+   * @param {Object} step
+   * @param {Object} [options]
+   *   - feedback: string (failing test report from a previous attempt)
+   *   - skipTestCheckpoint: boolean (caller re-runs the tests itself)
+   */
+  async _executePatchStep(step, options = {}) {
+    const files = step.files_affected || [];
+    if (files.length === 0) {
       return { patchApplied: true };
     }
 
-    const currentContent = this.workspace.readFile(filePath);
-
-    const result = await this.bridge.execute('ship.patch', {
+    const result = await this._execute('steps', 'ship.patch@2.x', {
       step_description: step.description,
-      file_path: filePath,
-      current_content: currentContent,
-      context: '',
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
-    });
+      file_paths: files.join('\n'),
+      files_content: this._renderFilesContent(files),
+      context: this._buildPatchContext(files, options.feedback),
+    }, { retryCount: this.planner.getRetryCount(step.id) });
 
-    // Apply the patch
+    const fileEdits = this._scopePatchEdits(step, result.output.files || []);
+
+    // Apply every file's edits as one unit — any failure rolls back the step
+    let matches = [];
     if (!this.dryRun) {
-      this.workspace.applyEdits([{
-        file_path: filePath,
-        edits: result.output.edits,
-      }]);
+      const applyResult = this.workspace.applyEdits(fileEdits, { atomic: true });
+      if (applyResult.failed.length > 0) {
+        throw new Error(this._describeFailedWrite(`Patch for step ${step.id}`, applyResult));
+      }
+      matches = applyResult.matches;
+      for (const m of matches.filter(m => m.confidence < 1)) {
+        console.log(chalk.yellow(`  ≈ ${m.file}:${m.line} matched by ${m.strategy} (confidence ${m.confidence})`));
+      }
     }
 
-    return {
+    const patchResult = {
       patchApplied: true,
-      file_path: filePath,
+      promptId: result.promptId,
+      promptVersion: result.promptVersion,
+      files_affected: fileEdits.map(f => f.file_path),
+      matches,
       output: result.output,
     };
+
+    if (step.test_checkpoint && !this.dryRun && !options.skipTestCheckpoint) {
+      return { ...patchResult, ...(await this._runTestCheckpoint(step)) };
+    }
+
+    return patchResult;
+  }
+
+  /**
+   * Render the current contents of a step's files for a prompt,
+   * marking files that do not exist yet.
+   * @param {string[]} files
+   * @returns {string}
+   */
+  _renderFilesContent(files) {
+    return files.map(filePath => {
+      const body = this.workspace.fileExists(filePath)
+        ? `\`\`\`\n${this.workspace.readFile(filePath)}\n\`\`\``
+        : '(new file — does not exist yet)';
+      return `### ${filePath}\n${body}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Build the `context` input for ship.patch: fix feedback (if any) first,
+   * then related code retrieved from the repo in whatever budget is left.
+   * Retrieval failures are logged and never fail the step.
+   * @param {string[]} files
+   * @param {string} [feedback]
+   * @returns {string}
+   */
+  _buildPatchContext(files, feedback = '') {
+    let retrieved = '';
+    try {
+      const budget = this.contextBuilder.tokenBudget - this.contextBuilder.estimateTokens(feedback);
+      if (budget > 0) {
+        retrieved = this.contextBuilder.build({
+          repoPath: this.repoPath,
+          files,
+          role: this.agentRole,
+          tokenBudget: budget,
+        });
+      }
+    } catch (err) {
+      console.warn(chalk.yellow(`  ⚠️ Context retrieval failed: ${err.message}`));
+    }
+
+    return [feedback, retrieved].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Check that a patch only touches files the step declared.
+   * @returns {Array<{file_path, edits}>}
+   */
+  _scopePatchEdits(step, fileEdits) {
+    const allowed = new Set((step.files_affected || []).map(f => path.normalize(f)));
+
+    for (const fileEdit of fileEdits) {
+      if (!fileEdit?.file_path || !allowed.has(path.normalize(fileEdit.file_path))) {
+        throw new Error(
+          `Patch for step ${step.id} edits "${fileEdit?.file_path}", which is not in files_affected`
+        );
+      }
+    }
+
+    return fileEdits;
+  }
+
+  /**
+   * Error message for a failed atomic write (WorkspaceManager.applyEdits /
+   * writeFiles), naming any file the rollback left as written.
+   * @param {string} what - e.g. "Patch for step step-2"
+   * @param {Object} result
+   * @returns {string}
+   */
+  _describeFailedWrite(what, result) {
+    const details = result.failed.map(f => `${f.file}: ${f.error}`).join('; ');
+    if (!result.rollbackErrors?.length) return `${what} rolled back — ${details}`;
+    const unrestored = result.rollbackErrors.map(f => `${f.file}: ${f.error}`).join('; ');
+    return `${what} failed and its rollback was incomplete — not restored: ${unrestored} — ${details}`;
   }
 
   async _executeTestsStep(step) {
-    const filePath = step.files_affected?.[0];
-    if (!filePath) {
+    const files = step.files_affected || [];
+    if (files.length === 0) {
       return { testFileWritten: true };
     }
 
-    // Read the file to test
-    const codeContent = this.workspace.readFile(filePath);
     const testFramework = this._detectTestFramework();
+    const testFiles = [];
 
-    const result = await this.bridge.execute('ship.tests', {
-      file_path: filePath,
-      code_content: codeContent,
-      test_framework: testFramework,
-      existing_tests: '',
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
-    });
+    // Generate tests for every listed file, then write them together
+    for (const filePath of files) {
+      const result = await this._execute('steps', 'ship.tests@1.x', {
+        file_path: filePath,
+        code_content: this.workspace.readFile(filePath),
+        test_framework: testFramework,
+        existing_tests: '',
+      });
+
+      testFiles.push({
+        file_path: result.output.test_file_path,
+        content: result.output.test_content,
+      });
+    }
 
     if (!this.dryRun) {
-      this.workspace.writeFile(result.output.test_file_path, result.output.test_content);
+      const writeResult = this.workspace.writeFiles(testFiles);
+      if (writeResult.failed.length > 0) {
+        throw new Error(this._describeFailedWrite(`Test files for step ${step.id}`, writeResult));
+      }
     }
 
-    return { testFileWritten: true, testFilePath: result.output.test_file_path };
+    const testFilePaths = testFiles.map(f => f.file_path);
+    return {
+      testFileWritten: true,
+      promptId: 'ship.tests',
+      testFilePath: testFilePaths[0],
+      files_affected: testFilePaths,
+    };
   }
 
   async _executeExecStep(step) {
+    return this._runTestCheckpoint(step);
+  }
+
+  /**
+   * Run the repo's test command and interpret the result.
+   * @returns {Promise<{exitCode, testResult, nextAction, testCommand, testOutput}>}
+   */
+  async _runTestCheckpoint(step) {
     const cmd = this.taskContext.repoSurvey?.test_command || 'npm test';
-    const testResult = this.tests.run(this.repoPath, cmd, this.agentRole);
+    let testResult = this.tests.run(this.repoPath, cmd, this.agentRole);
+
+    // Dangerous commands wait for a human before they run
+    if (testResult.requiresConfirmation) {
+      const approval = await this.approvals.request({
+        runId: this.runId,
+        kind: 'command',
+        subject: cmd,
+        reason: testResult.output,
+        details: { step: step.id, cwd: this.repoPath },
+      });
+      if (!approval.approved) {
+        throw new Error(`Test command "${cmd}" was not approved (${approval.decidedBy}, request ${approval.id})`);
+      }
+      this.exec.confirmDangerous(cmd);
+      testResult = this.tests.run(this.repoPath, cmd, this.agentRole);
+    }
 
     // Store test evidence
-    this.taskContext.testEvidence = testResult;
+    this.taskContext.recordTestEvidence(step.id, testResult);
 
     // Interpret test results
-    const interpretResult = await this.bridge.execute('ship.run_tests_interpret', {
+    const interpretResult = await this._execute('steps', 'ship.run_tests_interpret@1.x', {
       test_output: testResult.output,
       test_command: cmd,
       step_context: step.description,
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
 
     return {
       exitCode: testResult.exitCode,
       testResult: interpretResult.output,
       nextAction: interpretResult.output.next_action,
+      testCommand: cmd,
+      testOutput: testResult.output,
     };
   }
 
@@ -457,58 +1175,44 @@ export class ShipMachine {
   }
 
   async _runDocUpdate() {
-    return this.bridge.execute('ship.doc_update', {
+    return this._execute('docs', 'ship.doc_update@1.x', {
       changed_files: JSON.stringify(this.taskContext.filesModified),
       changes_summary: this._summarizeChanges(),
       existing_docs: '',
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
   async _runSecurityCheck() {
-    const diff = this.workspace.collectDiff(this.repoPath);
-    return this.bridge.execute('ship.security_check', {
+    // steps are committed as they succeed, so diff against the run's base commit
+    const diff = this.workspace.collectDiff(this.repoPath, this.worktree?.baseCommit);
+    return this._execute('security', 'ship.security_check@1.x', {
       diff,
       file_paths: JSON.stringify(this.taskContext.filesModified),
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
   async _runRiskAssessment() {
-    return this.bridge.execute('ship.risk_assessment', {
+    return this._execute('risk', 'ship.risk_assessment@1.x', {
       changes_summary: this._summarizeChanges(),
       files_modified: JSON.stringify(this.taskContext.filesModified),
       test_evidence: JSON.stringify(this.taskContext.testEvidence || {}),
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
   async _runRollbackPlan() {
-    return this.bridge.execute('ship.rollback_plan', {
+    return this._execute('rollback', 'ship.rollback_plan@1.x', {
       changes_summary: this._summarizeChanges(),
       files_modified: JSON.stringify(this.taskContext.filesModified),
       git_branch: this.git.currentBranch(this.repoPath),
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
   async _runPRWriteup() {
-    return this.bridge.execute('ship.pr_writeup', {
+    return this._execute('pr', 'ship.pr_writeup@1.x', {
       objective: this.objective,
       plan_output: JSON.stringify(this.taskContext.plan),
       changes_summary: this._summarizeChanges(),
       test_evidence: JSON.stringify(this.taskContext.testEvidence || {}),
-    }, {
-      role: this.agentRole,
-      budget: this.taskContext.getBudgetUsage(),
     });
   }
 
@@ -1,36 +1,181 @@
+import path from 'path';
+
+// Used for limits missing from config.yaml `budgets`
+export const DEFAULT_BUDGETS = {
+  max_steps: 50,
+  max_tokens: 500000,
+  max_time_minutes: 30,
+  max_files_modified: 20,
+  max_cost_usd: Infinity,
+};
+
 /**
  * Planner — step selection and completion logic for the ShipMachine orchestrator.
+ *
+ * Plan steps form a DAG. A step's dependencies are its explicit `depends_on`
+ * list; a step without `depends_on` depends on the step before it, so plans
+ * that don't declare edges still run in array order. Ready steps run
+ * concurrently up to `maxParallelSteps`, except that steps touching the same
+ * file never overlap, and `exec` steps and steps with a `test_checkpoint`
+ * (which run commands over the whole working tree) always run alone.
  */
 export class Planner {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   *   - maxParallelSteps: number (default: 1)
+   *   - budgets: Object (config.yaml `budgets`; missing limits use DEFAULT_BUDGETS)
+   */
+  constructor(options = {}) {
     // Max retry attempts per step before escalating
     this.MAX_RETRIES = 2;
     this._retryCount = new Map(); // stepId → count
+    this.maxParallelSteps = Math.max(1, options.maxParallelSteps || 1);
+    this.budgets = { ...DEFAULT_BUDGETS, ...options.budgets };
+  }
+
+  /**
+   * Get the IDs of the steps a step depends on.
+   *
+   * @param {Object} plan
+   * @param {Object} step
+   * @returns {string[]}
+   */
+  getDependencies(plan, step) {
+    if (Array.isArray(step.depends_on)) {
+      return step.depends_on;
+    }
+    const idx = plan.steps.indexOf(step);
+    return idx > 0 ? [plan.steps[idx - 1].id] : [];
+  }
+
+  /**
+   * Build and validate the step dependency graph.
+   * Throws on duplicate step IDs, unknown dependencies, or cycles.
+   *
+   * @param {Object} plan - output from ship.plan ({steps: [...], ...})
+   * @returns {{deps: Map<string, string[]>, order: string[]}} deps per step and a topological order
+   */
+  buildStepGraph(plan) {
+    const steps = plan?.steps || [];
+    const deps = new Map();
+
+    for (const step of steps) {
+      if (deps.has(step.id)) {
+        throw new Error(`Planner: duplicate step ID "${step.id}"`);
+      }
+      deps.set(step.id, this.getDependencies(plan, step));
+    }
+
+    for (const [stepId, stepDeps] of deps) {
+      for (const dep of stepDeps) {
+        if (!deps.has(dep)) {
+          throw new Error(`Planner: step "${stepId}" depends on unknown step "${dep}"`);
+        }
+      }
+    }
+
+    // Depth-first topological sort with cycle detection
+    const order = [];
+    const state = new Map(); // stepId → 'visiting' | 'done'
+    const visit = (stepId, trail) => {
+      if (state.get(stepId) === 'done') return;
+      if (state.get(stepId) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(stepId)), stepId];
+        throw new Error(`Planner: dependency cycle detected: ${cycle.join(' → ')}`);
+      }
+      state.set(stepId, 'visiting');
+      for (const dep of deps.get(stepId)) {
+        visit(dep, [...trail, stepId]);
+      }
+      state.set(stepId, 'done');
+      order.push(stepId);
+    };
+
+    for (const stepId of deps.keys()) {
+      visit(stepId, []);
+    }
+
+    return { deps, order };
   }
 
   /**
-   * Select the next step to execute.
+   * Select every step that can start now: all dependencies complete, no
+   * file overlap with running steps, and within the concurrency limit.
    *
    * @param {Object} plan - output from ship.plan ({steps: [...], ...})
    * @param {string[]} completedSteps - list of completed step IDs
-   * @param {Object|null} lastResult - result of the last executed step
-   * @returns {Object|null} next step object, or null if done
+   * @param {string[]} [runningSteps=[]] - list of step IDs currently executing
+   * @returns {Object[]} steps to start, in plan order
    */
-  selectNextStep(plan, completedSteps, lastResult) {
+  selectReadySteps(plan, completedSteps, runningSteps = []) {
     if (!plan || !plan.steps || plan.steps.length === 0) {
-      return null;
+      return [];
     }
 
     const completedSet = new Set(completedSteps);
+    const runningSet = new Set(runningSteps);
+    const running = plan.steps.filter(s => runningSet.has(s.id));
+
+    // An exec or test-checkpoint step holds the whole working tree
+    if (running.some(s => this._runsAlone(s))) {
+      return [];
+    }
+
+    const lockedFiles = new Set(running.flatMap(s => this._stepFiles(s)));
+    const ready = [];
 
-    // Find the first incomplete step
     for (const step of plan.steps) {
-      if (!completedSet.has(step.id)) {
-        return step;
+      if (running.length + ready.length >= this.maxParallelSteps) break;
+      if (completedSet.has(step.id) || runningSet.has(step.id)) continue;
+
+      const depsDone = this.getDependencies(plan, step).every(dep => completedSet.has(dep));
+      if (!depsDone) continue;
+
+      if (this._runsAlone(step)) {
+        // Only start it when nothing else is in flight
+        if (running.length === 0 && ready.length === 0) {
+          ready.push(step);
+        }
+        break;
       }
+
+      const files = this._stepFiles(step);
+      if (files.some(f => lockedFiles.has(f))) continue;
+
+      files.forEach(f => lockedFiles.add(f));
+      ready.push(step);
     }
 
-    return null; // All steps done
+    return ready;
+  }
+
+  /**
+   * Select the next step to execute (sequential callers).
+   *
+   * @param {Object} plan - output from ship.plan ({steps: [...], ...})
+   * @param {string[]} completedSteps - list of completed step IDs
+   * @param {Object|null} lastResult - result of the last executed step
+   * @returns {Object|null} next step object, or null if done
+   */
+  selectNextStep(plan, completedSteps, lastResult) {
+    return this.selectReadySteps(plan, completedSteps)[0] || null;
+  }
+
+  /**
+   * Whether a step needs the working tree to itself: exec steps and test
+   * checkpoints run commands (the test suite) that read every file.
+   * @param {Object} step
+   * @returns {boolean}
+   */
+  _runsAlone(step) {
+    return step.type === 'exec' || Boolean(step.test_checkpoint);
+  }
+
+  /**
+   * Normalized file paths a step touches (used for write locks).
+   */
+  _stepFiles(step) {
+    return (step.files_affected || []).map(f => path.normalize(f));
   }
 
   /**
@@ -81,23 +226,27 @@ export class Planner {
   /**
    * Determine if the orchestrator should abort.
    *
-   * @param {Object} budget - {steps, tokens, timeMinutes, filesModified}
+   * @param {Object} budget - {steps, tokens, timeMinutes, filesModified} (TaskContext.getBudgetUsage)
    * @param {Object|null} lastResult - last step result
    * @returns {{abort: boolean, reason?: string}}
    */
   shouldAbort(budget, lastResult) {
-    // Budget limits
-    if (budget.steps >= 50) {
-      return { abort: true, reason: 'Budget exceeded: max steps reached (50)' };
+    // Budget limits (config.yaml `budgets`)
+    const limits = this.budgets;
+    if (budget.steps >= limits.max_steps) {
+      return { abort: true, reason: `Budget exceeded: max steps reached (${limits.max_steps})` };
+    }
+    if (budget.tokens >= limits.max_tokens) {
+      return { abort: true, reason: `Budget exceeded: max tokens reached (${budget.tokens}/${limits.max_tokens})` };
     }
-    if (budget.tokens >= 500000) {
-      return { abort: true, reason: 'Budget exceeded: max tokens reached (500k)' };
+    if (budget.timeMinutes >= limits.max_time_minutes) {
+      return { abort: true, reason: `Budget exceeded: max time reached (${limits.max_time_minutes} min)` };
     }
-    if (budget.timeMinutes >= 30) {
-      return { abort: true, reason: 'Budget exceeded: max time reached (30 min)' };
+    if (budget.filesModified >= limits.max_files_modified) {
+      return { abort: true, reason: `Budget exceeded: too many files modified (${limits.max_files_modified})` };
     }
-    if (budget.filesModified >= 20) {
-      return { abort: true, reason: 'Budget exceeded: too many files modified (20)' };
+    if (budget.costUsd >= limits.max_cost_usd) {
+      return { abort: true, reason: `Budget exceeded: max cost reached ($${budget.costUsd.toFixed(4)}/$${limits.max_cost_usd})` };
     }
 
     // Last result triggered abort
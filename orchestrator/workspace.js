@@ -1,13 +1,25 @@
 import fs from 'fs';
 import path from 'path';
 import { spawnSync } from 'child_process';
+import { EditMatcher } from './edit-matcher.js';
 
 /**
  * WorkspaceManager — handles repo state, file trees, edits, and diffs.
  */
 export class WorkspaceManager {
-  constructor(repoPath) {
+  /**
+   * @param {string} repoPath
+   * @param {Object} [options]
+   *   - minEditConfidence: number (default: 0.8) — fuzzy anchor matches below this are rejected
+   *   - fsTool: FilesystemTool — when set, file writes and rollbacks go through it,
+   *     so they are policy-checked and audited
+   *   - role: string — agent role passed to fsTool
+   */
+  constructor(repoPath, options = {}) {
     this.repoPath = path.resolve(repoPath);
+    this.matcher = new EditMatcher({ minConfidence: options.minEditConfidence });
+    this.fsTool = options.fsTool || null;
+    this.role = options.role || null;
   }
 
   /**
@@ -37,9 +49,7 @@ export class WorkspaceManager {
    */
   createBranch(repoPath, taskId) {
     const resolved = path.resolve(repoPath);
-    const timestamp = Date.now();
-    const safeName = taskId.toLowerCase().replace(/[^a-z0-9-]/g, '-').slice(0, 40);
-    const branchName = `shipmachine/${safeName}-${timestamp}`;
+    const branchName = this.branchName(taskId, Date.now());
 
     const result = spawnSync('git', ['checkout', '-b', branchName], {
       cwd: resolved,
@@ -60,6 +70,113 @@ export class WorkspaceManager {
     return branchName;
   }
 
+  /**
+   * Build a task branch name: shipmachine/<task-slug>-<suffix>.
+   * @param {string} taskId - free text (objective or task ID)
+   * @param {string|number} suffix - keeps names unique per run
+   * @returns {string}
+   */
+  branchName(taskId, suffix) {
+    const safeName = taskId.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `shipmachine/${safeName || 'task'}-${suffix}`;
+  }
+
+  /**
+   * Check whether a path is inside a git work tree.
+   * @param {string} repoPath
+   * @returns {boolean}
+   */
+  isGitRepo(repoPath) {
+    const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
+      cwd: path.resolve(repoPath),
+      encoding: 'utf8',
+    });
+    return result.status === 0 && result.stdout.trim() === 'true';
+  }
+
+  /**
+   * Create a linked worktree on a new branch from the repo's current HEAD,
+   * so a run never touches the user's checkout. If the branch already
+   * exists (e.g. resuming after the worktree was removed), it is checked
+   * out into the worktree instead.
+   *
+   * @param {string} repoPath - the user's checkout
+   * @param {string} worktreePath - where to create the worktree
+   * @param {string} branch
+   * @returns {{worktreePath: string, branch: string, baseCommit: string}}
+   */
+  createWorktree(repoPath, worktreePath, branch) {
+    const resolved = path.resolve(repoPath);
+    const target = path.resolve(worktreePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    const branchExists = spawnSync('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], {
+      cwd: resolved,
+      encoding: 'utf8',
+    }).status === 0;
+
+    const args = branchExists
+      ? ['worktree', 'add', target, branch]
+      : ['worktree', 'add', '-b', branch, target, 'HEAD'];
+    const result = spawnSync('git', args, { cwd: resolved, encoding: 'utf8' });
+
+    if (result.status !== 0) {
+      throw new Error(`WorkspaceManager.createWorktree: failed to create worktree for "${branch}": ${result.stderr}`);
+    }
+
+    const head = spawnSync('git', ['rev-parse', 'HEAD'], { cwd: target, encoding: 'utf8' });
+
+    return { worktreePath: target, branch, baseCommit: head.stdout.trim() };
+  }
+
+  /**
+   * Symlink ignored dependency directories (node_modules, .venv, ...) from the
+   * user's checkout into a worktree so tests can run without a fresh install.
+   * Only directories git ignores are linked, so they are never committed.
+   *
+   * @param {string} repoPath - the user's checkout
+   * @param {string} worktreePath
+   * @param {string[]} [dirs]
+   * @returns {string[]} linked directory names
+   */
+  linkDependencies(repoPath, worktreePath, dirs = ['node_modules', '.venv', 'venv']) {
+    const resolved = path.resolve(repoPath);
+    const linked = [];
+
+    for (const dir of dirs) {
+      const source = path.join(resolved, dir);
+      const target = path.join(path.resolve(worktreePath), dir);
+      if (!fs.existsSync(source) || fs.existsSync(target)) continue;
+
+      const ignored = spawnSync('git', ['check-ignore', '-q', dir], { cwd: resolved }).status === 0;
+      if (!ignored) continue;
+
+      fs.symlinkSync(source, target, 'dir');
+      linked.push(dir);
+    }
+
+    return linked;
+  }
+
+  /**
+   * Remove a linked worktree. The branch (and anything committed on it) is kept.
+   * @param {string} repoPath - the user's checkout
+   * @param {string} worktreePath
+   */
+  removeWorktree(repoPath, worktreePath) {
+    const resolved = path.resolve(repoPath);
+    const result = spawnSync('git', ['worktree', 'remove', '--force', path.resolve(worktreePath)], {
+      cwd: resolved,
+      encoding: 'utf8',
+    });
+
+    if (result.status !== 0) {
+      throw new Error(`WorkspaceManager.removeWorktree: failed to remove "${worktreePath}": ${result.stderr}`);
+    }
+
+    spawnSync('git', ['worktree', 'prune'], { cwd: resolved, encoding: 'utf8' });
+  }
+
   /**
    * Get a formatted file tree string.
    * @param {string} repoPath
@@ -129,34 +246,171 @@ export class WorkspaceManager {
 
   /**
    * Apply a list of file edits.
-   * @param {Array<{file_path: string, edits: Array<{line_start, line_end, new_content}>}>} edits
-   * @returns {{applied: string[], failed: {file: string, error: string}[]}}
+   *
+   * Each edit is one of:
+   *   - line range:  {line_start, line_end, new_content}
+   *   - anchor:      {old_text, new_text} — old_text is located by content
+   *   - diff:        {diff} — unified-diff hunks, located by content
+   * Anchor and diff edits are verified against the file (see EditMatcher);
+   * each located match is reported in `matches` with its confidence.
+   *
+   * With `atomic: true` every file's new content is computed before anything
+   * is written, and if any file fails the whole set is rolled back to its
+   * original state (files created by the edits are removed). Files the
+   * rollback could not restore are listed in `rollbackErrors`, and
+   * `rolledBack` is then false.
+   *
+   * @param {Array<{file_path: string, edits: Object[]}>} edits
+   * @param {Object} [options]
+   *   - atomic: boolean (default: false)
+   * @returns {{applied: string[], failed: {file: string, error: string}[], matches: Object[], rolledBack?: boolean,
+   *   rollbackErrors?: {file: string, error: string}[]}}
    */
-  applyEdits(edits) {
+  applyEdits(edits, options = {}) {
+    if (options.atomic) {
+      return this._applyEditsAtomic(edits);
+    }
+
     const applied = [];
     const failed = [];
+    const matches = [];
 
     for (const fileEdit of edits) {
       try {
-        this._applyFileEdits(fileEdit.file_path, fileEdit.edits);
+        matches.push(...this._applyFileEdits(fileEdit.file_path, fileEdit.edits));
         applied.push(fileEdit.file_path);
       } catch (err) {
         failed.push({ file: fileEdit.file_path, error: err.message });
       }
     }
 
-    return { applied, failed };
+    return { applied, failed, matches };
+  }
+
+  /**
+   * Write several whole files as one unit: if any write fails, every file
+   * is restored to its original state (see applyEdits for rollbackErrors).
+   * @param {Array<{file_path: string, content: string}>} files
+   * @returns {{applied: string[], failed: {file: string, error: string}[], rolledBack?: boolean,
+   *   rollbackErrors?: {file: string, error: string}[]}}
+   */
+  writeFiles(files) {
+    return this._writeAtomic(files.map(f => ({ file_path: f.file_path, content: f.content })));
+  }
+
+  /**
+   * Compute all edits in memory first (so bad edits fail before any write),
+   * then write them as one unit.
+   */
+  _applyEditsAtomic(edits) {
+    const planned = [];
+    const failed = [];
+    const matches = [];
+
+    for (const fileEdit of edits) {
+      try {
+        const computed = this._computeFileEdits(fileEdit.file_path, fileEdit.edits);
+        planned.push({ file_path: fileEdit.file_path, content: computed.content });
+        matches.push(...computed.matches);
+      } catch (err) {
+        failed.push({ file: fileEdit.file_path, error: err.message });
+      }
+    }
+
+    if (failed.length > 0) {
+      return { applied: [], failed, matches, rolledBack: false };
+    }
+
+    return { ...this._writeAtomic(planned), matches };
+  }
+
+  /**
+   * Write planned file contents, restoring snapshots on the first failure
+   * and reporting any file that could not be restored.
+   */
+  _writeAtomic(planned) {
+    const snapshots = planned.map(p => this._snapshot(p.file_path));
+    const applied = [];
+
+    for (const p of planned) {
+      try {
+        this.writeFile(p.file_path, p.content);
+        applied.push(p.file_path);
+      } catch (err) {
+        const rollbackErrors = snapshots.map(snap => this._restore(snap)).filter(Boolean);
+        return {
+          applied: [],
+          failed: [{ file: p.file_path, error: err.message }],
+          rolledBack: rollbackErrors.length === 0,
+          rollbackErrors,
+        };
+      }
+    }
+
+    return { applied, failed: [] };
+  }
+
+  /**
+   * Capture a file's current state for rollback.
+   */
+  _snapshot(filePath) {
+    const resolved = this._resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      return { file: filePath, resolved, existed: false };
+    }
+    // Non-files (e.g. a directory in the way) are left alone on restore
+    return fs.statSync(resolved).isFile()
+      ? { file: filePath, resolved, existed: true, content: fs.readFileSync(resolved, 'utf8') }
+      : { file: filePath, resolved, existed: true, content: null };
+  }
+
+  /**
+   * Restore a file from a snapshot.
+   * @returns {{file: string, error: string}|null} the failure, null when restored
+   */
+  _restore(snap) {
+    try {
+      if (snap.existed && snap.content !== null) {
+        this.writeFile(snap.resolved, snap.content);
+      } else if (!snap.existed && fs.existsSync(snap.resolved)) {
+        if (this.fsTool) this.fsTool.delete_file(snap.resolved, this.role);
+        else fs.unlinkSync(snap.resolved);
+      }
+      return null;
+    } catch (err) {
+      return { file: snap.file, error: err.message };
+    }
   }
 
   /**
    * Apply edits to a single file.
    * @param {string} filePath - absolute path
-   * @param {Array<{line_start, line_end, new_content, reason}>} edits
+   * @param {Object[]} edits
+   * @returns {Object[]} matches
    */
   _applyFileEdits(filePath, edits) {
-    const resolved = path.isAbsolute(filePath)
-      ? filePath
-      : path.join(this.repoPath, filePath);
+    const { content, matches } = this._computeFileEdits(filePath, edits);
+    this.writeFile(filePath, content);
+    return matches;
+  }
+
+  /**
+   * Compute a file's content after applying edits, without writing.
+   *
+   * Line-range edits all refer to the original numbering, so they are
+   * applied first (bottom to top). Anchor and diff edits are then applied
+   * in order, each located against the content as it stands.
+   *
+   * @param {string} filePath
+   * @param {Object[]} edits
+   * @returns {{content: string, matches: {file, strategy, confidence, line}[]}}
+   */
+  _computeFileEdits(filePath, edits) {
+    if (!Array.isArray(edits)) {
+      throw new Error(`WorkspaceManager: edits for "${filePath}" must be an array`);
+    }
+
+    const resolved = this._resolve(filePath);
 
     // Read existing content (or start with empty for new files)
     let content = '';
@@ -164,10 +418,24 @@ export class WorkspaceManager {
       content = fs.readFileSync(resolved, 'utf8');
     }
 
+    const lineEdits = edits.filter(e => e.old_text === undefined && e.diff === undefined);
+    const contentEdits = edits.filter(e => e.old_text !== undefined || e.diff !== undefined);
+
     let lines = content.split('\n');
 
+    for (const edit of lineEdits) {
+      if (!Number.isInteger(edit.line_start) || !Number.isInteger(edit.line_end)) {
+        throw new Error(`WorkspaceManager: edit for "${filePath}" has non-integer line range`);
+      }
+      if (edit.line_start < 1 || edit.line_start > lines.length + 1 || edit.line_end < edit.line_start - 1) {
+        throw new Error(
+          `WorkspaceManager: edit for "${filePath}" has out-of-range lines ${edit.line_start}-${edit.line_end} (file has ${lines.length})`
+        );
+      }
+    }
+
     // Sort edits from bottom to top to preserve line numbers
-    const sortedEdits = [...edits].sort((a, b) => b.line_start - a.line_start);
+    const sortedEdits = [...lineEdits].sort((a, b) => b.line_start - a.line_start);
 
     for (const edit of sortedEdits) {
       const { line_start, line_end, new_content } = edit;
@@ -178,21 +446,121 @@ export class WorkspaceManager {
       lines.splice(start, end - start, ...newLines);
     }
 
-    const newContent = lines.join('\n');
+    content = lines.join('\n');
+    const matches = [];
 
-    // Ensure parent directory exists
-    fs.mkdirSync(path.dirname(resolved), { recursive: true });
-    fs.writeFileSync(resolved, newContent, 'utf8');
+    for (const edit of contentEdits) {
+      try {
+        content = edit.diff !== undefined
+          ? this._applyDiffEdit(content, edit.diff, matches)
+          : this._applyAnchorEdit(content, edit, matches);
+      } catch (err) {
+        throw new Error(`WorkspaceManager: edit for "${filePath}" rejected — ${err.message}`);
+      }
+    }
+
+    return { content, matches: matches.map(m => ({ file: filePath, ...m })) };
+  }
+
+  /**
+   * Replace old_text with new_text. A verbatim, unique occurrence is
+   * replaced in place; otherwise whole lines are located by EditMatcher.
+   */
+  _applyAnchorEdit(content, edit, matches) {
+    const oldText = edit.old_text;
+    const newText = edit.new_text ?? '';
+
+    if (oldText === '') {
+      if (content.trim() !== '') {
+        throw new Error('empty old_text is only allowed for new or empty files');
+      }
+      matches.push({ strategy: 'exact', confidence: 1, line: 1 });
+      return newText;
+    }
+
+    const occurrences = content.split(oldText).length - 1;
+    if (occurrences > 1) {
+      throw new Error(`old_text is ambiguous — it occurs ${occurrences} times; include more surrounding lines`);
+    }
+    if (occurrences === 1) {
+      const idx = content.indexOf(oldText);
+      matches.push({ strategy: 'exact', confidence: 1, line: content.slice(0, idx).split('\n').length });
+      return content.slice(0, idx) + newText + content.slice(idx + oldText.length);
+    }
+
+    const lines = content.split('\n');
+    const match = this.matcher.locate(lines, oldText);
+    const oldFirst = oldText.split('\n').find(l => l.trim()) || '';
+    const newLines = this.matcher.reindent(newText.split('\n'), oldFirst, lines[match.start]);
+    if (newText.endsWith('\n') && newLines.at(-1) === '') newLines.pop();
+
+    lines.splice(match.start, match.end - match.start, ...newLines);
+    matches.push({ strategy: match.strategy, confidence: match.confidence, line: match.start + 1 });
+    return lines.join('\n');
   }
 
   /**
-   * Collect unified diff of all uncommitted changes.
+   * Apply unified-diff hunks in order. Hunk line numbers are only used to
+   * break ties between equally good matches.
+   */
+  _applyDiffEdit(content, diffText, matches) {
+    const hunks = this.matcher.parseUnifiedDiff(diffText);
+    let lines = content.split('\n');
+    let offset = 0;
+
+    for (const hunk of hunks) {
+      if (hunk.oldLines.length === 0) {
+        // Pure insertion: only the line number says where it goes
+        if (content === '') lines = [];
+        const match = this.matcher.placeInsertion(lines, hunk.oldStart + offset, { blank: content.trim() === '' });
+        lines.splice(match.start, 0, ...hunk.newLines);
+        offset += hunk.newLines.length;
+        matches.push({ strategy: match.strategy, confidence: match.confidence, line: match.start + 1 });
+        continue;
+      }
+
+      const match = this.matcher.locate(lines, hunk.oldLines.join('\n'), {
+        hintLine: hunk.oldStart + offset,
+      });
+      const newLines = match.strategy === 'exact'
+        ? hunk.newLines
+        : this.matcher.reindent(hunk.newLines, hunk.oldLines.find(l => l.trim()) || '', lines[match.start]);
+
+      lines.splice(match.start, match.end - match.start, ...newLines);
+      offset += newLines.length - (match.end - match.start);
+      matches.push({ strategy: match.strategy, confidence: match.confidence, line: match.start + 1 });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Resolve a repo-relative path.
+   */
+  _resolve(filePath) {
+    return path.isAbsolute(filePath)
+      ? filePath
+      : path.join(this.repoPath, filePath);
+  }
+
+  /**
+   * Collect unified diff of all uncommitted changes, or — given a base
+   * commit — of everything changed since it (committed or not).
    * @param {string} repoPath
+   * @param {string} [baseRef]
    * @returns {string}
    */
-  collectDiff(repoPath) {
+  collectDiff(repoPath, baseRef = null) {
     const resolved = path.resolve(repoPath);
 
+    if (baseRef) {
+      const sinceBase = spawnSync('git', ['diff', baseRef], {
+        cwd: resolved,
+        encoding: 'utf8',
+      });
+      return sinceBase.stdout || '';
+    }
+
     const staged = spawnSync('git', ['diff', '--cached'], {
       cwd: resolved,
       encoding: 'utf8',
@@ -224,7 +592,16 @@ export class WorkspaceManager {
   }
 
   /**
-   * Write file content.
+   * Check whether a file exists in the workspace.
+   * @param {string} relativePath
+   * @returns {boolean}
+   */
+  fileExists(relativePath) {
+    return fs.existsSync(this._resolve(relativePath));
+  }
+
+  /**
+   * Write file content (through fsTool when set).
    * @param {string} relativePath
    * @param {string} content
    */
@@ -233,6 +610,10 @@ export class WorkspaceManager {
       ? relativePath
       : path.join(this.repoPath, relativePath);
 
+    if (this.fsTool) {
+      this.fsTool.write_file(resolved, content, this.role);
+      return;
+    }
     fs.mkdirSync(path.dirname(resolved), { recursive: true });
     fs.writeFileSync(resolved, content, 'utf8');
   }
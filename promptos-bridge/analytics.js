@@ -1,6 +1,16 @@
 import fs from 'fs';
 import path from 'path';
 
+// Grouping keys for getCostBreakdown()
+const COST_DIMENSIONS = {
+  run: e => e.run_id,
+  user: e => e.user_id,
+  role: e => e.role,
+  prompt: e => e.prompt_id,
+  model: e => e.model,
+  day: e => (e.timestamp || '').slice(0, 10),
+};
+
 /**
  * Analytics — append-only event log for PromptOS calls.
  * Every bridge.execute() call is logged here for audit + optimization.
@@ -8,6 +18,7 @@ import path from 'path';
  * Extended with governance fields:
  * - run_id, objective_type, step_index, tool_calls, passed, failure_reason
  * - model, role, user_id, retry_count, channel
+ * - input_tokens, output_tokens, cost_usd (estimated from config.yaml `pricing`)
  */
 export class Analytics {
   constructor(analyticsDir = null) {
@@ -38,6 +49,9 @@ export class Analytics {
    *   - failure_reason: string?
    *   - duration_ms: number
    *   - tokens_used: number
+   *   - input_tokens: number
+   *   - output_tokens: number
+   *   - cost_usd: number? (null when the model has no price)
    *   - model: string
    *   - role: string
    *   - user_id: string?
@@ -50,16 +64,21 @@ export class Analytics {
       timestamp: event.timestamp || new Date().toISOString(),
       objective_type: event.objective_type || 'feature',
       prompt_id: event.promptId || event.prompt_id,
+      prompt_version: event.prompt_version || null,
       step_index: event.stepIndex || event.step_index || 0,
       tool_calls: event.tool_calls || event.toolCalls || [],
       passed: event.success ?? event.passed ?? true,
       failure_reason: event.failure_reason || event.error || null,
       duration_ms: event.durationMs || event.duration_ms || 0,
       tokens_used: event.tokensUsed || event.tokens_used || 0,
+      input_tokens: event.input_tokens || 0,
+      output_tokens: event.output_tokens || 0,
+      cost_usd: event.cost_usd ?? null,
       model: event.model || null,
       role: event.role || 'engineer',
       user_id: event.user_id || null,
       retry_count: event.retry_count || event.retryCount || 0,
+      repair_attempts: event.repair_attempts || 0,
       channel: event.channel || null,
     };
 
@@ -80,9 +99,12 @@ export class Analytics {
     const stats = {
       totalCalls: events.length,
       totalTokens: 0,
+      totalCostUsd: 0,
       totalDuration: 0,
       successCount: 0,
       failedCount: 0,
+      repairedCalls: 0,
+      repairAttempts: 0,
       promptBreakdown: {},
       avgDuration: 0,
       successRate: 0,
@@ -94,6 +116,7 @@ export class Analytics {
 
     for (const event of events) {
       stats.totalTokens += event.tokens_used || 0;
+      stats.totalCostUsd += event.cost_usd || 0;
       stats.totalDuration += event.duration_ms || 0;
       
       if (event.passed) {
@@ -106,6 +129,11 @@ export class Analytics {
         stats.runs.add(event.run_id);
       }
 
+      if (event.repair_attempts > 0) {
+        stats.repairedCalls++;
+        stats.repairAttempts += event.repair_attempts;
+      }
+
       if (!stats.promptBreakdown[event.prompt_id]) {
         stats.promptBreakdown[event.prompt_id] = {
           calls: 0,
@@ -143,12 +171,50 @@ export class Analytics {
       ? Math.round((stats.successCount / events.length) * 100)
       : 0;
 
+    stats.totalCostUsd = Math.round(stats.totalCostUsd * 1e6) / 1e6;
     stats.totalRuns = stats.runs.size;
     delete stats.runs;
 
     return stats;
   }
 
+  /**
+   * Break down spend by a dimension.
+   * @param {string} by - run | user | role | prompt | model | day
+   * @param {Object} [options]
+   *   - since: string (ISO date; only events at or after it)
+   * @returns {{key: string, calls: number, inputTokens: number, outputTokens: number,
+   *            tokens: number, costUsd: number, unpricedCalls: number}[]} most expensive first
+   */
+  getCostBreakdown(by, options = {}) {
+    const keyOf = COST_DIMENSIONS[by];
+    if (!keyOf) {
+      throw new Error(`Analytics: unknown cost dimension "${by}" (use ${Object.keys(COST_DIMENSIONS).join(', ')})`);
+    }
+
+    const groups = new Map();
+    for (const event of this._loadAll()) {
+      if (options.since && (event.timestamp || '') < options.since) continue;
+
+      const key = keyOf(event) || '(none)';
+      if (!groups.has(key)) {
+        groups.set(key, { key, calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, costUsd: 0, unpricedCalls: 0 });
+      }
+      const group = groups.get(key);
+      group.calls++;
+      group.inputTokens += event.input_tokens || 0;
+      group.outputTokens += event.output_tokens || 0;
+      group.tokens += event.tokens_used || 0;
+      // Events logged before cost tracking, or for unpriced models, have no cost
+      if (typeof event.cost_usd === 'number') group.costUsd += event.cost_usd;
+      else if (event.tokens_used) group.unpricedCalls++;
+    }
+
+    return [...groups.values()]
+      .map(g => ({ ...g, costUsd: Math.round(g.costUsd * 1e6) / 1e6 }))
+      .sort((a, b) => b.costUsd - a.costUsd || b.tokens - a.tokens);
+  }
+
   /**
    * Load recent events.
    * @param {number} [limit=100]
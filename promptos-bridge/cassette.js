@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+/**
+ * Cassette — recorded LLM responses keyed by the hash of the rendered
+ * prompt (and its few-shot turns, when there are any), for reproducible
+ * offline runs.
+ *
+ *   record  every response is saved (the file is rewritten after each call)
+ *   replay  responses are served from the file; the model is never called,
+ *           and a prompt that wasn't recorded is an error
+ *
+ * Run-specific values in prompts (a worktree path, a branch name) are
+ * masked before hashing — see mask(). A prompt sent several times is
+ * answered in the order it was recorded.
+ * Re-recording replaces a prompt's responses the first time it is seen, so
+ * an interrupted recording can be resumed without losing earlier entries.
+ *
+ * File format (JSON):
+ *   { version: 1, interactions: { <sha256>: [{model, provider, mock, prompt_preview,
+ *                                             text, input_tokens, output_tokens}] } }
+ */
+export class Cassette {
+  /**
+   * @param {string} filePath
+   * @param {string} mode - 'record' | 'replay'
+   */
+  constructor(filePath, mode) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Cassette: unknown mode "${mode}" (expected ${CASSETTE_MODES.join(' or ')})`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.interactions = {};
+    this._recorded = new Set(); // keys re-recorded this session
+    this._played = new Map();   // key → responses served
+    this._masks = [];           // [value, placeholder], longest value first
+
+    if (fs.existsSync(filePath)) {
+      try {
+        this.interactions = JSON.parse(fs.readFileSync(filePath, 'utf8')).interactions || {};
+      } catch (err) {
+        throw new Error(`Cassette: cannot read ${filePath}: ${err.message}`);
+      }
+    } else if (mode === 'replay') {
+      throw new Error(`Cassette: ${filePath} not found (record it first)`);
+    }
+  }
+
+  /**
+   * Key for a rendered prompt (and its few-shot turns, if any).
+   * @param {string} prompt
+   * @param {Array<{prompt, output}>} [examples]
+   * @returns {string} hex sha256
+   */
+  static key(prompt, examples = []) {
+    const text = examples.length > 0 ? JSON.stringify({ examples, prompt }) : prompt;
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Replace a run-specific value with a placeholder when keying prompts,
+   * so recording and replaying runs produce the same keys.
+   * @param {string} value - e.g. '/tmp/.shipmachine-worktrees/app-1a2b3c4d'
+   * @param {string} placeholder - e.g. '<worktree>'
+   */
+  mask(value, placeholder) {
+    if (!value) return;
+    this._masks.push([value, placeholder]);
+    this._masks.sort((a, b) => b[0].length - a[0].length);
+  }
+
+  /**
+   * Serve the next recorded response for a prompt.
+   * @param {{prompt: string}} request
+   * @returns {{text, inputTokens, outputTokens, provider, mock}}
+   * @throws {Error} when the prompt wasn't recorded, or was sent more times than recorded
+   */
+  replay(request) {
+    const prompt = this._masked(request.prompt);
+    const key = this._key(request);
+    const recorded = this.interactions[key] || [];
+    const index = this._played.get(key) || 0;
+    const preview = JSON.stringify(prompt.slice(0, 80));
+
+    if (recorded.length === 0) {
+      throw new Error(`Cassette: no recorded response for prompt ${key.slice(0, 12)} ${preview} in ${this.filePath} — the prompt changed or was never recorded; re-record the cassette`);
+    }
+    if (index >= recorded.length) {
+      throw new Error(`Cassette: prompt ${key.slice(0, 12)} ${preview} was recorded ${recorded.length} time(s) but is being sent again in ${this.filePath}`);
+    }
+
+    this._played.set(key, index + 1);
+    const entry = recorded[index];
+    return {
+      text: entry.text,
+      inputTokens: entry.input_tokens,
+      outputTokens: entry.output_tokens,
+      provider: entry.provider,
+      mock: entry.mock,
+    };
+  }
+
+  /**
+   * Save a response and rewrite the cassette file.
+   * @param {{prompt: string, model: string}} request
+   * @param {{text, inputTokens, outputTokens, provider, mock}} response
+   */
+  record(request, response) {
+    const prompt = this._masked(request.prompt);
+    const key = this._key(request);
+    if (!this._recorded.has(key)) {
+      this._recorded.add(key);
+      this.interactions[key] = [];
+    }
+    this.interactions[key].push({
+      model: request.model,
+      provider: response.provider,
+      mock: response.mock,
+      prompt_preview: prompt.slice(0, 200),
+      text: response.text,
+      input_tokens: response.inputTokens,
+      output_tokens: response.outputTokens,
+    });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _key(request) {
+    const examples = (request.examples || []).map(example => ({ ...example, prompt: this._masked(example.prompt) }));
+    return Cassette.key(this._masked(request.prompt), examples);
+  }
+
+  _masked(prompt) {
+    return this._masks.reduce((text, [value, placeholder]) => text.split(value).join(placeholder), prompt);
+  }
+}
+
+export default Cassette;
@@ -0,0 +1,64 @@
+/**
+ * CircuitBreaker — stops calling a provider that keeps failing.
+ *
+ *   closed     calls go through; consecutive transient failures are counted
+ *   open       after failureThreshold of them, calls fail immediately
+ *   half-open  once cooldownMs has passed, one trial call goes through —
+ *              success closes the circuit, failure opens it again
+ *
+ * Every call allowed through must be settled with recordSuccess() or
+ * recordFailure(), or a half-open circuit never leaves that state.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   *   - failureThreshold: number (default 5)
+   *   - cooldownMs: number (default 60000)
+   *   - now: () => number (clock, for tests)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs ?? 60000;
+    this.now = options.now || Date.now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a call may be made now. Moves an open circuit whose cooldown
+   * has passed to half-open.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial call.
+   * @returns {number}
+   */
+  retryInMs() {
+    return this.state === 'open' ? Math.max(0, this.openedAt + this.cooldownMs - this.now()) : 0;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+}
+
+export default CircuitBreaker;
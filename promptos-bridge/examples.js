@@ -0,0 +1,50 @@
+import { Template } from './template.js';
+import { checkInputs } from './input-validator.js';
+
+/**
+ * A prompt spec's `examples` ({inputs, expected_output}) rendered the way the
+ * bridge renders a real call: inputs coerced against the declared inputs,
+ * then the template. Used as few-shot turns and by `shipmachine pack test`.
+ */
+
+/**
+ * Render one example.
+ * @param {Object} example - {inputs, expected_output}
+ * @param {Object} spec - prompt spec (uses spec._template when loaded by the bridge)
+ * @param {Template} [template] - compiled template (default: spec._template, or spec.prompt)
+ * @returns {{prompt: string|null, output: string|null, errors: string[]}}
+ *   prompt is null when the inputs are invalid; output is the expected
+ *   output as JSON, null when the example has none
+ */
+export function renderExample(example, spec, template = spec._template || new Template(spec.prompt)) {
+  const { inputs, errors } = checkInputs(example.inputs || {}, spec.inputs);
+  return {
+    prompt: errors.length > 0 ? null : template.render(inputs),
+    output: example.expected_output === undefined ? null : JSON.stringify(example.expected_output, null, 2),
+    errors,
+  };
+}
+
+/**
+ * Few-shot turns for a call: the first `limit` examples with valid inputs
+ * and an expected output.
+ * @param {Object} spec
+ * @param {Object} [options]
+ *   - limit: number (0 for none)
+ *   - exclude: number (index of an example to leave out — the one under test)
+ *   - template: Template
+ * @returns {Array<{prompt: string, output: string}>}
+ */
+export function fewShotTurns(spec, options = {}) {
+  const { limit = 0, exclude = -1, template } = options;
+  const turns = [];
+  for (const [index, example] of (spec.examples || []).entries()) {
+    if (turns.length >= limit) break;
+    if (index === exclude) continue;
+    const { prompt, output } = renderExample(example, spec, template);
+    if (prompt !== null && output !== null) turns.push({ prompt, output });
+  }
+  return turns;
+}
+
+export default fewShotTurns;
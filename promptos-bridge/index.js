@@ -1,4 +1,5 @@
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
@@ -7,6 +8,22 @@ import { PolicyEngine } from '../control-plane/policy.js';
 import { RBAC } from '../control-plane/rbac.js';
 import { LLMAdapter } from './llm-adapter.js';
 import { Analytics } from './analytics.js';
+import { PriceTable, DEFAULT_PRICES } from './pricing.js';
+import { validateSchema, compileSchema } from './schema-validator.js';
+import { checkInputs } from './input-validator.js';
+import { Template } from './template.js';
+import { fewShotTurns } from './examples.js';
+import { parseVersion, compareVersions, satisfies, validRange } from './semver.js';
+
+/**
+ * Split a prompt reference ("ship.patch@1.x") into ID and version range.
+ * @param {string} ref
+ * @returns {{id: string, range: string|null}}
+ */
+export function parsePromptRef(ref) {
+  const at = String(ref).indexOf('@');
+  return at === -1 ? { id: String(ref), range: null } : { id: ref.slice(0, at), range: ref.slice(at + 1).trim() || null };
+}
 
 /**
  * PromptOSBridge — the central mediator for all LLM calls in ShipMachine ShipMachine.
@@ -15,11 +32,12 @@ import { Analytics } from './analytics.js';
  * 1. Policy check (role + model + data class)
  * 2. RBAC check
  * 3. Budget check
- * 4. Load prompt spec from registry
- * 5. Render template
+ * 4. Resolve the prompt spec version from the registry (locked for the run)
+ * 5. Check inputs against the spec's declared inputs, then render its template (see template.js)
  * 6. Call LLM
- * 7. Validate output
- * 8. Log analytics
+ * 7. Validate output (JSON Schema; invalid output is sent back for repair)
+ * 8. Approval rules over the output (governance.yaml)
+ * 9. Log analytics
  * 
  * New execute() signature:
  * execute({ promptId, inputs, user, role, model, channel, context })
@@ -27,7 +45,7 @@ import { Analytics } from './analytics.js';
 export class PromptOSBridge {
   /**
    * @param {string} promptosPath - path to promptos/packs/ directory
-   * @param {Object} config - {configPath, model, maxTokens}
+   * @param {Object} config - {configPath, model, maxTokens, approvals, cassette}
    * @param {Analytics} [analytics] - analytics instance (created if not provided)
    */
   constructor(promptosPath, config = {}, analytics = null) {
@@ -41,20 +59,58 @@ export class PromptOSBridge {
     this.rbac.loadRoles(configPath);
 
     // LLM
+    const llmConfig = this.policy.config.llm || {};
     this.llm = new LLMAdapter({
       model: config.model,
       maxTokens: config.maxTokens,
+      idleTimeoutMs: llmConfig.idle_timeout_seconds ? llmConfig.idle_timeout_seconds * 1000 : undefined,
+      provider: llmConfig.provider,
+      providers: llmConfig.providers,
+      cassette: config.cassette,
+      mockWithoutCredentials: llmConfig.mock_without_credentials,
+      retry: llmConfig.retry && {
+        maxAttempts: llmConfig.retry.max_attempts,
+        baseDelayMs: llmConfig.retry.base_delay_ms,
+        maxDelayMs: llmConfig.retry.max_delay_ms,
+      },
+      circuitBreaker: llmConfig.circuit_breaker && {
+        failureThreshold: llmConfig.circuit_breaker.failure_threshold,
+        cooldownMs: llmConfig.circuit_breaker.cooldown_seconds && llmConfig.circuit_breaker.cooldown_seconds * 1000,
+      },
     });
 
-    // Analytics
+    // Invalid outputs are sent back to the model this many times before failing
+    this.maxRepairAttempts = llmConfig.max_repair_attempts ?? 2;
+
+    // Spec examples sent as few-shot turns before each prompt (0: none)
+    this.fewShotExamples = llmConfig.few_shot_examples ?? 0;
+
+    // Analytics and cost estimates
     this.analytics = analytics || new Analytics(config.analyticsDir);
+    this.pricing = new PriceTable({ ...DEFAULT_PRICES, ...this.policy.config.pricing });
 
-    // Prompt registry cache: promptId → PromptSpec
-    this._registry = new Map();
+    // Prompt registry: promptId → every loaded version of its PromptSpec, highest first
+    this._versions = new Map();
+    this._packs = [];
+    // Problems found in packs and specs at load time: [{promptId | pack, message}]
+    this.registryIssues = [];
     this._loadRegistry();
 
-    // Run ID for this session
+    // Run ID for this session, and the prompt versions it has resolved (ref → lock entry)
     this._runId = uuidv4();
+    this._lock = new Map();
+
+    // Approval gates (see setApprovalManager)
+    this.approvals = config.approvals || null;
+  }
+
+  /**
+   * Set the ApprovalManager used to block on prompts that policy gates.
+   * Without one, gated prompts fail instead of running unapproved.
+   * @param {ApprovalManager} manager
+   */
+  setApprovalManager(manager) {
+    this.approvals = manager;
   }
 
   /**
@@ -69,11 +125,23 @@ export class PromptOSBridge {
    */
   startNewRun() {
     this._runId = uuidv4();
+    this._lock = new Map();
+    return this._runId;
+  }
+
+  /**
+   * Continue an existing run (analytics keep the original run ID; see
+   * setLock to pin it to the prompt versions it used)
+   * @param {string} runId
+   */
+  resumeRun(runId) {
+    this._runId = runId;
     return this._runId;
   }
 
   /**
-   * Load all prompt specs from all packs in the promptos path.
+   * Load all prompt packs in the promptos path. Every version of every
+   * prompt is kept; packs whose dependencies aren't installed are skipped.
    */
   _loadRegistry() {
     const packsDir = this.promptosPath;
@@ -82,49 +150,173 @@ export class PromptOSBridge {
       return;
     }
 
+    // linked packs (`shipmachine pack load`) are symlinks to directories
     const packDirs = fs.readdirSync(packsDir, { withFileTypes: true })
-      .filter(d => d.isDirectory())
-      .map(d => path.join(packsDir, d.name));
+      .map(d => path.join(packsDir, d.name))
+      .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory())
+      .sort(); // conflicts resolve in directory name order
 
+    const packs = [];
     for (const packDir of packDirs) {
       try {
-        this._loadPack(packDir);
+        const pack = this._readPack(packDir);
+        if (pack) packs.push(pack);
       } catch (err) {
         console.warn(`PromptOSBridge: failed to load pack at ${packDir}: ${err.message}`);
       }
     }
+
+    for (const pack of this._checkPacks(packs)) {
+      try {
+        this._loadPack(pack);
+        pack.enabled = true;
+      } catch (err) {
+        this._registryIssue({ pack: `${pack.name}@${pack.version}` }, err.message);
+      }
+    }
+    this._packs = packs;
   }
 
   /**
-   * Load a single prompt pack.
+   * Read a pack's pack.yaml.
    * @param {string} packDir - path to the pack directory
+   * @returns {{name, version, dependencies, dir, config, enabled}|null} null without a pack.yaml
    */
-  _loadPack(packDir) {
+  _readPack(packDir) {
     const packYamlPath = path.join(packDir, 'pack.yaml');
-    if (!fs.existsSync(packYamlPath)) return;
+    if (!fs.existsSync(packYamlPath)) return null;
 
-    const packConfig = yaml.load(fs.readFileSync(packYamlPath, 'utf8'));
+    const config = yaml.load(fs.readFileSync(packYamlPath, 'utf8')) || {};
+    const version = String(config.version ?? '0.0.0');
+    if (!parseVersion(version)) throw new Error(`invalid version "${version}" (expected semver, e.g. 1.2.0)`);
+    for (const [name, range] of Object.entries(config.dependencies || {})) {
+      if (!validRange(range)) throw new Error(`invalid version range "${range}" for dependency "${name}"`);
+    }
+
+    return {
+      name: config.name || path.basename(packDir),
+      version,
+      dependencies: config.dependencies || {},
+      dir: packDir,
+      config,
+      enabled: false,
+    };
+  }
+
+  /**
+   * Drop duplicate packs and packs whose dependencies aren't met (which can
+   * in turn leave other packs' dependencies unmet).
+   * @param {Object[]} packs
+   * @returns {Object[]} packs to load
+   */
+  _checkPacks(packs) {
+    let usable = [];
+    for (const pack of packs) {
+      const same = usable.find(other => other.name === pack.name && other.version === pack.version);
+      if (same) {
+        this._registryIssue({ pack: `${pack.name}@${pack.version}` }, `installed twice (${same.dir}, ${pack.dir}); using ${same.dir}`);
+      } else {
+        usable.push(pack);
+      }
+    }
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const pack of usable) {
+        for (const [name, range] of Object.entries(pack.dependencies)) {
+          const installed = usable.filter(other => other.name === name);
+          if (installed.some(other => satisfies(other.version, range))) continue;
+          const found = installed.length > 0 ? `installed: ${installed.map(other => other.version).join(', ')}` : 'not installed';
+          this._registryIssue({ pack: `${pack.name}@${pack.version}` }, `requires ${name}@${range} (${found}); pack not loaded`);
+          usable = usable.filter(other => other !== pack);
+          changed = true;
+          break;
+        }
+      }
+    }
+    return usable;
+  }
+
+  /**
+   * Register a pack's prompts. A prompt version already provided by
+   * another pack is a conflict: the first one loaded is kept. Between
+   * installed versions of the same pack, the newest pack's copy is kept.
+   * @param {Object} pack - from _readPack
+   */
+  _loadPack(pack) {
+    const { config: packConfig, dir: packDir } = pack;
+
+    // Partials shared by the pack's templates: { name: file }
+    const partials = {};
+    for (const [name, file] of Object.entries(packConfig.partials || {})) {
+      partials[name] = fs.readFileSync(path.join(packDir, file), 'utf8');
+    }
 
     for (const promptRef of (packConfig.prompts || [])) {
       const promptPath = path.join(packDir, promptRef.file);
       try {
-        const spec = yaml.load(fs.readFileSync(promptPath, 'utf8'));
-        this._registry.set(promptRef.id, {
+        const source = fs.readFileSync(promptPath, 'utf8');
+        const spec = yaml.load(source);
+        const version = String(spec.version ?? pack.version);
+        if (!parseVersion(version)) throw new Error(`invalid version "${version}" (expected semver, e.g. 1.2.0)`);
+
+        const versions = this._versions.get(promptRef.id) || [];
+        const existing = versions.find(other => other.version === version);
+        if (existing && existing._packName === pack.name) {
+          // several installed versions of one pack: the newest pack's copy wins
+          if (compareVersions(pack.version, existing._packVersion) <= 0) continue;
+          versions.splice(versions.indexOf(existing), 1);
+        } else if (existing) {
+          this._registryIssue({ promptId: promptRef.id },
+            `version ${version} is provided by both ${existing._packName}@${existing._packVersion} and ${pack.name}@${pack.version}; using ${existing._packName}`);
+          continue;
+        }
+
+        const template = new Template(spec.prompt, { partials, name: promptRef.id });
+        // A schema that can't be checked fails the spec here, not every call
+        const schemaErrors = compileSchema(spec.outputs?.schema, 'outputs.schema');
+        if (schemaErrors.length > 0) throw new Error(schemaErrors.join('; '));
+
+        versions.push({
           ...spec,
-          _packName: packConfig.name,
+          version,
+          _packName: pack.name,
+          _packVersion: pack.version,
           _packDir: packDir,
+          _template: template,
+          _sha256: crypto.createHash('sha256').update(source).digest('hex'),
         });
+        versions.sort((a, b) => compareVersions(b.version, a.version));
+        this._versions.set(promptRef.id, versions);
+
+        // Paths the template reads that the spec's inputs can't provide
+        for (const message of template.check(spec.inputs)) {
+          this._registryIssue({ promptId: promptRef.id }, message);
+        }
       } catch (err) {
+        this.registryIssues.push({ promptId: promptRef.id, message: err.message });
         console.warn(`PromptOSBridge: failed to load prompt ${promptRef.id}: ${err.message}`);
       }
     }
   }
 
+  /**
+   * Record and print a problem found while loading the registry.
+   * @param {{promptId?: string, pack?: string}} subject
+   * @param {string} message
+   */
+  _registryIssue(subject, message) {
+    this.registryIssues.push({ ...subject, message });
+    console.warn(`PromptOSBridge: ${subject.promptId ? `prompt ${subject.promptId}` : `pack ${subject.pack}`} ${message}`);
+  }
+
   /**
    * Reload the prompt registry (e.g., after adding a new pack).
    */
   reloadRegistry() {
-    this._registry.clear();
+    this._versions.clear();
+    this.registryIssues = [];
     this._loadRegistry();
   }
 
@@ -133,16 +325,89 @@ export class PromptOSBridge {
    * @returns {string[]}
    */
   listPrompts() {
-    return Array.from(this._registry.keys());
+    return Array.from(this._versions.keys());
   }
 
   /**
-   * Get a specific prompt spec.
+   * List the registered versions of a prompt, highest first.
    * @param {string} promptId
+   * @returns {string[]}
+   */
+  listPromptVersions(promptId) {
+    return (this._versions.get(promptId) || []).map(spec => spec.version);
+  }
+
+  /**
+   * List the packs found in the promptos path.
+   * @returns {{name, version, dependencies, dir, enabled}[]} enabled is false for packs that were not loaded
+   */
+  listPacks() {
+    return this._packs.map(({ name, version, dependencies, dir, enabled }) => ({ name, version, dependencies, dir, enabled }));
+  }
+
+  /**
+   * Get a prompt spec by reference: "ship.patch" (highest version, stable
+   * releases first), "ship.patch@1.x", "ship.patch@^1.2.0", "ship.patch@1.2.0".
+   * @param {string} ref
    * @returns {Object|null}
    */
-  getPromptSpec(promptId) {
-    return this._registry.get(promptId) || null;
+  getPromptSpec(ref) {
+    const { id, range } = parsePromptRef(ref);
+    const versions = this._versions.get(id) || [];
+    if (range === null) {
+      return versions.find(spec => parseVersion(spec.version).prerelease.length === 0) || versions[0] || null;
+    }
+    if (!validRange(range)) {
+      throw new Error(`PromptOS: invalid version range "${range}" in "${ref}"`);
+    }
+    return versions.find(spec => satisfies(spec.version, range)) || null;
+  }
+
+  /**
+   * Prompt versions resolved in this run, for the run's lockfile.
+   * @returns {{version: 1, run_id: string, prompts: Object}} prompts: ref → {id, version, pack, pack_version, sha256}
+   */
+  getLock() {
+    return { version: 1, run_id: this._runId, prompts: Object.fromEntries(this._lock) };
+  }
+
+  /**
+   * Pin this run to a lockfile's prompt versions (when resuming a run).
+   * @param {Object} lock - from getLock()
+   */
+  setLock(lock) {
+    this._lock = new Map(Object.entries(lock?.prompts || {}));
+  }
+
+  /**
+   * Resolve a prompt reference for this run: the locked version if the run
+   * already used the reference, else the best match, which is then locked.
+   * @param {string} ref
+   * @returns {Object} spec
+   */
+  _resolvePrompt(ref) {
+    const locked = this._lock.get(ref);
+    if (locked) {
+      const spec = (this._versions.get(locked.id) || []).find(s => s.version === locked.version && s._packName === locked.pack);
+      if (!spec) {
+        throw new Error(`PromptOS: this run is locked to ${locked.id}@${locked.version} from ${locked.pack}@${locked.pack_version}, which is no longer installed`);
+      }
+      if (spec._sha256 !== locked.sha256) {
+        console.warn(`PromptOS: ${locked.id}@${locked.version} has changed since this run locked it`);
+      }
+      return spec;
+    }
+
+    const { id, range } = parsePromptRef(ref);
+    if (!this._versions.has(id)) {
+      throw new Error(`PromptOS: prompt "${id}" not found in registry. Available: ${this.listPrompts().join(', ')}`);
+    }
+    const spec = this.getPromptSpec(ref);
+    if (!spec) {
+      throw new Error(`PromptOS: no version of "${id}" matches "${range}" (available: ${this.listPromptVersions(id).join(', ')})`);
+    }
+    this._lock.set(ref, { id, version: spec.version, pack: spec._packName, pack_version: spec._packVersion, sha256: spec._sha256 });
+    return spec;
   }
 
   /**
@@ -150,20 +415,25 @@ export class PromptOSBridge {
    * 
    * New signature with governance support:
    * @param {Object} options
-   *   - promptId: string
+   *   - promptId: string ("ship.patch", or with a version range: "ship.patch@1.x")
    *   - inputs: object
    *   - user: { id, name, email }
    *   - role: string (agent role)
    *   - model: string (model to use)
    *   - channel: string (telegram, discord, webchat, etc.)
    *   - context: { target_env, ... }
-   * @returns {Promise<{promptId, output, tokensUsed, durationMs, policyChecked: true}>}
+   *   - budget: { steps, tokens, ... } usage so far, checked against config.yaml budgets
+   *   - onProgress: ({callId, promptId, outputTokens, elapsedMs, done}) => void, streaming progress
+   *   - fewShot: number of spec examples sent as few-shot turns (default: llm.few_shot_examples)
+   * @returns {Promise<{promptId, promptVersion, output, tokensUsed, usage, durationMs, policyChecked: true, repairAttempts, fewShotExamples, provider, isMock}>}
+   *   usage: {inputTokens, outputTokens, totalTokens, costUsd} (costUsd null for unpriced models),
+   *   summed over schema repair calls
    */
   async execute(optionsOrPromptId, inputsArg = {}, contextArg = {}) {
     // Support both calling conventions:
     // execute({promptId, inputs, role, ...})  (new style)
     // execute(promptId, inputs, {role, ...})  (orchestrator style)
-    let promptId, inputs, user, role, model, channel, context;
+    let promptId, inputs, user, role, model, channel, context, budget, onProgress, fewShot;
     if (typeof optionsOrPromptId === 'string') {
       promptId = optionsOrPromptId;
       inputs = inputsArg || {};
@@ -172,110 +442,176 @@ export class PromptOSBridge {
       model = contextArg?.model || null;
       channel = contextArg?.channel || 'cli';
       context = contextArg?.context || {};
+      budget = contextArg?.budget;
+      onProgress = contextArg?.onProgress;
+      fewShot = contextArg?.fewShot;
     } else {
-      ({ promptId, inputs = {}, user = null, role = 'engineer', model = null, channel = 'cli', context = {} } = optionsOrPromptId);
+      ({ promptId, inputs = {}, user = null, role = 'engineer', model = null, channel = 'cli', context = {}, budget, onProgress, fewShot } = optionsOrPromptId);
     }
 
+    // "ship.patch@1.x" — governance applies to the prompt ID, whatever the version
+    const promptRef = promptId;
+    promptId = parsePromptRef(promptRef).id;
+
     const startTime = Date.now();
     const effectiveModel = model || this.config.model || 'claude-sonnet-4-6';
 
+    // Every governance decision below is written to the audit log
+    const auditRecord = { event: 'prompt', run_id: this._runId, user_id: user?.id || null, role, prompt_id: promptId, model: effectiveModel };
+    const deny = (message, extra = {}) => {
+      this.policy.audit({ ...auditRecord, decision: 'denied', policy_violations: [message], ...extra });
+      return new Error(`PromptOS: ${message}`);
+    };
+
     // Step 1: Policy check (including model allowlist)
     if (!this.policy.checkPromptAllowed(role, promptId)) {
-      throw new Error(`PromptOS: policy denies prompt "${promptId}" for role "${role}"`);
+      throw deny(`policy denies prompt "${promptId}" for role "${role}"`);
     }
 
     // Check model allowlist
     if (!this.policy.checkModelAllowed(role, effectiveModel)) {
-      throw new Error(`PromptOS: model "${effectiveModel}" not allowed for role "${role}"`);
+      throw deny(`model "${effectiveModel}" not allowed for role "${role}"`);
     }
 
     // Step 2: RBAC check
     if (!this.rbac.hasPromptAccess(role, promptId)) {
-      throw new Error(`PromptOS: RBAC denies prompt "${promptId}" for role "${role}"`);
+      throw deny(`RBAC denies prompt "${promptId}" for role "${role}"`);
     }
 
-    // Step 3: Budget check
-    const budget = context.budget || {};
-    const budgetCheck = this.policy.checkBudget(budget);
+    // Step 3: Budget check (run usage so far, e.g. TaskContext.getBudgetUsage())
+    const budgetCheck = this.policy.checkBudget(budget || context.budget || {});
     if (!budgetCheck.ok) {
-      throw new Error(`PromptOS: budget exceeded — ${budgetCheck.reason}`);
+      throw deny(`budget exceeded — ${budgetCheck.reason}`);
     }
     if (budgetCheck.warnings) {
       console.warn(`⚠️  Budget warning: ${budgetCheck.warnings.join(', ')}`);
     }
 
-    // Step 4: Check approval requirements
-    const approvalCheck = this.policy.requiresApproval(promptId, context);
+    // Step 4: Resolve the prompt version (locked for the rest of the run) and
+    // check inputs against its declared inputs (required, type, max_length),
+    // so invalid calls are rejected before anyone is asked to approve them
+    const spec = this._resolvePrompt(promptRef);
+    const inputCheck = checkInputs(inputs, spec.inputs);
+    if (inputCheck.errors.length > 0) {
+      throw deny(`invalid inputs for "${promptId}": ${inputCheck.errors.join('; ')}`);
+    }
+    inputs = inputCheck.inputs;
+
+    // Step 5: Check approval requirements — blocks until a human decides
+    const approvalCheck = this.policy.requiresApproval(promptId, context, inputs);
+    let approved = context.approved ? true : null;
     if (approvalCheck.required && !context.approved) {
-      console.warn(`⚠️  Approval required: ${approvalCheck.reason}`);
-      // In production, this would block. For now, warn.
+      const approval = await this._awaitApproval('prompt', promptId, approvalCheck.reason,
+        { role, model: effectiveModel, target_env: context.target_env }, deny);
+      // a dry run passes the gate without anyone approving
+      approved = approval.dryRun ? null : true;
     }
 
-    // Step 5: Infer and check data class from inputs
+    // Step 6: Infer and check data class from inputs
     const inputText = JSON.stringify(inputs);
     const inferredDataClass = this.policy.inferDataClass(inputText);
     const dataClassCheck = this.policy.checkDataClass(role, inferredDataClass);
     if (!dataClassCheck.allowed) {
-      throw new Error(`PromptOS: data class "${inferredDataClass}" not allowed for role "${role}"`);
+      throw deny(`data class "${inferredDataClass}" not allowed for role "${role}"`, { data_class: inferredDataClass, approved });
     }
 
-    // Step 6: Load prompt spec from registry
-    const spec = this._registry.get(promptId);
-    if (!spec) {
-      throw new Error(`PromptOS: prompt "${promptId}" not found in registry. Available: ${this.listPrompts().join(', ')}`);
-    }
+    this.policy.audit({ ...auditRecord, decision: 'allowed', data_class: inferredDataClass, approved, policy_violations: [] });
 
     // Step 7: Redact inputs if needed (for PII data class)
     const sanitizedInputs = dataClassCheck.requiresRedaction
-      ? this._redactInputs(inputs)
+      ? this._redactInputs(inputs, inferredDataClass)
       : inputs;
 
     // Step 8: Render prompt template with inputs
-    const renderedPrompt = this._renderTemplate(spec.prompt, sanitizedInputs);
+    const renderedPrompt = this._renderTemplate(spec._template || spec.prompt, sanitizedInputs);
+
+    // Step 9: Call LLM (streamed; progress is tagged with this call's ID),
+    // with the spec's examples as few-shot turns when enabled
+    // Step 10: Validate the output against the spec's JSON Schema; an invalid
+    // output goes back to the model with the errors, up to maxRepairAttempts times
+    const callId = uuidv4();
+    const callOptions = {
+      onProgress: onProgress && (progress => onProgress({ callId, promptId, ...progress })),
+      examples: fewShotTurns(spec, { limit: fewShot ?? this.fewShotExamples, template: spec._template }),
+    };
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+    let llmResult = null;
+    let repairAttempts = 0;
+    let validationErrors = [];
+    const callLLM = async (promptText) => {
+      llmResult = await this.llm.call(promptText, effectiveModel, spec.outputs?.schema, callOptions);
+      usage.inputTokens += llmResult.inputTokens || 0;
+      usage.outputTokens += llmResult.outputTokens || 0;
+      usage.totalTokens = usage.inputTokens + usage.outputTokens;
+      usage.costUsd = this.pricing.cost(effectiveModel, usage.inputTokens, usage.outputTokens);
+      return this._validateOutput(llmResult.content, spec);
+    };
+
+    const logFailure = reason => this._logAnalytics({
+      promptId,
+      stepIndex: context.stepIndex || 0,
+      toolCalls: [],
+      passed: false,
+      failure_reason: reason,
+      durationMs: Date.now() - startTime,
+      usage,
+      repairAttempts,
+      promptVersion: spec.version,
+      model: effectiveModel,
+      role,
+      user_id: user?.id || null,
+      retryCount: context.retryCount || 0,
+      objective_type: context.objective_type || 'feature',
+    });
 
-    // Step 9: Call LLM
-    let llmResult;
     try {
-      llmResult = await this.llm.call(renderedPrompt, effectiveModel, spec.outputs?.schema);
+      validationErrors = await callLLM(renderedPrompt);
+      while (validationErrors.length > 0 && repairAttempts < this.maxRepairAttempts) {
+        repairAttempts++;
+        console.warn(`PromptOS: output of "${promptId}" failed validation (${validationErrors.length} error(s)) — repair attempt ${repairAttempts}/${this.maxRepairAttempts}`);
+        validationErrors = await callLLM(this._repairPrompt(renderedPrompt, llmResult.content, validationErrors, spec));
+      }
     } catch (err) {
-      const durationMs = Date.now() - startTime;
-      this._logAnalytics({
-        promptId,
-        stepIndex: context.stepIndex || 0,
-        toolCalls: [],
-        passed: false,
-        failure_reason: err.message,
-        durationMs,
-        tokensUsed: 0,
-        model: effectiveModel,
-        role,
-        user_id: user?.id || null,
-        retryCount: context.retryCount || 0,
-        objective_type: context.objective_type || 'feature',
-      });
-      throw new Error(`PromptOS: LLM call failed for "${promptId}": ${err.message}`);
+      logFailure(err.message);
+      throw new Error(`PromptOS: LLM call failed for "${promptId}": ${err.message}`, { cause: err });
     }
 
-    const { content, tokensUsed, isMock } = llmResult;
+    if (validationErrors.length > 0) {
+      const summary = `${validationErrors.slice(0, 5).join('; ')}${validationErrors.length > 5 ? ` (+${validationErrors.length - 5} more)` : ''}`;
+      logFailure(`schema validation failed: ${summary}`);
+      throw new Error(`PromptOS: output of "${promptId}" failed schema validation after ${repairAttempts} repair attempt(s): ${summary}`);
+    }
+
+    const output = llmResult.content;
+    const { isMock } = llmResult;
+    const tokensUsed = usage.totalTokens;
     const durationMs = Date.now() - startTime;
 
-    // Step 10: Validate output schema
-    let output = content;
-    try {
-      output = this._validateOutput(content, spec, promptId);
-    } catch (err) {
-      console.warn(`PromptOS: output validation warning for "${promptId}": ${err.message}`);
-      output = content;
+    // Step 11: Approval rules over the output — block before it is used
+    const outputApprovalCheck = this.policy.requiresOutputApproval(promptId, output, context, inputs);
+    if (outputApprovalCheck.required) {
+      const approval = await this._awaitApproval('prompt-output', promptId, outputApprovalCheck.reason,
+        { role, model: effectiveModel, target_env: context.target_env, output }, deny);
+      this.policy.audit({
+        ...auditRecord,
+        event: 'prompt-output',
+        decision: approval.dryRun ? 'allowed' : 'approved',
+        data_class: inferredDataClass,
+        approved: approval.dryRun ? null : true,
+        policy_violations: [],
+      });
     }
 
-    // Step 11: Log to analytics with full governance context
+    // Step 12: Log to analytics with full governance context
     this._logAnalytics({
       promptId,
       stepIndex: context.stepIndex || 0,
       toolCalls: context.toolCalls || [],
       passed: true,
       durationMs,
-      tokensUsed,
+      usage,
+      repairAttempts,
+      promptVersion: spec.version,
       model: effectiveModel,
       role,
       user_id: user?.id || null,
@@ -286,10 +622,15 @@ export class PromptOSBridge {
 
     return {
       promptId,
+      promptVersion: spec.version,
       output,
       tokensUsed,
+      usage,
       durationMs,
       policyChecked: true,
+      repairAttempts,
+      fewShotExamples: callOptions.examples.length,
+      provider: llmResult.provider,
       isMock,
       governance: {
         dataClass: inferredDataClass,
@@ -302,15 +643,36 @@ export class PromptOSBridge {
   }
 
   /**
-   * Redact PII from inputs
+   * Block until the approval provider decides on a gated prompt.
+   * @param {string} kind - 'prompt' (before the call) | 'prompt-output' (after it)
+   * @param {string} promptId
+   * @param {string} reason
+   * @param {Object} details
+   * @param {Function} deny - audits the denial and returns the Error to throw
+   * @returns {Promise<Object>} the approval record
    */
-  _redactInputs(inputs) {
+  async _awaitApproval(kind, promptId, reason, details, deny) {
+    const what = kind === 'prompt-output' ? `output of "${promptId}"` : `"${promptId}"`;
+    if (!this.approvals) {
+      throw deny(`${what} requires approval (${reason}) but no approval provider is configured`, { event: kind, approved: false });
+    }
+    const approval = await this.approvals.request({ runId: this._runId, kind, subject: promptId, reason, details });
+    if (!approval.approved) {
+      throw deny(`approval denied for ${what} (${approval.decidedBy}, request ${approval.id})`, { event: kind, approved: false });
+    }
+    return approval;
+  }
+
+  /**
+   * Redact inputs with the data class's redact_patterns
+   */
+  _redactInputs(inputs, dataClass) {
     const redacted = {};
     for (const [key, value] of Object.entries(inputs)) {
       if (typeof value === 'string') {
-        redacted[key] = this.policy.redact(value, 'pii');
-      } else if (typeof value === 'object') {
-        redacted[key] = this._redactInputs(value);
+        redacted[key] = this.policy.redact(value, dataClass);
+      } else if (typeof value === 'object' && value !== null) {
+        redacted[key] = this._redactInputs(value, dataClass);
       } else {
         redacted[key] = value;
       }
@@ -327,16 +689,21 @@ export class PromptOSBridge {
       timestamp: new Date().toISOString(),
       objective_type: event.objective_type,
       prompt_id: event.promptId,
+      prompt_version: event.promptVersion || null,
       step_index: event.stepIndex,
       tool_calls: event.toolCalls,
       passed: event.passed,
       failure_reason: event.failure_reason || null,
       duration_ms: event.durationMs,
-      tokens_used: event.tokensUsed,
+      tokens_used: event.usage.totalTokens,
+      input_tokens: event.usage.inputTokens,
+      output_tokens: event.usage.outputTokens,
+      cost_usd: event.usage.costUsd,
       model: event.model,
       role: event.role,
       user_id: event.user_id,
       retry_count: event.retryCount,
+      repair_attempts: event.repairAttempts || 0,
       channel: event.channel,
     });
   }
@@ -352,61 +719,52 @@ export class PromptOSBridge {
   }
 
   /**
-   * Render a prompt template by substituting {{var}} placeholders.
-   * @param {string} template
+   * Render a prompt template with the given inputs.
+   * @param {Template|string} template - compiled template, or template source
    * @param {Object} inputs
    * @returns {string}
    */
   _renderTemplate(template, inputs) {
     if (!template) return '';
-
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = inputs[key];
-      if (value === undefined || value === null) {
-        return `[${key}: not provided]`;
-      }
-      if (typeof value === 'object') {
-        return JSON.stringify(value, null, 2);
-      }
-      return String(value);
-    });
+    return (template instanceof Template ? template : new Template(template)).render(inputs);
   }
 
   /**
-   * Validate LLM output against the prompt spec's expected schema.
-   * Basic validation — checks required top-level keys exist.
+   * Validate LLM output against the prompt spec's output schema.
+   * @returns {string[]} validation errors (empty when valid or the spec has no schema)
    */
-  _validateOutput(content, spec, promptId) {
-    if (!spec.outputs?.schema) return content;
-
-    // Check that content is an object (not a string or null)
-    if (typeof content !== 'object' || content === null) {
-      throw new Error(`Expected JSON object output for "${promptId}", got: ${typeof content}`);
-    }
-
-    const schema = spec.outputs.schema;
-
-    // Check required top-level properties exist
-    if (schema.required && Array.isArray(schema.required)) {
-      const missing = schema.required.filter(key => !(key in content));
-      if (missing.length > 0) {
-        throw new Error(`Missing required output fields for "${promptId}": ${missing.join(', ')}`);
-      }
-    }
-
-    // Check that typed properties have right types
-    if (schema.properties) {
-      for (const [key, propSchema] of Object.entries(schema.properties)) {
-        if (key in content && propSchema.type) {
-          const actualType = Array.isArray(content[key]) ? 'array' : typeof content[key];
-          if (actualType !== propSchema.type) {
-            console.warn(`PromptOS: output field "${key}" expected ${propSchema.type}, got ${actualType}`);
-          }
-        }
-      }
-    }
+  _validateOutput(content, spec) {
+    if (!spec.outputs?.schema) return [];
+    return validateSchema(content, { type: 'object', ...spec.outputs.schema });
+  }
 
-    return content;
+  /**
+   * Build the prompt asking the model to fix an output that failed validation.
+   * @param {string} renderedPrompt - the original prompt
+   * @param {any} content - the invalid output ({raw} when it wasn't JSON)
+   * @param {string[]} errors
+   * @param {Object} spec
+   * @returns {string}
+   */
+  _repairPrompt(renderedPrompt, content, errors, spec) {
+    const previous = content?.raw !== undefined && Object.keys(content).length === 1
+      ? String(content.raw)
+      : JSON.stringify(content, null, 2);
+    return [
+      renderedPrompt,
+      '',
+      '## Your previous response',
+      previous,
+      '',
+      '## It does not match the required output schema',
+      ...errors.map(error => `- ${error}`),
+      '',
+      '```json',
+      JSON.stringify(spec.outputs.schema, null, 2),
+      '```',
+      '',
+      'Respond again with the complete corrected JSON object only.',
+    ].join('\n');
   }
 }
 
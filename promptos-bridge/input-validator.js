@@ -0,0 +1,75 @@
+import { validateSchema } from './schema-validator.js';
+
+/**
+ * Checks prompt inputs against a PromptSpec's declared `inputs`:
+ *
+ *   inputs:
+ *     - name: objective
+ *       type: string        # string, number, integer, boolean, array, object
+ *       required: true
+ *       max_length: 4000    # strings only (after coercion)
+ *
+ * Values are coerced where the intent is unambiguous: objects, arrays,
+ * numbers and booleans given for a string input are serialized the way the
+ * template would render them, and numeric / "true" / "false" strings are
+ * parsed for number and boolean inputs. null counts as not provided.
+ * Inputs the spec doesn't declare are passed through untouched.
+ */
+
+/**
+ * Coerce and validate inputs.
+ * @param {Object} inputs
+ * @param {Object[]} [declared] - the spec's `inputs` list
+ * @returns {{inputs: Object, errors: string[]}} coerced inputs, and errors as "inputs.<name>: <problem>"
+ */
+export function checkInputs(inputs, declared) {
+  if (!Array.isArray(declared) || declared.length === 0) return { inputs, errors: [] };
+
+  const coerced = { ...inputs };
+  for (const input of declared) {
+    if (coerced[input.name] === null) delete coerced[input.name];
+    if (coerced[input.name] !== undefined) coerced[input.name] = coerce(coerced[input.name], input.type);
+  }
+
+  return { inputs: coerced, errors: validateSchema(coerced, inputSchema(declared), 'inputs') };
+}
+
+/**
+ * JSON Schema equivalent of a spec's declared inputs.
+ * @param {Object[]} declared
+ * @returns {Object}
+ */
+export function inputSchema(declared) {
+  const properties = {};
+  for (const input of declared) {
+    properties[input.name] = {
+      ...(input.type ? { type: input.type } : {}),
+      ...(input.max_length !== undefined ? { maxLength: input.max_length } : {}),
+    };
+  }
+  return {
+    type: 'object',
+    required: declared.filter(input => input.required).map(input => input.name),
+    properties,
+  };
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'object') return JSON.stringify(value, null, 2);
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return value;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+      return value;
+    case 'boolean':
+      if (value === 'true' || value === 'false') return value === 'true';
+      return value;
+    default:
+      return value;
+  }
+}
+
+export default checkInputs;
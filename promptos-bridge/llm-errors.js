@@ -0,0 +1,101 @@
+/**
+ * Kinds of LLM provider failure. Transient kinds are retried with backoff
+ * and count toward a provider's circuit breaker; the others fail at once.
+ *
+ *   rate_limit       HTTP 429
+ *   overloaded       HTTP 529 / overloaded_error
+ *   timeout          request or stream timed out
+ *   server           other 5xx
+ *   network          connection refused, reset, DNS failure
+ *   auth             HTTP 401 / 403 — bad or missing API key
+ *   invalid_request  other 4xx — bad model ID, prompt too long, ...
+ *   circuit_open     the provider's circuit breaker is open
+ *   unknown          anything else
+ */
+export const TRANSIENT_ERROR_KINDS = ['rate_limit', 'overloaded', 'timeout', 'server', 'network'];
+
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * LLMError — a classified provider failure.
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} kind - one of the kinds above
+   * @param {string} message
+   * @param {Object} [details]
+   *   - provider: string
+   *   - status: number (HTTP status)
+   *   - retryAfterMs: number (server-requested delay)
+   *   - cause: Error
+   */
+  constructor(kind, message, details = {}) {
+    const where = [details.provider, kind].filter(Boolean).join(' ');
+    const status = details.status ? ` (HTTP ${details.status})` : '';
+    super(`LLMAdapter: ${where}${status}: ${message}`, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'LLMError';
+    this.kind = kind;
+    this.provider = details.provider || null;
+    this.status = details.status || null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+
+  /** Whether retrying the same request may succeed. */
+  get transient() {
+    return TRANSIENT_ERROR_KINDS.includes(this.kind);
+  }
+}
+
+/**
+ * Classify an error thrown by a provider (Anthropic SDK errors, HTTP
+ * status errors from the OpenAI-compatible provider, fetch failures).
+ * @param {Error} err
+ * @param {string} [provider] - provider name
+ * @returns {LLMError}
+ */
+export function classifyError(err, provider = null) {
+  if (err instanceof LLMError) return err;
+
+  const status = typeof err?.status === 'number' ? err.status : null;
+  const type = err?.error?.error?.type || err?.error?.type || null;
+  const className = err?.constructor?.name || '';
+  const code = err?.cause?.code || err?.code;
+
+  let kind = 'unknown';
+  if (status === 429 || type === 'rate_limit_error') kind = 'rate_limit';
+  else if (status === 529 || type === 'overloaded_error') kind = 'overloaded';
+  else if (status === 401 || status === 403 || type === 'authentication_error' || type === 'permission_error') kind = 'auth';
+  else if (status === 408 || className === 'APIConnectionTimeoutError') kind = 'timeout';
+  else if (status >= 500) kind = 'server';
+  else if (status >= 400) kind = 'invalid_request';
+  else if (className === 'APIConnectionError' || NETWORK_CODES.has(code) || err?.message === 'fetch failed') kind = 'network';
+
+  return new LLMError(kind, err?.message || String(err), {
+    provider,
+    status,
+    retryAfterMs: retryAfterMs(err?.headers),
+    cause: err,
+  });
+}
+
+/**
+ * Server-requested retry delay from `retry-after-ms` / `retry-after` headers.
+ * @param {Object|Headers} [headers]
+ * @returns {number|null}
+ */
+function retryAfterMs(headers) {
+  if (!headers) return null;
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+  const ms = Number(get('retry-after-ms'));
+  if (get('retry-after-ms') !== null && Number.isFinite(ms)) return ms;
+
+  const value = get('retry-after');
+  if (value === null) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export default LLMError;
@@ -0,0 +1,541 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import yaml from 'js-yaml';
+import { Template } from './template.js';
+import { checkInputs } from './input-validator.js';
+import { validateSchema, compileSchema } from './schema-validator.js';
+import { parseVersion, satisfies, validRange, compareVersions } from './semver.js';
+import { LLMAdapter } from './llm-adapter.js';
+import { renderExample, fewShotTurns } from './examples.js';
+
+const INPUT_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const SCHEMA_TYPES = [...INPUT_TYPES, 'null'];
+// Pack names become directory names (<name>-<version>), so they must be a plain slug
+const PACK_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * PackManager — installs, validates and compares prompt packs.
+ *
+ * A pack source is a directory holding pack.yaml, a tarball (.tgz, .tar.gz,
+ * .tar) of one, or an installed pack: "name" (newest) or "name@range".
+ */
+export class PackManager {
+  /**
+   * @param {string} packsDir - the promptos/packs directory
+   */
+  constructor(packsDir) {
+    this.packsDir = packsDir;
+  }
+
+  /**
+   * List installed packs, newest version of each name first.
+   * @returns {{name: string, version: string, dir: string, linked: boolean}[]}
+   */
+  list() {
+    if (!fs.existsSync(this.packsDir)) return [];
+    return fs.readdirSync(this.packsDir, { withFileTypes: true })
+      .map(d => path.join(this.packsDir, d.name))
+      .filter(dir => fs.existsSync(path.join(dir, 'pack.yaml')))
+      .map(dir => {
+        const config = yaml.load(fs.readFileSync(path.join(dir, 'pack.yaml'), 'utf8')) || {};
+        return {
+          name: config.name || path.basename(dir),
+          version: String(config.version ?? '0.0.0'),
+          dir,
+          linked: fs.lstatSync(dir).isSymbolicLink(),
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name) || compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Read a pack and its prompt specs without validating them.
+   * @param {string} source - directory, tarball or installed "name[@range]"
+   * @returns {Object} {name, version, dependencies, dir, config, partials, prompts: [{id, file, source, spec, error}], cleanup}
+   */
+  read(source) {
+    const { dir, cleanup } = this._resolveSource(source);
+    try {
+      const packYamlPath = path.join(dir, 'pack.yaml');
+      const config = yaml.load(fs.readFileSync(packYamlPath, 'utf8')) || {};
+
+      const partials = {};
+      const partialErrors = [];
+      for (const [name, file] of Object.entries(config.partials || {})) {
+        const partialPath = path.join(dir, file);
+        if (fs.existsSync(partialPath)) partials[name] = fs.readFileSync(partialPath, 'utf8');
+        else partialErrors.push(`partial "${name}": file not found: ${file}`);
+      }
+
+      const prompts = (config.prompts || []).map(ref => {
+        const prompt = { id: ref.id, file: ref.file, source: null, spec: null, error: null };
+        try {
+          prompt.source = fs.readFileSync(path.join(dir, ref.file), 'utf8');
+          prompt.spec = yaml.load(prompt.source) || {};
+        } catch (err) {
+          prompt.error = err.code === 'ENOENT' ? `file not found: ${ref.file}` : err.message;
+        }
+        return prompt;
+      });
+
+      return {
+        name: config.name,
+        version: String(config.version ?? '0.0.0'),
+        dependencies: config.dependencies || {},
+        dir,
+        config,
+        partials,
+        partialErrors,
+        prompts,
+        cleanup,
+      };
+    } catch (err) {
+      cleanup();
+      throw err;
+    }
+  }
+
+  /**
+   * Lint a pack: pack.yaml, every spec's schema and inputs, template syntax
+   * and placeholders, and that each example's inputs and expected_output
+   * match the spec.
+   * @param {string|Object} source - pack source, or a pack from read()
+   * @returns {{name: string, version: string, errors: Object[], warnings: Object[]}}
+   *   problems as {promptId?, message}
+   */
+  validate(source) {
+    const pack = typeof source === 'string' ? this.read(source) : source;
+    const errors = [];
+    const warnings = [];
+    try {
+      errors.push(...identityErrors(pack).map(message => ({ message })));
+      for (const [name, range] of Object.entries(pack.dependencies)) {
+        if (!validRange(range)) errors.push({ message: `pack.yaml: invalid version range "${range}" for dependency "${name}"` });
+      }
+      if (pack.prompts.length === 0) warnings.push({ message: 'pack.yaml: no prompts' });
+      for (const message of pack.partialErrors) errors.push({ message: `pack.yaml: ${message}` });
+
+      const seen = new Set();
+      for (const prompt of pack.prompts) {
+        if (seen.has(prompt.id)) errors.push({ promptId: prompt.id, message: 'listed twice in pack.yaml' });
+        seen.add(prompt.id);
+        const problems = prompt.error ? { errors: [prompt.error], warnings: [] } : this._lintSpec(prompt, pack.partials);
+        errors.push(...problems.errors.map(message => ({ promptId: prompt.id, message })));
+        warnings.push(...problems.warnings.map(message => ({ promptId: prompt.id, message })));
+      }
+      return { name: pack.name, version: pack.version, errors, warnings };
+    } finally {
+      if (typeof source === 'string') pack.cleanup();
+    }
+  }
+
+  /**
+   * Copy a pack into the packs directory. Installed as <name>-<version>, so
+   * other versions stay installed alongside. Refuses a pack that fails
+   * validation, whose dependencies aren't installed, or that is already
+   * installed at that version, unless force is set (which replaces it).
+   * A pack without a valid name and semver version is always refused.
+   * @param {string} source - directory or tarball
+   * @param {Object} [options] - {force}
+   * @returns {{name: string, version: string, dir: string, replaced: boolean, warnings: Object[]}}
+   */
+  install(source, options = {}) {
+    return this._add(source, options, (from, to) => fs.cpSync(from, to, { recursive: true }));
+  }
+
+  /**
+   * Link a local pack directory into the packs directory (for developing a
+   * pack: edits take effect on the next registry load). Same checks as install.
+   * @param {string} dir
+   * @param {Object} [options] - {force}
+   * @returns {{name: string, version: string, dir: string, replaced: boolean, warnings: Object[]}}
+   */
+  link(dir, options = {}) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`PackManager: ${dir} is not a directory`);
+    }
+    return this._add(path.resolve(dir), options, (from, to) => fs.symlinkSync(from, to, 'dir'));
+  }
+
+  /**
+   * Compare two packs: prompts added and removed, and for prompts in both,
+   * their version and line diffs of the prompt text and of the input /
+   * output schemas.
+   * @param {string} from - pack source
+   * @param {string} to - pack source
+   * @returns {{from: Object, to: Object, prompts: Object[]}} prompts as
+   *   {id, status: added|removed|changed|unchanged, fromVersion, toVersion, prompt: string[], schema: string[]}
+   *   where prompt / schema are diff lines ("+ ...", "- ...", "  ...")
+   */
+  diff(from, to) {
+    const a = this.read(from);
+    try {
+      const b = this.read(to);
+      try {
+        const specsA = new Map(a.prompts.map(p => [p.id, p.spec || {}]));
+        const specsB = new Map(b.prompts.map(p => [p.id, p.spec || {}]));
+        const ids = [...new Set([...specsA.keys(), ...specsB.keys()])];
+
+        const prompts = ids.map(id => {
+          const [specA, specB] = [specsA.get(id), specsB.get(id)];
+          const entry = {
+            id,
+            fromVersion: specA ? String(specA.version ?? a.version) : null,
+            toVersion: specB ? String(specB.version ?? b.version) : null,
+            prompt: [],
+            schema: [],
+          };
+          if (!specA) return { ...entry, status: 'added' };
+          if (!specB) return { ...entry, status: 'removed' };
+
+          entry.prompt = diffLines(specA.prompt || '', specB.prompt || '');
+          const shape = spec => yaml.dump({ inputs: spec.inputs || [], outputs: spec.outputs || {} }, { sortKeys: true });
+          entry.schema = diffLines(shape(specA), shape(specB));
+          const changed = [...entry.prompt, ...entry.schema].some(line => line[0] !== ' ');
+          return { ...entry, status: changed || entry.fromVersion !== entry.toVersion ? 'changed' : 'unchanged' };
+        });
+
+        return {
+          from: { name: a.name, version: a.version },
+          to: { name: b.name, version: b.version },
+          prompts,
+        };
+      } finally {
+        b.cleanup();
+      }
+    } finally {
+      a.cleanup();
+    }
+  }
+
+  /**
+   * Run every spec's examples as offline contract tests. Each example's
+   * inputs must pass input validation and its expected_output the output
+   * schema; then its rendered prompt goes through the LLM adapter and the
+   * response must pass the schema too. By default the response is the
+   * example's own expected_output, replayed by a mock, which exercises
+   * rendering, parsing and validation. Given an adapter with a replay
+   * cassette, the response is the recorded one, so a prompt that changed
+   * since recording (no recorded response) or a schema that recorded
+   * responses no longer satisfy both fail.
+   * @param {string} source - pack source
+   * @param {Object} [options]
+   *   - llm: LLMAdapter (default: replay each example's expected_output)
+   *   - model: string
+   *   - fewShot: number of other examples sent as few-shot turns (default 0)
+   * @returns {Promise<{name, version, results: Object[], untested: string[]}>}
+   *   results as {promptId, example, passed, errors}; untested lists prompts without examples
+   */
+  async test(source, options = {}) {
+    const pack = this.read(source);
+    const replay = options.llm ? null : new ExampleReplayProvider();
+    const llm = options.llm || new LLMAdapter({ provider: 'examples', providers: { examples: { type: 'mock', models: [] } } });
+    if (replay) llm.setProvider('examples', replay);
+
+    const results = [];
+    const untested = [];
+    try {
+      for (const { id: promptId, spec, error } of pack.prompts) {
+        const examples = spec?.examples || [];
+        if (error || examples.length === 0) {
+          untested.push(promptId);
+          continue;
+        }
+
+        let template = null;
+        try {
+          template = new Template(spec.prompt, { partials: pack.partials, name: promptId });
+        } catch (err) {
+          examples.forEach((_, index) => results.push({ promptId, example: index, passed: false, errors: [err.message] }));
+          continue;
+        }
+
+        const schema = spec.outputs?.schema ? { type: 'object', ...spec.outputs.schema } : null;
+        for (const [index, example] of examples.entries()) {
+          const { prompt, output, errors } = renderExample(example, spec, template);
+          if (schema && output !== null) errors.push(...validateSchema(example.expected_output, schema, 'expected_output'));
+
+          if (prompt !== null) {
+            try {
+              replay?.answer(output ?? '{}');
+              const turns = fewShotTurns(spec, { limit: options.fewShot || 0, exclude: index, template });
+              const response = await llm.call(prompt, options.model, schema, { examples: turns });
+              if (schema) errors.push(...validateSchema(response.content, schema, 'response'));
+            } catch (err) {
+              errors.push(`call failed: ${err.message}`);
+            }
+          }
+          results.push({ promptId, example: index, passed: errors.length === 0, errors });
+        }
+      }
+      return { name: pack.name, version: pack.version, results, untested };
+    } finally {
+      pack.cleanup();
+    }
+  }
+
+  _add(source, options, place) {
+    const pack = this.read(source);
+    try {
+      // name and version pick the install directory: force never skips these
+      const identity = identityErrors(pack);
+      if (identity.length > 0) {
+        throw new Error(`PackManager: cannot install ${source}: ${identity.join('; ')}`);
+      }
+
+      const result = this.validate(pack);
+      if (result.errors.length > 0 && !options.force) {
+        const list = result.errors.map(e => `${e.promptId ? `${e.promptId}: ` : ''}${e.message}`).join('; ');
+        throw new Error(`PackManager: ${pack.name || source}@${pack.version} failed validation (${result.errors.length} error(s)): ${list}`);
+      }
+
+      const installed = this.list();
+      for (const [name, range] of Object.entries(pack.dependencies)) {
+        if (!installed.some(other => other.name === name && satisfies(other.version, range)) && !options.force) {
+          throw new Error(`PackManager: ${pack.name}@${pack.version} requires ${name}@${range}, which is not installed`);
+        }
+      }
+
+      const existing = installed.find(other => other.name === pack.name && other.version === pack.version);
+      if (existing && !options.force) {
+        throw new Error(`PackManager: ${pack.name}@${pack.version} is already installed at ${existing.dir} (use --force to replace it)`);
+      }
+
+      const target = existing ? existing.dir : path.join(this.packsDir, `${pack.name}-${pack.version}`);
+      if (existing) fs.rmSync(target, { recursive: true, force: true });
+      fs.mkdirSync(this.packsDir, { recursive: true });
+      place(pack.dir, target);
+      return { name: pack.name, version: pack.version, dir: target, replaced: Boolean(existing), warnings: result.warnings };
+    } finally {
+      pack.cleanup();
+    }
+  }
+
+  /**
+   * Find a pack directory for a source, extracting tarballs to a temp dir.
+   * @returns {{dir: string, cleanup: () => void}}
+   */
+  _resolveSource(source) {
+    const none = () => {};
+    if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      if (!fs.existsSync(path.join(source, 'pack.yaml'))) throw new Error(`PackManager: no pack.yaml in ${source}`);
+      return { dir: path.resolve(source), cleanup: none };
+    }
+
+    if (fs.existsSync(source)) {
+      if (!/\.(tgz|tar\.gz|tar)$/.test(source)) throw new Error(`PackManager: ${source} is not a directory or tarball (.tgz, .tar.gz, .tar)`);
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'shipmachine-pack-'));
+      const cleanup = () => fs.rmSync(tmp, { recursive: true, force: true });
+      const result = spawnSync('tar', ['-xf', path.resolve(source), '-C', tmp], { encoding: 'utf8' });
+      if (result.status !== 0) {
+        cleanup();
+        throw new Error(`PackManager: failed to extract ${source}: ${(result.stderr || result.error?.message || '').trim()}`);
+      }
+      // pack.yaml at the top, or inside a single top-level directory
+      const entries = fs.readdirSync(tmp);
+      const dir = fs.existsSync(path.join(tmp, 'pack.yaml')) ? tmp
+        : entries.length === 1 && fs.existsSync(path.join(tmp, entries[0], 'pack.yaml')) ? path.join(tmp, entries[0])
+          : null;
+      if (!dir) {
+        cleanup();
+        throw new Error(`PackManager: no pack.yaml in ${source}`);
+      }
+      return { dir, cleanup };
+    }
+
+    const at = source.indexOf('@', 1);
+    const [name, range] = at === -1 ? [source, '*'] : [source.slice(0, at), source.slice(at + 1)];
+    const match = this.list().find(pack => pack.name === name && satisfies(pack.version, range));
+    if (!match) throw new Error(`PackManager: no installed pack matches "${source}" and no such file or directory`);
+    return { dir: match.dir, cleanup: none };
+  }
+
+  /**
+   * Problems with one prompt spec.
+   * @returns {{errors: string[], warnings: string[]}}
+   */
+  _lintSpec(prompt, partials) {
+    const { spec } = prompt;
+    const errors = [];
+    const warnings = [];
+
+    if (spec.id && spec.id !== prompt.id) warnings.push(`spec id "${spec.id}" differs from the id in pack.yaml`);
+    if (spec.version !== undefined && !parseVersion(String(spec.version))) {
+      errors.push(`invalid version "${spec.version}" (expected semver, e.g. 1.2.0)`);
+    }
+
+    // Declared inputs
+    const inputs = spec.inputs ?? [];
+    if (!Array.isArray(inputs)) {
+      errors.push('inputs: must be a list of {name, type, required}');
+    } else {
+      const names = new Set();
+      inputs.forEach((input, i) => {
+        if (!input?.name) errors.push(`inputs[${i}]: missing name`);
+        else if (names.has(input.name)) errors.push(`inputs.${input.name}: declared twice`);
+        names.add(input?.name);
+        if (input?.type !== undefined && !INPUT_TYPES.includes(input.type)) {
+          errors.push(`inputs.${input.name}: unknown type "${input.type}" (${INPUT_TYPES.join(', ')})`);
+        }
+      });
+    }
+
+    // Output schema
+    const schema = spec.outputs?.schema;
+    if (!schema) warnings.push('no outputs.schema — output is not validated');
+    else errors.push(...lintSchema(schema, 'outputs.schema'), ...compileSchema(schema, 'outputs.schema'));
+
+    // Template
+    let template = null;
+    if (!spec.prompt) {
+      errors.push('missing prompt template');
+    } else {
+      try {
+        template = new Template(spec.prompt, { partials, name: 'prompt' });
+        if (Array.isArray(inputs)) errors.push(...template.check(inputs));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    if (template && Array.isArray(inputs)) {
+      const used = template.names();
+      for (const input of inputs) {
+        if (input?.name && !used.has(input.name)) {
+          warnings.push(`inputs.${input.name}: declared but not used in the template`);
+        }
+      }
+    }
+
+    // Examples
+    (spec.examples || []).forEach((example, i) => {
+      if (Array.isArray(inputs)) {
+        for (const error of checkInputs(example.inputs || {}, inputs).errors) {
+          errors.push(`examples[${i}].${error}`);
+        }
+      }
+      if (schema && example.expected_output !== undefined) {
+        for (const error of validateSchema(example.expected_output, { type: 'object', ...schema }, 'expected_output')) {
+          errors.push(`examples[${i}].${error}`);
+        }
+      }
+    });
+
+    return { errors, warnings };
+  }
+}
+
+/**
+ * Mock provider answering each call with the text it was last given —
+ * PackManager.test() hands it the example's expected output.
+ */
+class ExampleReplayProvider {
+  constructor() {
+    this.name = 'examples';
+    this.type = 'mock';
+    this._next = '{}';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  answer(text) {
+    this._next = text;
+  }
+
+  async stream(request, { onEvent } = {}) {
+    onEvent?.(this._next);
+    return { text: this._next, inputTokens: Math.ceil(request.prompt.length / 4), outputTokens: Math.ceil(this._next.length / 4) };
+  }
+}
+
+/**
+ * Problems with a pack's name and version, which name its install directory.
+ * @param {Object} pack - from PackManager.read()
+ * @returns {string[]}
+ */
+function identityErrors(pack) {
+  const errors = [];
+  if (!pack.name) {
+    errors.push('pack.yaml: missing name');
+  } else if (typeof pack.name !== 'string' || !PACK_NAME_RE.test(pack.name)) {
+    errors.push(`pack.yaml: invalid name "${pack.name}" (lowercase letters, digits, ".", "_" and "-", starting with a letter or digit)`);
+  }
+  if (!parseVersion(pack.version)) errors.push(`pack.yaml: invalid version "${pack.version}" (expected semver, e.g. 1.2.0)`);
+  return errors;
+}
+
+/**
+ * Problems with a JSON Schema itself (not with a value).
+ * @param {Object} schema
+ * @param {string} at - path, for messages
+ * @returns {string[]}
+ */
+function lintSchema(schema, at) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return [`${at}: must be an object`];
+  const errors = [];
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  for (const type of types) {
+    if (!SCHEMA_TYPES.includes(type)) errors.push(`${at}.type: unknown type "${type}"`);
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    errors.push(`${at}.enum: must be a non-empty list`);
+  }
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required)) {
+      errors.push(`${at}.required: must be a list`);
+    } else if (schema.properties) {
+      for (const key of schema.required) {
+        if (!(key in schema.properties)) errors.push(`${at}.required: "${key}" is not in properties`);
+      }
+    }
+  }
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    errors.push(...lintSchema(child, `${at}.properties.${key}`));
+  }
+  if (schema.items) errors.push(...lintSchema(schema.items, `${at}.items`));
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    errors.push(...lintSchema(schema.additionalProperties, `${at}.additionalProperties`));
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    (schema[keyword] || []).forEach((sub, i) => errors.push(...lintSchema(sub, `${at}.${keyword}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} a
+ * @param {string} b
+ * @returns {string[]} lines prefixed "- ", "+ " or "  "
+ */
+function diffLines(a, b) {
+  const x = a.split('\n');
+  const y = b.split('\n');
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      lines.push(`  ${x[i++]}`);
+      j++;
+    } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${x[i++]}`);
+    } else {
+      lines.push(`+ ${y[j++]}`);
+    }
+  }
+  return lines;
+}
+
+export default PackManager;
@@ -0,0 +1,57 @@
+/**
+ * Default model prices in USD per million tokens, matched by the longest
+ * model ID prefix ('claude-sonnet-4-6-20260101' uses 'claude-sonnet-4').
+ * Entries in config.yaml `pricing` override these.
+ */
+export const DEFAULT_PRICES = {
+  'claude-opus-4-6': { input: 5, output: 25 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+};
+
+/**
+ * PriceTable — converts token counts into an estimated USD cost.
+ */
+export class PriceTable {
+  /**
+   * @param {Object} [prices] - model prefix → {input, output} USD per million tokens
+   */
+  constructor(prices = DEFAULT_PRICES) {
+    this.prices = prices;
+  }
+
+  /**
+   * Look up the price of a model.
+   * @param {string} model
+   * @returns {{input: number, output: number}|null} null for unpriced models
+   */
+  priceFor(model) {
+    if (!model) return null;
+    const prefix = Object.keys(this.prices)
+      .filter(p => model === p || model.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Estimate the cost of a call.
+   * @param {string} model
+   * @param {number} inputTokens
+   * @param {number} outputTokens
+   * @returns {number|null} USD, or null when the model has no price
+   */
+  cost(model, inputTokens = 0, outputTokens = 0) {
+    const price = this.priceFor(model);
+    if (!price) return null;
+    const usd = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+    return Math.round(usd * 1e6) / 1e6;
+  }
+}
+
+export default PriceTable;
@@ -0,0 +1,82 @@
+/**
+ * AnthropicProvider — Claude models through the Anthropic Messages API.
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} [config]
+   *   - name: string (default: 'anthropic')
+   *   - apiKey: string (default: ANTHROPIC_API_KEY)
+   *   - baseUrl: string (optional API base URL)
+   *   - client: preconstructed Anthropic client
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'anthropic';
+    this.type = 'anthropic';
+    this.apiKey = config.apiKey !== undefined ? config.apiKey : process.env.ANTHROPIC_API_KEY || null;
+    this.baseUrl = config.baseUrl || null;
+    this._client = config.client || null;
+  }
+
+  /**
+   * Whether the provider has credentials to make calls.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this._client || this.apiKey);
+  }
+
+  async _getClient() {
+    if (this._client) return this._client;
+
+    const { Anthropic } = await import('@anthropic-ai/sdk');
+    // LLMAdapter retries with its own backoff and circuit breaker
+    this._client = new Anthropic({ apiKey: this.apiKey, maxRetries: 0, ...(this.baseUrl ? { baseURL: this.baseUrl } : {}) });
+    return this._client;
+  }
+
+  /**
+   * Stream a completion.
+   * @param {{model: string, system: string, prompt: string, maxTokens: number, examples?: Array<{prompt, output}>}} request
+   *   examples are sent as earlier user / assistant turns (few-shot)
+   * @param {Object} options
+   *   - signal: AbortSignal
+   *   - onEvent: (textDelta: string) => void, called for every stream event ('' when it carries no text)
+   * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+   */
+  async stream(request, { signal, onEvent } = {}) {
+    const client = await this._getClient();
+    const stream = await client.messages.create({
+      model: request.model,
+      max_tokens: request.maxTokens,
+      system: request.system,
+      messages: [
+        ...(request.examples || []).flatMap(example => [
+          { role: 'user', content: example.prompt },
+          { role: 'assistant', content: example.output },
+        ]),
+        { role: 'user', content: request.prompt },
+      ],
+      stream: true,
+    }, { signal });
+
+    let text = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    for await (const event of stream) {
+      let delta = '';
+      if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens || 0;
+        outputTokens = event.message?.usage?.output_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        delta = event.delta.text;
+        text += delta;
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+      }
+      onEvent?.(delta);
+    }
+    return { text, inputTokens, outputTokens };
+  }
+}
+
+export default AnthropicProvider;
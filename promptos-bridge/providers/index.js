@@ -0,0 +1,46 @@
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { MockProvider } from './mock.js';
+
+export { AnthropicProvider, OpenAICompatibleProvider, MockProvider };
+
+/**
+ * Built-in providers. config.yaml `llm.providers` entries with the same
+ * name replace these; new names add providers. Each entry:
+ *
+ *   type         anthropic | openai (any OpenAI-compatible endpoint) | mock
+ *   models       model ID prefixes routed to this provider
+ *   base_url     API base URL (openai type; optional for anthropic)
+ *   api_key_env  environment variable holding the API key; when set and
+ *                empty, the provider is unavailable and calls use the mock
+ */
+export const DEFAULT_PROVIDERS = {
+  anthropic: { type: 'anthropic', models: ['claude-'], api_key_env: 'ANTHROPIC_API_KEY' },
+  openai: { type: 'openai', models: ['gpt-', 'o1', 'o3', 'o4'], base_url: 'https://api.openai.com/v1', api_key_env: 'OPENAI_API_KEY' },
+  mock: { type: 'mock', models: ['mock'] },
+};
+
+const PROVIDER_TYPES = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+/**
+ * Build a provider from its config entry.
+ * @param {string} name
+ * @param {Object} config - a DEFAULT_PROVIDERS-style entry
+ * @returns {AnthropicProvider|OpenAICompatibleProvider|MockProvider}
+ */
+export function createProvider(name, config = {}) {
+  const Provider = PROVIDER_TYPES[config.type];
+  if (!Provider) {
+    throw new Error(`LLMAdapter: provider "${name}" has unknown type "${config.type}" (expected ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+  }
+  return new Provider({
+    name,
+    baseUrl: config.base_url,
+    apiKey: config.api_key_env ? process.env[config.api_key_env] || null : null,
+    requiresKey: Boolean(config.api_key_env),
+  });
+}
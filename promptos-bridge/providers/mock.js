@@ -0,0 +1,308 @@
+/**
+ * MockProvider — realistic canned responses for every ship.* prompt, used
+ * when the selected provider has no credentials (token counts are estimated
+ * at ~4 characters per token) and for models routed to the `mock` provider.
+ */
+const RESPONDERS = [
+  '_mockScopeTask', '_mockRepoSurvey', '_mockPlan', '_mockPatch', '_mockTests', '_mockRunTestsInterpret',
+  '_mockLintFix', '_mockSecurityCheck', '_mockDocUpdate', '_mockPRWriteup', '_mockRiskAssessment', '_mockRollbackPlan',
+];
+
+export class MockProvider {
+  /**
+   * @param {Object} [config]
+   *   - name: string (default: 'mock')
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'mock';
+    this.type = 'mock';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * "Stream" a canned response: the whole JSON body at once.
+   * @param {{prompt: string, outputSchema?: Object}} request
+   * @param {{onEvent?: Function}} [options]
+   * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+   */
+  async stream(request, { onEvent } = {}) {
+    const text = JSON.stringify(this.respond(request.prompt, request.outputSchema));
+    onEvent?.(text);
+    return {
+      text,
+      inputTokens: Math.ceil(request.prompt.length / 4),
+      outputTokens: Math.ceil(text.length / 4),
+    };
+  }
+
+  /**
+   * Pick a realistic response for the prompt: the one that has every
+   * property the output schema requires, else one chosen by the prompt's
+   * content (prompts that quote earlier outputs can match several).
+   * @param {string} prompt
+   * @param {Object} [outputSchema]
+   * @returns {Object}
+   */
+  respond(prompt, outputSchema = null) {
+    const required = outputSchema?.required || [];
+    if (required.length > 0) {
+      for (const responder of RESPONDERS) {
+        const content = this[responder](prompt);
+        if (required.every(key => key in content)) return content;
+      }
+    }
+
+    const promptLower = prompt.toLowerCase();
+    let content = {};
+
+    // Detect which prompt this is based on content
+    if (promptLower.includes('scope') && promptLower.includes('acceptance')) {
+      content = this._mockScopeTask(prompt);
+    } else if (promptLower.includes('survey') && promptLower.includes('entrypoint')) {
+      content = this._mockRepoSurvey(prompt);
+    } else if (promptLower.includes('plan') && promptLower.includes('steps')) {
+      content = this._mockPlan(prompt);
+    } else if (promptLower.includes('patch') && promptLower.includes('edits')) {
+      content = this._mockPatch(prompt);
+    } else if (promptLower.includes('test') && promptLower.includes('test_content')) {
+      content = this._mockTests(prompt);
+    } else if (promptLower.includes('interpret') && promptLower.includes('next_action')) {
+      content = this._mockRunTestsInterpret(prompt);
+    } else if (promptLower.includes('lint') && promptLower.includes('fixed_content')) {
+      content = this._mockLintFix(prompt);
+    } else if (promptLower.includes('security') && promptLower.includes('risk_level')) {
+      content = this._mockSecurityCheck(prompt);
+    } else if (promptLower.includes('doc') && promptLower.includes('changelog_entry')) {
+      content = this._mockDocUpdate(prompt);
+    } else if (promptLower.includes('pr') && promptLower.includes('checklist')) {
+      content = this._mockPRWriteup(prompt);
+    } else if (promptLower.includes('risk') && promptLower.includes('blast_radius')) {
+      content = this._mockRiskAssessment(prompt);
+    } else if (promptLower.includes('rollback') && promptLower.includes('estimated_time')) {
+      content = this._mockRollbackPlan(prompt);
+    } else {
+      content = { mock: true, message: 'Unrecognized prompt type — generic mock response' };
+    }
+
+    return content;
+  }
+
+  _mockScopeTask(prompt) {
+    return {
+      acceptance_criteria: [
+        'Feature is implemented according to the objective specification',
+        'All existing tests continue to pass',
+        'New tests cover the new functionality',
+        'Code follows existing style and conventions',
+        'Documentation is updated if applicable',
+      ],
+      constraints: [
+        'No breaking changes to public API',
+        'Must be backward compatible',
+        'Performance impact must be minimal',
+      ],
+      done_definition: 'Implementation is complete, tests pass, code is reviewed, and PR is created with all required artifacts',
+      risk_flags: [
+        'May affect downstream consumers if interface changes',
+        'Requires thorough testing before merge',
+      ],
+    };
+  }
+
+  _mockRepoSurvey(prompt) {
+    return {
+      entrypoints: ['index.js', 'src/main.js'],
+      build_command: 'npm run build',
+      test_command: 'npm test',
+      lint_command: 'npm run lint',
+      key_modules: [
+        { path: 'src/core/', purpose: 'Core business logic' },
+        { path: 'src/utils/', purpose: 'Utility functions' },
+        { path: 'src/api/', purpose: 'API layer' },
+      ],
+      tech_stack: ['Node.js', 'JavaScript', 'ESM modules', 'Jest'],
+    };
+  }
+
+  _mockPlan(prompt) {
+    return {
+      steps: [
+        {
+          id: 'step-1',
+          description: 'Analyze existing code structure and identify files to modify',
+          type: 'analysis',
+          files_affected: [],
+          test_checkpoint: false,
+        },
+        {
+          id: 'step-2',
+          description: 'Implement core feature changes',
+          type: 'patch',
+          files_affected: ['src/core/feature.js'],
+          test_checkpoint: true,
+        },
+        {
+          id: 'step-3',
+          description: 'Update tests to cover new functionality',
+          type: 'tests',
+          files_affected: ['src/core/__tests__/feature.test.js'],
+          test_checkpoint: true,
+        },
+        {
+          id: 'step-4',
+          description: 'Update documentation',
+          type: 'docs',
+          files_affected: ['README.md'],
+          test_checkpoint: false,
+        },
+      ],
+      estimated_complexity: 'medium',
+      warnings: [
+        'Ensure backward compatibility is maintained',
+        'Run full test suite after each patch step',
+      ],
+    };
+  }
+
+  _mockPatch(prompt) {
+    // Edit the first file in scope, falling back to a placeholder path
+    const scopeMatch = prompt.match(/## Files in Scope\s*\n([\s\S]*?)\n\s*\n/);
+    const filePath = scopeMatch?.[1].split('\n').map(l => l.trim()).find(Boolean) || 'src/core/feature.js';
+    return {
+      files: [
+        {
+          file_path: filePath,
+          edits: [
+            {
+              line_start: 1,
+              line_end: 1,
+              new_content: '// Updated by ShipMachine ShipMachine',
+              reason: 'Add attribution comment',
+            },
+          ],
+        },
+      ],
+      summary: 'Mock patch: adds attribution comment. In production, real edits based on the step description would be generated.',
+    };
+  }
+
+  _mockTests(prompt) {
+    return {
+      test_file_path: 'src/__tests__/feature.test.js',
+      test_content: `import { describe, it, expect } from '@jest/globals';
+
+describe('Feature', () => {
+  it('should work as expected', () => {
+    expect(true).toBe(true);
+  });
+
+  it('should handle edge cases', () => {
+    expect(null).toBeNull();
+  });
+});`,
+      test_cases: [
+        'should work as expected',
+        'should handle edge cases',
+      ],
+      coverage_targets: ['src/core/feature.js'],
+    };
+  }
+
+  _mockRunTestsInterpret(prompt) {
+    // Judge the test output only — the prompt template itself mentions failures
+    const outputMatch = prompt.match(/## Test Output\s*```\n?([\s\S]*?)```/);
+    const testOutput = (outputMatch ? outputMatch[1] : prompt).toLowerCase();
+    const hasFailure = /\b[1-9]\d* (failed|failing)\b|\bfail\b|error/.test(testOutput);
+    return {
+      passed: !hasFailure,
+      failing_tests: hasFailure ? ['example.test.js > some test'] : [],
+      root_cause: hasFailure ? 'Mock: test failure detected in output' : 'No failures detected',
+      suggested_fix: hasFailure ? 'Review the failing test and fix the underlying implementation' : 'No fix needed',
+      next_action: hasFailure ? 'fix' : 'continue',
+    };
+  }
+
+  _mockLintFix(prompt) {
+    return {
+      fixes: [
+        {
+          line: 1,
+          issue: 'Missing semicolon (mock)',
+          fix: 'Add semicolon at end of statement',
+        },
+      ],
+      fixed_content: '// Fixed content would be here in production\n// Mock response from LLMAdapter\n',
+    };
+  }
+
+  _mockSecurityCheck(prompt) {
+    return {
+      risk_level: 'low',
+      issues: [],
+      safe_to_proceed: true,
+    };
+  }
+
+  _mockDocUpdate(prompt) {
+    return {
+      updates: [
+        {
+          file: 'README.md',
+          section: 'Usage',
+          new_content: '## Usage\n\nUpdated usage documentation would appear here.\n',
+        },
+      ],
+      changelog_entry: `## [Unreleased]\n\n### Changed\n- Updated feature implementation\n- Improved documentation\n`,
+    };
+  }
+
+  _mockPRWriteup(prompt) {
+    return {
+      title: 'feat: implement requested engineering changes',
+      body: '## Summary\n\nThis PR implements the requested changes as planned by ShipMachine ShipMachine.\n\n## Changes\n\n- Core implementation updates\n- Test coverage added\n- Documentation updated\n\n## Testing\n\nAll tests pass. See TESTS_EVIDENCE.md for details.',
+      checklist: [
+        'Tests pass',
+        'Code reviewed',
+        'Documentation updated',
+        'No breaking changes',
+        'Risk assessment completed',
+        'Rollback plan prepared',
+      ],
+      labels: ['enhancement', 'automated-pr'],
+      rollout_notes: 'Standard deployment. No special steps required.',
+    };
+  }
+
+  _mockRiskAssessment(prompt) {
+    return {
+      risk_level: 'low',
+      blast_radius: 'Limited to modified modules',
+      dependencies_affected: [],
+      rollback_complexity: 'simple',
+      go_no_go: 'go',
+    };
+  }
+
+  _mockRollbackPlan(prompt) {
+    return {
+      steps: [
+        'Checkout the previous stable branch or tag',
+        'Revert the merged PR if already merged',
+        'Run test suite to verify rollback succeeded',
+        'Deploy previous version',
+      ],
+      commands: [
+        'git checkout main',
+        'git revert HEAD',
+        'npm test',
+      ],
+      estimated_time: '15 minutes',
+      data_impact: 'None — no database migrations or data changes',
+    };
+  }
+}
+
+export default MockProvider;
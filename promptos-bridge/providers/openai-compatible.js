@@ -0,0 +1,114 @@
+/**
+ * OpenAICompatibleProvider — any endpoint that speaks the OpenAI Chat
+ * Completions API: OpenAI itself, or a local llama.cpp / vLLM / Ollama
+ * server. Responses are read as server-sent events.
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config
+   *   - name: string (default: 'openai')
+   *   - baseUrl: string (e.g. 'https://api.openai.com/v1', 'http://localhost:8080/v1')
+   *   - apiKey: string|null (sent as a bearer token when set)
+   *   - requiresKey: boolean (unavailable without apiKey; false for local servers)
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.type = 'openai';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.requiresKey = config.requiresKey ?? false;
+  }
+
+  /**
+   * Whether the provider has what it needs to make calls.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !this.requiresKey || Boolean(this.apiKey);
+  }
+
+  /**
+   * Stream a completion.
+   * @param {{model: string, system: string, prompt: string, maxTokens: number, examples?: Array<{prompt, output}>}} request
+   *   examples are sent as earlier user / assistant turns (few-shot)
+   * @param {Object} options
+   *   - signal: AbortSignal
+   *   - onEvent: (textDelta: string) => void, called for every stream event ('' when it carries no text)
+   * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+   *   token counts are estimated (~4 characters per token) if the server reports no usage
+   */
+  async stream(request, { signal, onEvent } = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        messages: [
+          { role: 'system', content: request.system },
+          ...(request.examples || []).flatMap(example => [
+            { role: 'user', content: example.prompt },
+            { role: 'assistant', content: example.output },
+          ]),
+          { role: 'user', content: request.prompt },
+        ],
+        stream: true,
+        stream_options: { include_usage: true },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      // status and headers let LLMAdapter classify the failure
+      throw Object.assign(
+        new Error(`OpenAICompatibleProvider: ${this.name} returned HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`),
+        { status: response.status, headers: response.headers }
+      );
+    }
+
+    let text = '';
+    let usage = null;
+    for await (const data of this._events(response.body)) {
+      let delta = '';
+      if (data !== '[DONE]') {
+        const chunk = JSON.parse(data);
+        delta = chunk.choices?.[0]?.delta?.content || '';
+        text += delta;
+        if (chunk.usage) usage = chunk.usage;
+      }
+      onEvent?.(delta);
+    }
+
+    return {
+      text,
+      inputTokens: usage?.prompt_tokens ?? Math.ceil([request.system, request.prompt, ...(request.examples || []).flatMap(e => [e.prompt, e.output])].join('').length / 4),
+      outputTokens: usage?.completion_tokens ?? Math.ceil(text.length / 4),
+    };
+  }
+
+  /**
+   * Yield the `data:` payload of each server-sent event.
+   * @param {ReadableStream<Uint8Array>} body
+   */
+  async *_events(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const match = /^data:\s?(.*)$/.exec(line.trimEnd());
+        if (match && match[1]) yield match[1];
+      }
+    }
+    const match = /^data:\s?(.*)$/.exec(buffer.trim());
+    if (match && match[1]) yield match[1];
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,168 @@
+/**
+ * JSON Schema validation for prompt outputs (the subset PromptSpecs use):
+ *
+ *   type (string or list; integer, number, string, boolean, array, object, null)
+ *   enum, const
+ *   properties, required, additionalProperties (boolean or schema)
+ *   items, minItems, maxItems
+ *   minLength, maxLength, pattern
+ *   minimum, maximum
+ *   anyOf, oneOf, allOf
+ *
+ * Annotation keywords (description, title, default, examples) are ignored.
+ * Patterns are compiled once per schema object; compileSchema() does so up
+ * front and reports the invalid ones, so they surface when a spec loads.
+ */
+
+// schema object → compiled `pattern` (null when it doesn't compile)
+const patterns = new WeakMap();
+
+/**
+ * Compile every `pattern` in a schema ahead of validation.
+ * @param {Object} schema
+ * @param {string} [at] - path of the schema, for messages
+ * @returns {string[]} problems as "<path>.pattern: <message>", empty when none
+ */
+export function compileSchema(schema, at = '$') {
+  if (!isObject(schema)) return [];
+  const errors = [];
+  if (schema.pattern !== undefined) {
+    const error = compilePattern(schema);
+    if (error) errors.push(`${at}.pattern: ${error}`);
+  }
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    errors.push(...compileSchema(child, `${at}.properties.${key}`));
+  }
+  errors.push(...compileSchema(schema.items, `${at}.items`));
+  errors.push(...compileSchema(schema.additionalProperties, `${at}.additionalProperties`));
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    (schema[keyword] || []).forEach((sub, i) => errors.push(...compileSchema(sub, `${at}.${keyword}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [at] - path of the value, for messages
+ * @returns {string[]} errors as "<path>: <problem>", empty when valid
+ */
+export function validateSchema(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const fail = message => errors.push(`${at}: ${message}`);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    // an invalid pattern is a schema error (see compileSchema), not an output error
+    const pattern = schema.pattern ? patternOf(schema) : null;
+    if (pattern && !pattern.test(value)) fail(`must match /${schema.pattern}/`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], childAt));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${key}"`);
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validateSchema(child, schema.additionalProperties, childAt));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) errors.push(...validateSchema(value, sub, at));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, at).length === 0)) {
+    fail('does not match any of the allowed schemas (anyOf)');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateSchema(value, sub, at).length === 0).length;
+    if (matches !== 1) fail(`must match exactly one schema in oneOf (matched ${matches})`);
+  }
+
+  return errors;
+}
+
+function patternOf(schema) {
+  if (!patterns.has(schema)) compilePattern(schema);
+  return patterns.get(schema);
+}
+
+/**
+ * Compile a schema's own `pattern` into the cache.
+ * @returns {string|null} the error message when it doesn't compile
+ */
+function compilePattern(schema) {
+  try {
+    patterns.set(schema, new RegExp(schema.pattern, 'u'));
+    return null;
+  } catch (err) {
+    patterns.set(schema, null);
+    return err.message;
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export default validateSchema;
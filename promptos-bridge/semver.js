@@ -0,0 +1,173 @@
+/**
+ * Semantic versions and ranges for prompt packs and prompt specs.
+ *
+ *   1.2.3              exactly that version
+ *   1.x  1.2.x  1  *   wildcards ("1" is "1.x")
+ *   ^1.2.3  ~1.2.3     compatible with / patch updates of
+ *   >=1.2.0 <2.0.0     comparators, space-separated (all must match)
+ *   1.x || 2.x         alternatives
+ *
+ * Prerelease versions (1.2.0-beta.1) only match a range that names them exactly.
+ */
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Parse a full version.
+ * @param {string} text
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null}
+ */
+export function parseVersion(text) {
+  const match = VERSION_RE.exec(String(text ?? '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+/**
+ * Compare two versions.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+  return compareParsed(parseVersion(a), parseVersion(b));
+}
+
+/**
+ * Whether a version is in a range.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  const sets = parseRange(range);
+  if (!parsed || !sets) return false;
+  return sets.some(set => {
+    if (parsed.prerelease.length > 0 && !set.some(([, bound]) => compareParsed(bound, parsed) === 0 && bound.prerelease.length > 0)) {
+      return false;
+    }
+    return set.every(([op, bound]) => test(parsed, op, bound));
+  });
+}
+
+/**
+ * Highest version in a range.
+ * @param {string[]} versions
+ * @param {string} range
+ * @returns {string|null}
+ */
+export function maxSatisfying(versions, range) {
+  return versions
+    .filter(version => satisfies(version, range))
+    .sort(compareVersions)
+    .pop() ?? null;
+}
+
+/**
+ * Whether a range can be parsed.
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function validRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Parse a range into alternatives, each a list of [op, version] comparators.
+ * @param {string} range
+ * @returns {Array<Array<[string, Object]>>|null}
+ */
+function parseRange(range) {
+  const sets = [];
+  for (const alternative of String(range ?? '').split('||')) {
+    const set = [];
+    const parts = alternative.trim().split(/\s+/).filter(Boolean);
+    for (const part of parts.length > 0 ? parts : ['*']) {
+      const comparators = parseComparator(part);
+      if (!comparators) return null;
+      set.push(...comparators);
+    }
+    sets.push(set);
+  }
+  return sets;
+}
+
+function parseComparator(text) {
+  const [, op = '', rest] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(text);
+  const match = PARTIAL_RE.exec(rest);
+  if (!match) return null;
+
+  const wild = value => value === undefined || /^[xX*]$/.test(value);
+  const [major, minor, patch] = [match[1], match[2], match[3]].map(value => (wild(value) ? null : Number(value)));
+  if ((major === null && minor !== null) || (minor === null && patch !== null)) return null;
+  const prerelease = match[4] ? match[4].split('.') : [];
+  const version = (ma, mi, pa, pre = []) => ({ major: ma, minor: mi, patch: pa, prerelease: pre });
+
+  const low = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+  // first version past the wildcard ("1.2" → 1.3.0, "1" → 2.0.0)
+  const next = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+
+  if (major === null) return op === '<' || op === '>' ? [['<', version(0, 0, 0)]] : [];
+
+  switch (op) {
+    case '^': {
+      const upper = major > 0 || minor === null ? version(major + 1, 0, 0)
+        : minor > 0 || patch === null ? version(0, minor + 1, 0)
+          : version(0, 0, patch + 1);
+      return [['>=', low], ['<', upper]];
+    }
+    case '~':
+      return [['>=', low], ['<', next]];
+    case '>=':
+      return [['>=', low]];
+    case '<':
+      return [['<', low]];
+    case '>':
+      return patch === null ? [['>=', next]] : [['>', low]];
+    case '<=':
+      return patch === null ? [['<', next]] : [['<=', low]];
+    default:
+      return patch === null ? [['>=', low], ['<', next]] : [['=', low]];
+  }
+}
+
+function test(version, op, bound) {
+  const order = compareParsed(version, bound);
+  switch (op) {
+    case '>=': return order >= 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '<': return order < 0;
+    default: return order === 0;
+  }
+}
+
+function compareParsed(a, b) {
+  if (!a || !b) return !a && !b ? 0 : a ? 1 : -1;
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+  // a release sorts after its prereleases
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [x, y] = [a.prerelease[i], b.prerelease[i]];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    const [nx, ny] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+    if (nx && ny) return Number(x) - Number(y);
+    if (nx !== ny) return nx ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+export default satisfies;
@@ -0,0 +1,327 @@
+/**
+ * Template — the logic-light template language of prompt packs.
+ *
+ *   {{objective}}                  input value (objects and arrays render as JSON)
+ *   {{scope.done_definition}}      nested field path
+ *   {{#if path}} … {{else}} … {{/if}}      also {{#unless path}}; empty lists are false
+ *   {{#each path}} … {{else}} … {{/each}}  over a list or an object's values;
+ *                                  {{this}} / {{.}} is the item, {{this.field}} one of
+ *                                  its fields, {{@index}} {{@first}} {{@last}} {{@key}};
+ *                                  bare names fall back to outer scopes, {{../x}} and
+ *                                  {{@root.x}} reach them explicitly
+ *   {{> name}}                     pack partial, rendered in the current scope
+ *   {{fence path lang}}            value in a code fence longer than any backtick
+ *                                  run inside it, so fenced content can't break out
+ *   {{! comment }}   \{{ literal
+ *
+ * A line holding only a block tag, partial or comment is dropped entirely.
+ * Syntax errors throw when the template is compiled; check() compares the
+ * paths it reads with the spec's declared inputs.
+ */
+export class Template {
+  /**
+   * @param {string} source
+   * @param {Object} [options]
+   *   - partials: { name: source } (a pack's shared partials)
+   *   - name: string (used in error messages)
+   */
+  constructor(source, options = {}) {
+    this.source = source || '';
+    this.partials = options.partials || {};
+    this.name = options.name || 'prompt';
+    this.nodes = this._compile(this.source, this.name, []);
+  }
+
+  /**
+   * Render with the given inputs.
+   * @param {Object} inputs
+   * @returns {string}
+   */
+  render(inputs = {}) {
+    return renderNodes(this.nodes, [{ value: inputs, data: {} }]);
+  }
+
+  /**
+   * Compare the paths the template reads with the spec's declared inputs.
+   * Names inside {{#each}} may be item fields, so only root paths are checked.
+   * @param {Object[]} [declared] - the spec's `inputs` list
+   * @returns {string[]} problems, empty when none
+   */
+  check(declared) {
+    if (!Array.isArray(declared)) return [];
+    const types = new Map(declared.map(input => [input.name, input.type]));
+    const undeclared = new Set();
+    const issues = [];
+
+    const visit = (nodes, depth) => {
+      for (const node of nodes) {
+        if (node.path) {
+          const { path } = node;
+          const atRoot = path.root || (depth === 0 && !path.self && path.up === 0);
+          const head = path.segments[0];
+          if (atRoot && head && !head.startsWith('@')) {
+            const type = types.get(head);
+            if (!types.has(head)) {
+              undeclared.add(head);
+            } else if (SCALAR_TYPES.includes(type) && node.type === 'each') {
+              issues.push(`{{#each ${path.text}}}: "${head}" is a ${type} input, not a list`);
+            } else if (SCALAR_TYPES.includes(type) && path.segments.length > 1) {
+              issues.push(`{{${path.text}}}: "${head}" is a ${type} input and has no fields`);
+            }
+          }
+        }
+        if (node.type === 'if') {
+          visit(node.then, depth);
+          visit(node.else, depth);
+        } else if (node.type === 'each') {
+          visit(node.body, depth + 1);
+          visit(node.else, depth);
+        }
+      }
+    };
+    visit(this.nodes, 0);
+
+    if (undeclared.size > 0) {
+      issues.unshift(`template uses undeclared input(s): ${[...undeclared].map(name => `{{${name}}}`).join(', ')}`);
+    }
+    return issues;
+  }
+
+  /**
+   * First segment of every name the template reads, at any depth (so inputs
+   * reached through outer-scope fallback inside {{#each}} count too).
+   * @returns {Set<string>}
+   */
+  names() {
+    const names = new Set();
+    const visit = nodes => {
+      for (const node of nodes) {
+        const head = node.path?.segments[0];
+        if (head && !head.startsWith('@')) names.add(head);
+        for (const key of ['then', 'else', 'body']) {
+          if (node[key]) visit(node[key]);
+        }
+      }
+    };
+    visit(this.nodes);
+    return names;
+  }
+
+  /**
+   * Parse source into a node tree, inlining partials.
+   * @param {string} source
+   * @param {string} name - template or partial name, for messages
+   * @param {string[]} including - partials being expanded (cycle detection)
+   * @returns {Object[]}
+   */
+  _compile(source, name, including) {
+    const fail = (message, line) => {
+      throw new Error(`Template: ${name}${line ? ` line ${line}` : ''}: ${message}`);
+    };
+    const tokens = stripStandalone(tokenize(source));
+
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+
+    for (const token of tokens) {
+      if (token.type === 'text') {
+        if (token.value) top().children.push(token);
+        continue;
+      }
+
+      const { kind, body, line } = token;
+      if (kind === 'comment') continue;
+
+      if (kind === 'open') {
+        const [, block, arg] = /^(\w+)\s+(.+)$/.exec(body) || [];
+        if (!['if', 'unless', 'each'].includes(block)) fail(`unknown block {{#${body}}}`, line);
+        const path = parsePath(arg);
+        if (!path) fail(`invalid path "${arg}" in {{#${block}}}`, line);
+        const node = block === 'each'
+          ? { type: 'each', path, body: [], else: [], line }
+          : { type: 'if', negate: block === 'unless', path, then: [], else: [], line };
+        node.block = block;
+        node.children = block === 'each' ? node.body : node.then;
+        top().children.push(node);
+        stack.push(node);
+      } else if (kind === 'else') {
+        const node = top();
+        if (node === root) fail('{{else}} outside a block', line);
+        if (node.children === node.else) fail(`second {{else}} in {{#${node.block}}}`, line);
+        node.children = node.else;
+      } else if (kind === 'close') {
+        const node = top();
+        if (node === root) fail(`{{/${body}}} without an open block`, line);
+        if (body !== node.block) fail(`{{/${body}}} closes {{#${node.block}}} opened on line ${node.line}`, line);
+        stack.pop();
+      } else if (kind === 'partial') {
+        if (!(body in this.partials)) fail(`unknown partial "${body}"`, line);
+        if (including.includes(body)) fail(`partial "${body}" includes itself`, line);
+        top().children.push(...this._compile(this.partials[body], `partial "${body}"`, [...including, body]));
+      } else {
+        const [, helper, arg, lang] = /^(fence)\s+(\S+)(?:\s+"?([\w+#.-]*)"?)?$/.exec(body) || [];
+        const path = parsePath(helper ? arg : body);
+        if (!path) fail(`invalid tag {{${body}}}`, line);
+        top().children.push(helper ? { type: 'fence', path, lang: lang || '', line } : { type: 'var', path, line });
+      }
+    }
+
+    if (stack.length > 1) fail(`{{#${top().block}}} opened on line ${top().line} is never closed`);
+    return root.children;
+  }
+}
+
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean'];
+const STANDALONE_KINDS = ['open', 'close', 'else', 'partial', 'comment'];
+
+/**
+ * Split source into text and tag tokens.
+ * @param {string} source
+ * @returns {Array<{type: 'text', value: string}|{type: 'tag', kind: string, body: string, line: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let text = '';
+  let pos = 0;
+  while (pos < source.length) {
+    const start = source.indexOf('{{', pos);
+    if (start === -1) break;
+    if (source[start - 1] === '\\') {
+      text += source.slice(pos, start - 1) + '{{';
+      pos = start + 2;
+      continue;
+    }
+    const end = source.indexOf('}}', start + 2);
+    if (end === -1) break;
+
+    text += source.slice(pos, start);
+    tokens.push({ type: 'text', value: text });
+    text = '';
+
+    const inner = source.slice(start + 2, end).trim();
+    const line = source.slice(0, start).split('\n').length;
+    const sigil = inner[0];
+    if (sigil === '!') tokens.push({ type: 'tag', kind: 'comment', body: inner, line });
+    else if (sigil === '#') tokens.push({ type: 'tag', kind: 'open', body: inner.slice(1).trim(), line });
+    else if (sigil === '/') tokens.push({ type: 'tag', kind: 'close', body: inner.slice(1).trim(), line });
+    else if (sigil === '>') tokens.push({ type: 'tag', kind: 'partial', body: inner.slice(1).trim(), line });
+    else if (inner === 'else') tokens.push({ type: 'tag', kind: 'else', body: inner, line });
+    else tokens.push({ type: 'tag', kind: 'var', body: inner, line });
+    pos = end + 2;
+  }
+  tokens.push({ type: 'text', value: text + source.slice(pos) });
+  return tokens;
+}
+
+/**
+ * Drop the indentation and line break around block tags that sit alone on
+ * their line, so blocks don't leave blank lines behind.
+ */
+function stripStandalone(tokens) {
+  for (let i = 1; i < tokens.length - 1; i += 2) {
+    const tag = tokens[i];
+    if (!STANDALONE_KINDS.includes(tag.kind)) continue;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const lineStart = /(^|\n)[ \t]*$/.exec(before.value);
+    const lineEnd = /^[ \t]*(\r?\n|$)/.exec(after.value);
+    // a tag only counts as alone if no other tag shares its line
+    const startsLine = lineStart && (lineStart[1] === '\n' || i === 1 || before.standaloneEnd);
+    if (startsLine && lineEnd && (lineEnd[1] || i === tokens.length - 2)) {
+      before.value = before.value.slice(0, before.value.length - lineStart[0].length + lineStart[1].length);
+      after.value = after.value.slice(lineEnd[0].length);
+      after.standaloneEnd = true;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a path expression: name.field, this, ., this.field, ../name,
+ * @root.name, @index / @first / @last / @key.
+ * @param {string} text
+ * @returns {{text: string, segments: string[], up: number, root: boolean, self: boolean}|null}
+ */
+function parsePath(text) {
+  if (!text || !/^(?:\.\.\/)*(?:\.|this|@root|@?[\w-]+)(?:\.[\w-]+)*$/.test(text)) return null;
+  let rest = text;
+  let up = 0;
+  while (rest.startsWith('../')) {
+    up++;
+    rest = rest.slice(3);
+  }
+  const segments = rest === '.' ? [] : rest.split('.');
+  const root = segments[0] === '@root';
+  const self = segments[0] === 'this' || rest === '.';
+  if (root || self) segments.shift();
+  return { text, segments, up, root, self };
+}
+
+function resolve(path, stack) {
+  let frame;
+  if (path.root) frame = stack[0];
+  else if (path.up > 0) frame = stack[Math.max(0, stack.length - 1 - path.up)];
+  else if (path.self || path.segments[0]?.startsWith('@')) frame = stack[stack.length - 1];
+  else {
+    const head = path.segments[0];
+    frame = [...stack].reverse().find(f => f.value !== null && typeof f.value === 'object' && head in f.value) || stack[0];
+  }
+
+  const [head, ...rest] = path.segments;
+  if (head === undefined) return frame.value;
+  const start = head.startsWith('@') ? frame.data[head.slice(1)] : frame.value?.[head];
+  return rest.reduce((value, segment) => value?.[segment], start);
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function stringify(value, path) {
+  if (value === undefined || value === null) return `[${path.text}: not provided]`;
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+function renderNodes(nodes, stack) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'var':
+        out += stringify(resolve(node.path, stack), node.path);
+        break;
+      case 'fence': {
+        const content = stringify(resolve(node.path, stack), node.path);
+        const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        out += `${fence}${node.lang}\n${content}\n${fence}`;
+        break;
+      }
+      case 'if':
+        out += renderNodes(truthy(resolve(node.path, stack)) !== node.negate ? node.then : node.else, stack);
+        break;
+      case 'each': {
+        const value = resolve(node.path, stack);
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : value !== null && typeof value === 'object' ? Object.entries(value) : [];
+        if (entries.length === 0) {
+          out += renderNodes(node.else, stack);
+          break;
+        }
+        entries.forEach(([key, item], index) => {
+          const data = { index, key, first: index === 0, last: index === entries.length - 1 };
+          out += renderNodes(node.body, [...stack, { value: item, data }]);
+        });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+export default Template;
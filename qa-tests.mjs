@@ -47,6 +47,10 @@ function assertEqual(a, b, msg) {
   if (a !== b) throw new Error(msg || `Expected ${JSON.stringify(a)} === ${JSON.stringify(b)}`);
 }
 
+// Tests never reach a paid provider: without keys every call answers from the
+// mock, or from the stub or cassette a test sets up (CLI children inherit this)
+for (const key of ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY']) delete process.env[key];
+
 // ─── Imports ────────────────────────────────────────────────────────────────
 const { PolicyEngine } = await import('./control-plane/policy.js');
 const { RBAC } = await import('./control-plane/rbac.js');
@@ -59,6 +63,9 @@ const { Analytics } = await import('./promptos-bridge/analytics.js');
 const CONFIG_PATH = path.join(__dirname, 'control-plane', 'config.yaml');
 const PROMPTOS_PATH = path.join(__dirname, 'promptos', 'packs');
 const ANALYTICS_DIR = path.join(__dirname, 'analytics');
+// Bridges under test log here, so test runs never touch the tracked analytics/events.jsonl
+const QA_ANALYTICS_DIR = '/tmp/zeroclaw-qa-analytics';
+fs.rmSync(QA_ANALYTICS_DIR, { recursive: true, force: true });
 
 // ════════════════════════════════════════════════════════════════════════════
 // SECTION 2: Policy Engine Tests
@@ -276,12 +283,12 @@ test('addRole programmatically works', () => {
 console.log('\n=== Section 4: PromptOS Bridge ===');
 
 // Count events.jsonl before tests
-const eventsPath = path.join(ANALYTICS_DIR, 'events.jsonl');
+const eventsPath = path.join(QA_ANALYTICS_DIR, 'events.jsonl');
 const eventsBefore = fs.existsSync(eventsPath) ? fs.readFileSync(eventsPath, 'utf8').trim().split('\n').filter(Boolean).length : 0;
 
 const bridge = new PromptOSBridge(PROMPTOS_PATH, {
   configPath: CONFIG_PATH,
-  analyticsDir: ANALYTICS_DIR,
+  analyticsDir: QA_ANALYTICS_DIR,
   model: 'claude-sonnet-4-6',
 });
 
@@ -301,7 +308,7 @@ test('getPromptSpec returns null for unknown prompt', () => {
   assert(spec === null, 'should return null for unknown prompt');
 });
 
-test('calling convention A: execute(promptId, inputs, {role})', async () => {
+await testAsync('calling convention A: execute(promptId, inputs, {role})', async () => {
   const result = await bridge.execute('ship.scope_task', {
     objective: 'Add a greet function',
     repo_path: '/tmp',
@@ -312,7 +319,7 @@ test('calling convention A: execute(promptId, inputs, {role})', async () => {
   assert(result.policyChecked === true);
 });
 
-test('calling convention B: execute({promptId, inputs, role})', async () => {
+await testAsync('calling convention B: execute({promptId, inputs, role})', async () => {
   const result = await bridge.execute({
     promptId: 'ship.scope_task',
     inputs: {
@@ -327,7 +334,7 @@ test('calling convention B: execute({promptId, inputs, role})', async () => {
   assert(result.policyChecked === true);
 });
 
-test('policy violation throws clear error for readonly+ship.patch', async () => {
+await testAsync('policy violation throws clear error for readonly+ship.patch', async () => {
   let threw = false;
   try {
     await bridge.execute('ship.patch', {}, { role: 'readonly' });
@@ -339,7 +346,7 @@ test('policy violation throws clear error for readonly+ship.patch', async () =>
   assert(threw, 'Should have thrown a policy error');
 });
 
-test('unknown role throws error', async () => {
+await testAsync('unknown role throws error', async () => {
   let threw = false;
   try {
     await bridge.execute('ship.plan', {}, { role: 'ghost' });
@@ -546,7 +553,7 @@ for (const file of promptFiles) {
     const parsed = yaml.load(content);
     const prompt = parsed.prompt || '';
     const placeholders = (prompt.match(/\{\{(\w+)\}\}/g) || []).map(p => p.replace(/\{\{|\}\}/g, ''));
-    const inputKeys = Object.keys(parsed.inputs || {});
+    const inputKeys = (parsed.inputs || []).map(input => input.name);
     
     for (const ph of placeholders) {
       assert(inputKeys.includes(ph), `Placeholder {{${ph}}} in ${file} not in declared inputs: [${inputKeys.join(', ')}]`);
@@ -753,9 +760,1928 @@ test('ExecTool: confirmDangerous allows subsequent run', () => {
   assert(threw, 'Should still throw because rm -rf is not in allowlist');
 });
 
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 11: Run Checkpoints
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 11: Run Checkpoints ===');
+
+const { TaskContext } = await import('./memory/task-context.js');
+const { RunStore } = await import('./memory/run-store.js');
+
+test('RunStore: save/load roundtrip restores TaskContext progress', () => {
+  const store = new RunStore('/tmp/zeroclaw-qa-runs');
+  const ctx = new TaskContext('Add greet()');
+  ctx.scopeOutput = { done_definition: 'greet exists' };
+  ctx.markPhaseComplete('scope');
+  ctx.markStepComplete('step-1');
+  store.save('qa-run-1', ctx, { status: 'error', repoPath: '/tmp/test-sm-repo' });
+
+  const checkpoint = store.load('qa-run-1');
+  assertEqual(checkpoint.status, 'error');
+  const restored = TaskContext.fromJSON(checkpoint.context);
+  assert(restored.isPhaseComplete('scope'), 'scope phase should be restored');
+  assert(!restored.isPhaseComplete('survey'), 'survey phase should not be complete');
+  assertEqual(restored.completedSteps[0], 'step-1');
+  assertEqual(restored.scopeOutput.done_definition, 'greet exists');
+  fs.rmSync('/tmp/zeroclaw-qa-runs', { recursive: true });
+});
+
+test('RunStore: writeArtifact writes into the run directory only', () => {
+  const store = new RunStore('/tmp/zeroclaw-qa-runs');
+  const written = store.writeArtifact('qa-run-2', 'escalation-step-1.md', '# Escalation');
+  assertEqual(fs.readFileSync(written, 'utf8'), '# Escalation');
+  let threw = false;
+  try {
+    store.writeArtifact('qa-run-2', '../escape.md', 'x');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Should reject artifact names with directories');
+  fs.rmSync('/tmp/zeroclaw-qa-runs', { recursive: true });
+});
+
+test('RunStore: rejects run IDs that escape the runs directory', () => {
+  const store = new RunStore('/tmp/zeroclaw-qa-runs');
+  let threw = false;
+  try {
+    store.load('../etc');
+  } catch (err) {
+    threw = true;
+    assert(err.message.includes('invalid run ID'), `Should reject run ID: ${err.message}`);
+  }
+  assert(threw, 'Should throw for ../etc');
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 12: Step Scheduler
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 12: Step Scheduler ===');
+
+const { Planner } = await import('./orchestrator/planner.js');
+
+const dagPlan = {
+  steps: [
+    { id: 'step-1', type: 'patch', files_affected: ['src/a.js'], depends_on: [] },
+    { id: 'step-2', type: 'patch', files_affected: ['src/b.js'], depends_on: [] },
+    { id: 'step-3', type: 'patch', files_affected: ['src/a.js'], depends_on: [] },
+    { id: 'step-4', type: 'exec', files_affected: [], depends_on: ['step-1', 'step-2', 'step-3'] },
+  ],
+};
+
+test('Planner: independent steps on disjoint files run together', () => {
+  const planner = new Planner({ maxParallelSteps: 3 });
+  const ready = planner.selectReadySteps(dagPlan, []).map(s => s.id);
+  assertEqual(ready.join(','), 'step-1,step-2', 'step-3 shares src/a.js with step-1');
+});
+
+test('Planner: concurrency limit caps ready steps', () => {
+  const planner = new Planner({ maxParallelSteps: 1 });
+  assertEqual(planner.selectReadySteps(dagPlan, []).length, 1);
+  assertEqual(planner.selectReadySteps(dagPlan, [], ['step-1']).length, 0);
+});
+
+test('Planner: exec step waits for dependencies and runs alone', () => {
+  const planner = new Planner({ maxParallelSteps: 3 });
+  assertEqual(planner.selectReadySteps(dagPlan, ['step-1', 'step-2']).map(s => s.id).join(','), 'step-3');
+  assertEqual(planner.selectReadySteps(dagPlan, ['step-1', 'step-2', 'step-3']).map(s => s.id).join(','), 'step-4');
+});
+
+test('Planner: test-checkpoint steps run alone', () => {
+  const planner = new Planner({ maxParallelSteps: 3 });
+  const plan = { steps: [
+    { id: 'a', type: 'patch', files_affected: ['src/a.js'], depends_on: [] },
+    { id: 'b', type: 'patch', files_affected: ['src/b.js'], depends_on: [], test_checkpoint: true },
+    { id: 'c', type: 'patch', files_affected: ['src/c.js'], depends_on: [] },
+  ] };
+  assertEqual(planner.selectReadySteps(plan, []).map(s => s.id).join(','), 'a', 'b waits for a to finish');
+  assertEqual(planner.selectReadySteps(plan, ['a']).map(s => s.id).join(','), 'b');
+  assertEqual(planner.selectReadySteps(plan, ['a'], ['b']).length, 0, 'nothing starts while b runs');
+  assertEqual(planner.selectReadySteps(plan, ['a', 'b']).map(s => s.id).join(','), 'c');
+});
+
+test('Planner: steps without depends_on run in array order', () => {
+  const planner = new Planner({ maxParallelSteps: 3 });
+  const plan = { steps: [{ id: 'a', type: 'patch' }, { id: 'b', type: 'patch' }] };
+  assertEqual(planner.selectReadySteps(plan, []).map(s => s.id).join(','), 'a');
+  assertEqual(planner.selectNextStep(plan, ['a']).id, 'b');
+});
+
+test('Planner: buildStepGraph detects cycles', () => {
+  const planner = new Planner();
+  let threw = false;
+  try {
+    planner.buildStepGraph({ steps: [
+      { id: 'a', depends_on: ['b'] },
+      { id: 'b', depends_on: ['a'] },
+    ] });
+  } catch (err) {
+    threw = true;
+    assert(err.message.includes('cycle'), `Should mention cycle: ${err.message}`);
+  }
+  assert(threw, 'Should throw on a dependency cycle');
+});
+
+test('Planner: buildStepGraph rejects unknown dependencies', () => {
+  const planner = new Planner();
+  let threw = false;
+  try {
+    planner.buildStepGraph({ steps: [{ id: 'a', depends_on: ['ghost'] }] });
+  } catch (err) {
+    threw = true;
+    assert(err.message.includes('unknown step'), `Should mention unknown step: ${err.message}`);
+  }
+  assert(threw, 'Should throw on an unknown dependency');
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 13: Atomic Multi-file Edits
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 13: Atomic Multi-file Edits ===');
+
+const { WorkspaceManager } = await import('./orchestrator/workspace.js');
+
+function makeEditRepo() {
+  const dir = '/tmp/zeroclaw-qa-edits';
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'a.js'), 'line1\nline2\nline3');
+  return dir;
+}
+
+test('WorkspaceManager: atomic applyEdits edits existing and new files together', () => {
+  const dir = makeEditRepo();
+  const ws = new WorkspaceManager(dir);
+  const result = ws.applyEdits([
+    { file_path: 'a.js', edits: [{ line_start: 2, line_end: 2, new_content: 'LINE2' }] },
+    { file_path: 'lib/b.js', edits: [{ line_start: 1, line_end: 1, new_content: 'export const b = 1;' }] },
+  ], { atomic: true });
+  assertEqual(result.failed.length, 0);
+  assertEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), 'line1\nLINE2\nline3');
+  assertEqual(fs.readFileSync(path.join(dir, 'lib/b.js'), 'utf8'), 'export const b = 1;');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: atomic applyEdits leaves every file untouched when one fails', () => {
+  const dir = makeEditRepo();
+  const ws = new WorkspaceManager(dir);
+  const result = ws.applyEdits([
+    { file_path: 'a.js', edits: [{ line_start: 1, line_end: 1, new_content: 'changed' }] },
+    { file_path: 'c.js', edits: [{ line_start: 1, line_end: 1, new_content: 'new' }] },
+    { file_path: 'a.js', edits: [{ line_start: 40, line_end: 41, new_content: 'x' }] },
+  ], { atomic: true });
+  assertEqual(result.applied.length, 0);
+  assertEqual(result.failed.length, 1);
+  assert(result.failed[0].error.includes('out-of-range'), `Unexpected error: ${result.failed[0].error}`);
+  assertEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), 'line1\nline2\nline3');
+  assert(!fs.existsSync(path.join(dir, 'c.js')), 'new file should not be created');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: writeFiles restores earlier files when a later write fails', () => {
+  const dir = makeEditRepo();
+  const ws = new WorkspaceManager(dir);
+  // A directory where a file should go makes the second write fail
+  fs.mkdirSync(path.join(dir, 'blocked.js'));
+  const result = ws.writeFiles([
+    { file_path: 'a.js', content: 'rewritten' },
+    { file_path: 'new.js', content: 'created' },
+    { file_path: 'blocked.js', content: 'x' },
+  ]);
+  assert(result.rolledBack, 'should report rollback');
+  assertEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), 'line1\nline2\nline3');
+  assert(!fs.existsSync(path.join(dir, 'new.js')), 'created file should be removed on rollback');
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 14: Anchor and Diff Edits
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 14: Anchor and Diff Edits ===');
+
+const anchorSource = 'function a() {\n  return 1;\n}\n\nfunction b() {\n    const x = 2;\n    return x;\n}\n';
+
+function makeAnchorRepo() {
+  const dir = '/tmp/zeroclaw-qa-anchors';
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'f.js'), anchorSource);
+  return dir;
+}
+
+test('WorkspaceManager: exact anchor edit replaces old_text with confidence 1', () => {
+  const dir = makeAnchorRepo();
+  const result = new WorkspaceManager(dir).applyEdits([
+    { file_path: 'f.js', edits: [{ old_text: 'return 1;', new_text: 'return 42;' }] },
+  ], { atomic: true });
+  assertEqual(result.failed.length, 0);
+  assertEqual(result.matches[0].strategy, 'exact');
+  assertEqual(result.matches[0].line, 2);
+  assert(fs.readFileSync(path.join(dir, 'f.js'), 'utf8').includes('  return 42;'));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: whitespace-tolerant anchor keeps file indentation', () => {
+  const dir = makeAnchorRepo();
+  const result = new WorkspaceManager(dir).applyEdits([
+    { file_path: 'f.js', edits: [{ old_text: 'const x = 2;\nreturn x;', new_text: 'const x = 3;\nreturn x * 2;' }] },
+  ], { atomic: true });
+  assertEqual(result.matches[0].strategy, 'whitespace');
+  assert(result.matches[0].confidence < 1, 'non-exact match should report lower confidence');
+  assert(fs.readFileSync(path.join(dir, 'f.js'), 'utf8').includes('    const x = 3;\n    return x * 2;'));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: ambiguous and non-matching anchors are rejected', () => {
+  const dir = makeAnchorRepo();
+  const ws = new WorkspaceManager(dir);
+  const ambiguous = ws.applyEdits([{ file_path: 'f.js', edits: [{ old_text: '}', new_text: '};' }] }], { atomic: true });
+  assert(ambiguous.failed[0]?.error.includes('ambiguous'), `Expected ambiguity error: ${ambiguous.failed[0]?.error}`);
+  const missing = ws.applyEdits([{ file_path: 'f.js', edits: [{ old_text: 'totally different text', new_text: 'x' }] }], { atomic: true });
+  assert(missing.failed[0]?.error.includes('not found'), `Expected not-found error: ${missing.failed[0]?.error}`);
+  assertEqual(fs.readFileSync(path.join(dir, 'f.js'), 'utf8'), anchorSource);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: diff hunks apply by content even with wrong line numbers', () => {
+  const dir = makeAnchorRepo();
+  const diff = '@@ -40,2 +40,2 @@\n     const x = 2;\n-    return x;\n+    return x + 1;\n';
+  const result = new WorkspaceManager(dir).applyEdits([{ file_path: 'f.js', edits: [{ diff }] }], { atomic: true });
+  assertEqual(result.failed.length, 0);
+  assertEqual(result.matches[0].line, 6);
+  assert(fs.readFileSync(path.join(dir, 'f.js'), 'utf8').includes('    return x + 1;'));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('WorkspaceManager: diff hunks without context lines are gated by edit_min_confidence', () => {
+  const dir = makeAnchorRepo();
+  const diff = '@@ -2,0 +3,1 @@\n+// inserted\n';
+  const rejected = new WorkspaceManager(dir).applyEdits([{ file_path: 'f.js', edits: [{ diff }] }], { atomic: true });
+  assert(rejected.failed[0]?.error.includes('no context lines'), `Expected rejection: ${rejected.failed[0]?.error}`);
+  assertEqual(fs.readFileSync(path.join(dir, 'f.js'), 'utf8'), anchorSource);
+
+  const lenient = new WorkspaceManager(dir, { minEditConfidence: 0.5 }).applyEdits([{ file_path: 'f.js', edits: [{ diff }] }], { atomic: true });
+  assertEqual(lenient.failed.length, 0);
+  assertEqual(`${lenient.matches[0].strategy}:${lenient.matches[0].confidence}`, 'line:0.5');
+  assertEqual(fs.readFileSync(path.join(dir, 'f.js'), 'utf8').split('\n')[2], '// inserted');
+
+  const created = new WorkspaceManager(dir).applyEdits([{ file_path: 'new.js', edits: [{ diff: '@@ -0,0 +1,1 @@\n+export {};\n' }] }], { atomic: true });
+  assertEqual(created.failed.length, 0, 'a new file has nothing to anchor to');
+  assertEqual(created.matches[0].confidence, 1);
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 15: Run Worktrees
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 15: Run Worktrees ===');
+
+const { spawnSync } = await import('child_process');
+
+function makeGitRepo() {
+  const dir = '/tmp/zeroclaw-qa-wt/repo';
+  fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'node_modules'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'index.js'), 'export const a = 1;\n');
+  fs.writeFileSync(path.join(dir, '.gitignore'), 'node_modules/\n');
+  const git = args => spawnSync('git', ['-c', 'user.name=qa', '-c', 'user.email=qa@example.com', ...args], { cwd: dir });
+  git(['init', '-q']);
+  git(['add', '-A']);
+  git(['commit', '-q', '-m', 'init']);
+  return dir;
+}
+
+test('WorkspaceManager: branchName slugs the task into shipmachine/<task>-<suffix>', () => {
+  const ws = new WorkspaceManager('/tmp');
+  assertEqual(ws.branchName('Fix: the Login bug!', 'abc123'), 'shipmachine/fix-the-login-bug-abc123');
+});
+
+test('WorkspaceManager: worktree isolates edits from the checkout and keeps the branch', () => {
+  const repo = makeGitRepo();
+  const ws = new WorkspaceManager(repo);
+  const worktreePath = '/tmp/zeroclaw-qa-wt/run-1';
+  const { branch } = ws.createWorktree(repo, worktreePath, 'shipmachine/qa-task-1');
+
+  assertEqual(ws.linkDependencies(repo, worktreePath).join(','), 'node_modules');
+  new WorkspaceManager(worktreePath).writeFile('index.js', 'export const a = 2;\n');
+  assertEqual(fs.readFileSync(path.join(repo, 'index.js'), 'utf8'), 'export const a = 1;\n');
+
+  ws.removeWorktree(repo, worktreePath);
+  assert(!fs.existsSync(worktreePath), 'worktree directory should be removed');
+  const branchCheck = spawnSync('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: repo });
+  assertEqual(branchCheck.status, 0, 'task branch should survive worktree removal');
+  fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 16: Per-step Commits
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 16: Per-step Commits ===');
+
+const { ShipMachine } = await import('./orchestrator/index.js');
+
+function makeCommitRepo() {
+  const repo = makeGitRepo();
+  spawnSync('git', ['config', 'user.name', 'qa'], { cwd: repo });
+  spawnSync('git', ['config', 'user.email', 'qa@example.com'], { cwd: repo });
+  return repo;
+}
+
+test('GitTool: commit with paths commits only those paths', () => {
+  const repo = makeCommitRepo();
+  fs.writeFileSync(path.join(repo, 'a.js'), 'a');
+  fs.writeFileSync(path.join(repo, 'b.js'), 'b');
+  gitTool.commit(repo, 'step-1: add a', 'engineer', { paths: ['a.js'] });
+  assert(!gitTool.hasChanges(repo, 'engineer', { paths: ['a.js'] }), 'a.js should be committed');
+  assert(gitTool.hasChanges(repo, 'engineer', { paths: ['b.js'] }), 'b.js should still be uncommitted');
+  assertEqual(gitTool.log(repo, 10, 'HEAD~1')[0].message, 'step-1: add a');
+  fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+});
+
+test('GitTool: reset discards uncommitted and untracked changes but keeps excluded paths', () => {
+  const repo = makeCommitRepo();
+  fs.writeFileSync(path.join(repo, 'index.js'), 'broken');
+  fs.writeFileSync(path.join(repo, 'junk.js'), 'junk');
+  fs.writeFileSync(path.join(repo, 'keep.txt'), 'keep');
+  gitTool.reset(repo, 'HEAD', 'engineer', { exclude: ['keep.txt'] });
+  assertEqual(fs.readFileSync(path.join(repo, 'index.js'), 'utf8'), 'export const a = 1;\n');
+  assert(!fs.existsSync(path.join(repo, 'junk.js')), 'untracked file should be removed');
+  assert(fs.existsSync(path.join(repo, 'keep.txt')), 'excluded file should be kept');
+  fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+});
+
+test('GitTool: diff with includeUntracked shows new files without touching the index', () => {
+  const repo = makeCommitRepo();
+  fs.writeFileSync(path.join(repo, 'staged.js'), 'staged');
+  spawnSync('git', ['add', 'staged.js'], { cwd: repo });
+  fs.writeFileSync(path.join(repo, 'junk.js'), 'junk');
+  fs.writeFileSync(path.join(repo, 'keep.txt'), 'keep');
+  const statusBefore = spawnSync('git', ['status', '--porcelain'], { cwd: repo, encoding: 'utf8' }).stdout;
+
+  const diff = gitTool.diff(repo, 'engineer', { includeUntracked: true, exclude: ['keep.txt'] });
+  assert(diff.includes('+++ b/junk.js') && diff.includes('+++ b/staged.js'), diff);
+  assert(!diff.includes('keep.txt'), 'excluded paths should be left out');
+  assertEqual(spawnSync('git', ['status', '--porcelain'], { cwd: repo, encoding: 'utf8' }).stdout, statusBefore,
+    'untracked files should stay untracked and staged ones staged');
+  fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+});
+
+test('ShipMachine: step commit message carries step, prompt and run trailers', () => {
+  const sm = new ShipMachine({ repoPath: '/tmp', objective: 'x' });
+  sm.runId = 'run-123';
+  const message = sm._stepCommitMessage(
+    { id: 'step-2', type: 'patch', description: 'Add greet()' },
+    { promptId: 'ship.patch', files_affected: ['src/greet.js'], output: { summary: 'Added greet' } }
+  );
+  assert(message.startsWith('step-2: Add greet()\n'), `Unexpected subject: ${message}`);
+  assert(message.includes('ShipMachine-Step: step-2 (patch)'));
+  assert(message.includes('ShipMachine-Prompt: ship.patch'));
+  assert(message.trimEnd().endsWith('ShipMachine-Run-Id: run-123'));
+});
+
+await testAsync('ShipMachine: security check reviews the changes committed since the run started', async () => {
+  const repo = makeCommitRepo();
+  try {
+    const baseCommit = spawnSync('git', ['rev-parse', 'HEAD'], { cwd: repo, encoding: 'utf8' }).stdout.trim();
+    fs.writeFileSync(path.join(repo, 'index.js'), 'export const a = eval(process.argv[2]);\n');
+    gitTool.commit(repo, 'step-1: read a from argv', 'engineer');
+
+    const sm = new ShipMachine({ repoPath: repo, objective: 'x' });
+    sm.workspace = new WorkspaceManager(repo);
+    sm.worktree = { path: repo, branch: 'shipmachine/qa', baseCommit };
+    sm.taskContext = new TaskContext('x');
+    let securityInputs = null;
+    sm._execute = async (phase, promptId, inputs) => {
+      securityInputs = inputs;
+      return { output: { safe_to_proceed: true } };
+    };
+    await sm._runSecurityCheck();
+    assert(securityInputs.diff.includes('+export const a = eval(process.argv[2]);'), `security diff: ${JSON.stringify(securityInputs.diff)}`);
+  } finally {
+    fs.rmSync('/tmp/zeroclaw-qa-wt', { recursive: true, force: true });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 17: Patch Context Retrieval
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 17: Patch Context Retrieval ===');
+
+const { ContextBuilder } = await import('./orchestrator/context-builder.js');
+
+function makeContextRepo() {
+  const dir = '/tmp/zeroclaw-qa-context';
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'src/utils'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'src/utils/validate.js'),
+    'export function validateEmail(email) {\n  return /@/.test(email);\n}\n');
+  fs.writeFileSync(path.join(dir, 'src/users.js'),
+    "import { validateEmail } from './utils/validate.js';\nimport chalk from 'chalk';\n\n" +
+    "export function createUser(email) {\n  if (!validateEmail(email)) throw new Error('bad');\n  return { email };\n}\n");
+  fs.writeFileSync(path.join(dir, 'src/routes.js'),
+    "import { createUser } from './users.js';\n\nexport function route(req) {\n  return createUser(req.body.email);\n}\n");
+  return dir;
+}
+
+test('ContextBuilder: collects imported definitions and call sites of exports', () => {
+  const dir = makeContextRepo();
+  const builder = new ContextBuilder(fsTool);
+  const candidates = builder.collect(dir, ['src/users.js'], 'engineer');
+  const def = candidates.find(c => c.kind === 'definition');
+  assertEqual(def?.symbol, 'validateEmail');
+  assert(def.text.includes('return /@/.test(email);'), 'definition snippet should include the body');
+  const calls = candidates.filter(c => c.kind === 'call site');
+  assertEqual(calls.length, 1, 'import lines are not call sites');
+  assertEqual(calls[0].file, 'src/routes.js');
+  assert(candidates.indexOf(def) < candidates.indexOf(calls[0]), 'definitions should rank above call sites');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('ContextBuilder: packed context stays within the token budget', () => {
+  const dir = makeContextRepo();
+  const builder = new ContextBuilder(fsTool);
+  const full = builder.build({ repoPath: dir, files: ['src/users.js'], role: 'engineer' });
+  assert(full.includes('Call site of `createUser`'), 'full budget should include call sites');
+  const small = builder.build({ repoPath: dir, files: ['src/users.js'], role: 'engineer', tokenBudget: 60 });
+  assert(builder.estimateTokens(small) <= 60, `context over budget: ${builder.estimateTokens(small)}`);
+  assert(small.length < full.length, 'smaller budget should drop candidates');
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 18: Code Index
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 18: Code Index ===');
+
+const { CodeIndexer } = await import('./orchestrator/code-index.js');
+
+test('CodeIndexer: extracts classes, methods, exports and Python symbols', () => {
+  const indexer = new CodeIndexer(fsTool, gitTool);
+  const js = indexer.extractSymbols(
+    'const LIMIT = 5;\n\nexport class Store {\n  get(key) {\n    if (key) {\n    }\n  }\n\n  _evict() {\n  }\n}\n\nexport const load = async (p) => p;\n', 'store.js');
+  assertEqual(js.map(s => `${s.kind}:${s.name}:${s.exported}`).join(','), 'const:LIMIT:false,class:Store:true,function:load:true');
+  assertEqual(js[1].methods.join(','), 'get', 'private methods and control flow are not methods');
+  const py = indexer.extractSymbols('class Service:\n    def run(self):\n        pass\n\ndef _helper():\n    pass\n', 'app.py');
+  assertEqual(py.map(s => `${s.name}:${s.exported}`).join(','), 'Service:true,_helper:false');
+  assertEqual(py[0].methods.join(','), 'run');
+});
+
+test('CodeIndexer: index resolves import edges and is cached per commit SHA', () => {
+  const dir = makeContextRepo();
+  const git = args => spawnSync('git', ['-c', 'user.name=qa', '-c', 'user.email=qa@example.com', ...args], { cwd: dir });
+  git(['init', '-q']);
+  git(['add', '-A']);
+  git(['commit', '-q', '-m', 'init']);
+
+  const cacheDir = '/tmp/zeroclaw-qa-index-cache';
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  const indexer = new CodeIndexer(fsTool, gitTool, { cacheDir });
+  const first = indexer.load(dir, 'engineer');
+  assertEqual(first.cached, false);
+  assertEqual(first.index.files['src/users.js'].imports.join(','), 'src/utils/validate.js');
+  assertEqual(first.index.files['src/users.js'].external.join(','), 'chalk');
+  assert(fs.existsSync(path.join(cacheDir, `${first.index.sha}.json`)), 'index should be cached under the commit SHA');
+  assertEqual(indexer.load(dir, 'engineer').cached, true);
+
+  fs.appendFileSync(path.join(dir, 'src/routes.js'), 'export function extra() {}\n');
+  const dirty = indexer.load(dir, 'engineer');
+  assertEqual(dirty.cached, false, 'a dirty tree is indexed fresh');
+  assert(dirty.index.files['src/routes.js'].symbols.some(s => s.name === 'extra'), 'fresh index should see uncommitted symbols');
+  fs.rmSync(dir, { recursive: true });
+  fs.rmSync(cacheDir, { recursive: true });
+});
+
+test('CodeIndexer: code map ranks imported files first and fits the budget', () => {
+  const dir = makeContextRepo();
+  const indexer = new CodeIndexer(fsTool, gitTool);
+  const { index } = indexer.load(dir, 'engineer');
+  const map = indexer.codeMap(index);
+  assert(map.indexOf('src/users.js') < map.indexOf('src/routes.js'), 'imported files should rank first');
+  assert(map.includes('+ function validateEmail'), 'exported functions should be listed');
+  const small = indexer.codeMap(index, 40);
+  assert(indexer.parser.estimateTokens(small) <= 50, 'small budget map should stay compact');
+  assert(small.includes('more files omitted'), 'omitted files should be noted');
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 19: Approval Gates
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 19: Approval Gates ===');
+
+const { ApprovalManager, FileQueueApprovalProvider } = await import('./control-plane/approvals.js');
+const APPROVAL_QUEUE = '/tmp/zeroclaw-qa-approvals';
+
+await testAsync('ApprovalManager: file queue blocks until `approve` records a decision', async () => {
+  fs.rmSync(APPROVAL_QUEUE, { recursive: true, force: true });
+  const queue = new FileQueueApprovalProvider(APPROVAL_QUEUE, { pollIntervalMs: 10 });
+  const decisions = [];
+  const manager = new ApprovalManager(queue, { timeoutMs: 5000, onDecision: r => decisions.push(r) });
+
+  const pending = manager.request({ runId: 'run-approve-1', kind: 'prompt', subject: 'ship.patch', reason: 'prod patch' });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  const [entry] = queue.list({ status: 'pending' });
+  assert(entry, 'request should be queued as pending');
+  queue.resolve(entry.id, 'approved', { by: 'qa', note: 'looks fine' });
+
+  const record = await pending;
+  assert(record.approved, 'request should be approved');
+  assertEqual(record.runId, 'run-approve-1');
+  assertEqual(record.decidedBy, 'qa');
+  assertEqual(decisions.length, 1, 'decision should be passed to onDecision');
+});
+
+await testAsync('ApprovalManager: timeout policy denies and expires the queued request', async () => {
+  fs.rmSync(APPROVAL_QUEUE, { recursive: true, force: true });
+  const queue = new FileQueueApprovalProvider(APPROVAL_QUEUE, { pollIntervalMs: 10 });
+  const record = await new ApprovalManager(queue, { timeoutMs: 40 })
+    .request({ runId: 'run-approve-2', kind: 'command', subject: 'rm -rf build', reason: 'dangerous' });
+  assert(!record.approved && record.timedOut, 'timed-out request should be denied');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assertEqual(queue.get(record.id).status, 'expired');
+  let error = null;
+  try { queue.resolve(record.id, 'approved'); } catch (err) { error = err; }
+  assert(error?.message.includes('already expired'), 'late approval should be refused');
+  fs.rmSync(APPROVAL_QUEUE, { recursive: true, force: true });
+});
+
+await testAsync('bridge: gated prompt blocks on the approval provider and fails when denied', async () => {
+  const gatedBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: QA_ANALYTICS_DIR });
+  gatedBridge.policy.governance.approvalRules = [{ prompt_id: 'ship.rollback_plan', condition: 'always', reason: 'qa gate' }];
+  const rollbackInputs = { changes_summary: 'Add greet()', files_modified: '["src/greet.js"]', git_branch: 'feat/greet' };
+
+  let error = null;
+  try { await gatedBridge.execute('ship.rollback_plan', rollbackInputs, { role: 'engineer' }); } catch (err) { error = err; }
+  assert(error?.message.includes('no approval provider'), 'gated prompt must not run without a provider');
+
+  const asked = [];
+  gatedBridge.setApprovalManager(new ApprovalManager({
+    name: 'qa',
+    decide: async (request) => { asked.push(request); return { decision: 'denied', decidedBy: 'qa' }; },
+  }));
+  error = null;
+  try { await gatedBridge.execute('ship.rollback_plan', rollbackInputs, { role: 'engineer' }); } catch (err) { error = err; }
+  assert(error?.message.includes('approval denied'), `expected denial, got: ${error?.message}`);
+  assertEqual(asked[0]?.runId, gatedBridge.getRunId(), 'request should carry the run ID');
+});
+
+await testAsync('ShipMachine: a dry run records approval gates without waiting on them', async () => {
+  const baseDir = fs.mkdtempSync('/tmp/zeroclaw-qa-dry-');
+  const repo = path.join(baseDir, 'repo');
+  fs.mkdirSync(repo);
+  fs.writeFileSync(path.join(repo, 'index.js'), 'export const a = 1;\n');
+  fs.symlinkSync(path.join(__dirname, 'promptos'), path.join(baseDir, 'promptos'));
+  // every model answers from the mock; governance.yaml gates ship.rollback_plan "always"
+  const config = yaml.load(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  config.llm.provider = 'mock';
+  config.governance_file = path.join(__dirname, 'control-plane', 'governance.yaml');
+  config.approvals = { provider: 'file', timeout_seconds: 5 };
+  const configPath = path.join(baseDir, 'config.yaml');
+  fs.writeFileSync(configPath, yaml.dump(config));
+  try {
+    const sm = new ShipMachine({ repoPath: repo, objective: 'Add greet()', dryRun: true, config: { baseDir, configPath } });
+    const started = Date.now();
+    const result = await sm.run();
+    assertEqual(result.status, 'dry-run', result.error);
+    assert(Date.now() - started < 5000, 'the run should not wait for the approval timeout');
+    const records = fs.readFileSync(path.join(baseDir, 'runs', result.runId, 'approvals.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    const rollback = records.find(r => r.subject === 'ship.rollback_plan');
+    assertEqual(rollback?.decision, 'would-require-approval');
+    assert(!fs.existsSync(path.join(baseDir, 'approvals')), 'nothing should be queued for a human');
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 20: Governance
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 20: Governance ===');
+
+const { GovernanceEngine } = await import('./control-plane/governance.js');
+
+test('PolicyEngine: governance comes from governance.yaml', () => {
+  assert(policy.governance instanceof GovernanceEngine, 'policy should own a GovernanceEngine');
+  assert(policy.checkModelAllowed('engineer', 'claude-opus-4-6'), 'governance.yaml allowlist should apply');
+  assert(!policy.checkModelAllowed('readonly', 'claude-opus-4-6'));
+  assertEqual(policy.inferDataClass('contact jane@example.com'), 'pii');
+  assertEqual(policy.inferDataClass('const apiKey = process.env.API_KEY; const tokenBudget = 5;'), 'public');
+});
+
+test('GovernanceEngine: conditional approval rules use context; output rules wait for output', () => {
+  assert(policy.requiresApproval('ship.patch', { target_env: 'prod' }).required, 'prod patch needs approval');
+  assert(!policy.requiresApproval('ship.patch', { target_env: 'dev' }).required, 'dev patch does not');
+  assert(!policy.requiresApproval('ship.security_check', {}).required, 'output rules are not decided before execution');
+});
+
+test('GovernanceEngine: redact_patterns and the audit section are honored', () => {
+  const logDir = '/tmp/zeroclaw-qa-audit';
+  fs.rmSync(logDir, { recursive: true, force: true });
+  const gov = new GovernanceEngine({
+    data_classes: [
+      { name: 'public', allowed_roles: ['engineer'] },
+      { name: 'pii', allowed_roles: ['engineer'], requires_redaction: true,
+        detect_patterns: ['\\bcust-\\d+'], redact_patterns: [{ type: 'customer', pattern: '\\bcust-\\d+' }, 'secret-\\w+'] },
+    ],
+    audit: { enabled: true, log_path: 'audit.jsonl', log_fields: ['run_id', 'prompt_id', 'approved'] },
+  }, { baseDir: logDir });
+
+  assertEqual(gov.inferDataClass('order for cust-42'), 'pii');
+  assertEqual(gov.redact('cust-42 said secret-x', 'pii'), '[REDACTED:CUSTOMER] said [REDACTED]');
+  gov.audit({ run_id: 'r1', prompt_id: 'ship.plan', approved: null, role: 'engineer' });
+  const entry = JSON.parse(fs.readFileSync(path.join(logDir, 'audit.jsonl'), 'utf8').trim());
+  assertEqual(Object.keys(entry).join(','), 'run_id,prompt_id,approved,seq,prev_hash,hash', 'only log_fields (plus the hash chain) are written');
+  fs.rmSync(logDir, { recursive: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 21: Condition Language
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 21: Condition Language ===');
+
+const { Condition } = await import('./control-plane/conditions.js');
+
+test('Condition: comparisons, boolean ops, in, and field paths', () => {
+  const scope = {
+    context: { target_env: 'prod', approved: false },
+    inputs: { files: ['a.js', 'b.js', 'c.js'], meta: { 'risk-score': 7 } },
+    output: { risk_level: 'high', issues: [] },
+  };
+  assert(new Condition("context.target_env == 'prod' and not context.approved").evaluate(scope));
+  assert(new Condition("output.risk_level in ['high', 'critical'] && inputs.files.length >= 3").evaluate(scope));
+  assert(new Condition("inputs.meta['risk-score'] > 5 || false").evaluate(scope));
+  assert(new Condition("'b.js' in inputs.files and 'z.js' not in inputs.files").evaluate(scope));
+  assert(!new Condition("output.issues.length > 0").evaluate(scope));
+  assert(!new Condition("context.missing.deeper == 'x'").evaluate(scope), 'missing paths are null');
+  assert(!new Condition("inputs.files.length > '2'").evaluate(scope), 'no coercion between number and string');
+  assert(new Condition("output.risk_level == 'high'").uses('output'));
+});
+
+test('Condition: parser rejects code and reports the position', () => {
+  const errorFor = (src) => { try { new Condition(src); return null; } catch (err) { return err.message; } };
+  assert(errorFor("process.exit(1)")?.includes("unknown name 'process'"), 'globals are not reachable');
+  assert(errorFor("context.constructor == 1")?.includes("'constructor' is not accessible at position 9"), 'prototype keys are blocked');
+  assert(errorFor("context.target_env = 'prod'")?.includes("unexpected character '='"));
+  assert(errorFor("context.a == 1 ==")?.includes('chained'));
+  assert(errorFor("(context.a == 1")?.includes("expected ')' but found end of expression at position 16"));
+
+  let error = null;
+  try {
+    new GovernanceEngine({ approval_required: [{ prompt_id: 'ship.patch', condition: "require('fs')" }] });
+  } catch (err) { error = err; }
+  assert(error?.message.startsWith('GovernanceEngine: invalid approval condition for "ship.patch"'),
+    `invalid conditions should fail at load, got: ${error?.message}`);
+});
+
+await testAsync('bridge: output rules are checked against the LLM output before it is returned', async () => {
+  const outputBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: QA_ANALYTICS_DIR });
+  outputBridge.policy.governance = new GovernanceEngine({
+    model_allowlist: { engineer: ['claude'] },
+    approval_required: [{ prompt_id: 'ship.security_check', condition: "output.risk_level in ['low', 'high']", reason: 'qa escalation' }],
+  });
+  outputBridge.llm.setProvider('anthropic', {
+    name: 'anthropic', type: 'anthropic', isAvailable: () => true,
+    stream: async () => ({ text: JSON.stringify({ risk_level: 'low', issues: [], safe_to_proceed: true }), inputTokens: 100, outputTokens: 20 }),
+  });
+
+  const asked = [];
+  outputBridge.setApprovalManager(new ApprovalManager({
+    name: 'qa',
+    decide: async (request) => { asked.push(request); return { decision: 'denied', decidedBy: 'qa' }; },
+  }));
+  let error = null;
+  try {
+    await outputBridge.execute('ship.security_check', { file_paths: 'src/a.js', diff: '+ x' }, { role: 'engineer' });
+  } catch (err) { error = err; }
+  assert(error?.message.includes('approval denied for output of "ship.security_check"'), `expected output denial, got: ${error?.message}`);
+  assertEqual(asked.length, 1, 'only the output rule should ask');
+  assertEqual(asked[0].kind, 'prompt-output');
+  assertEqual(asked[0].details.output.risk_level, 'low');
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 22: Audit Log
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 22: Audit Log ===');
+
+const { AuditLog, GENESIS_HASH } = await import('./control-plane/audit-log.js');
+const AUDIT_DIR = '/tmp/zeroclaw-qa-audit-chain';
+
+test('AuditLog: entries are hash-chained and tampering is detected', () => {
+  fs.rmSync(AUDIT_DIR, { recursive: true, force: true });
+  const logPath = path.join(AUDIT_DIR, 'audit.jsonl');
+  const log = new AuditLog(logPath, { fields: ['event', 'decision', 'target'] });
+  const first = log.append({ event: 'exec', decision: 'executed', target: 'npm test', ignored: 'x' });
+  log.append({ event: 'fs.write', decision: 'allowed', target: '/tmp/a.js' });
+  log.append({ event: 'git.commit', decision: 'allowed', target: '/tmp/repo' });
+
+  assertEqual(first.prev_hash, GENESIS_HASH);
+  assertEqual(first.ignored, undefined, 'fields outside log_fields are dropped');
+  const intact = log.verify();
+  assert(intact.ok && intact.entries === 3, `chain should verify: ${JSON.stringify(intact)}`);
+
+  const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+  fs.writeFileSync(logPath, [lines[0], lines[1].replace('/tmp/a.js', '/tmp/b.js'), lines[2]].join('\n') + '\n');
+  const edited = log.verify();
+  assert(!edited.ok && edited.line === 2 && edited.reason.includes('hash'), `edit should break line 2: ${JSON.stringify(edited)}`);
+
+  fs.writeFileSync(logPath, [lines[0], lines[2]].join('\n') + '\n');
+  const removed = log.verify();
+  assert(!removed.ok && removed.line === 2, `deletion should break line 2: ${JSON.stringify(removed)}`);
+});
+
+test('tools: Exec, FS writes and Git commits are audited with the run context', () => {
+  fs.rmSync(AUDIT_DIR, { recursive: true, force: true });
+  const auditPolicy = new PolicyEngine(CONFIG_PATH);
+  auditPolicy.governance = new GovernanceEngine({
+    audit: { enabled: true, log_path: 'audit.jsonl', log_fields: ['event', 'decision', 'run_id', 'target', 'detail'] },
+  }, { baseDir: AUDIT_DIR });
+  auditPolicy.setAuditContext({ run_id: 'run-audit-1' });
+
+  const repo = makeGitRepo();
+  spawnSync('git', ['config', 'user.name', 'qa'], { cwd: repo });
+  spawnSync('git', ['config', 'user.email', 'qa@example.com'], { cwd: repo });
+
+  new ExecTool(auditPolicy).run('node --test', repo, { timeout: 20000 });
+  try { new ExecTool(auditPolicy).run('curl http://example.com', repo); } catch { /* denied */ }
+  new FilesystemTool(auditPolicy).write_file(path.join(repo, 'b.js'), 'export const b = 2;\n');
+  new GitTool(auditPolicy).commit(repo, 'add b');
+
+  const entries = fs.readFileSync(path.join(AUDIT_DIR, 'audit.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assertEqual(entries.map(e => `${e.event}:${e.decision}`).join(' '),
+    'exec:executed exec:denied fs.write:allowed git.commit:allowed');
+  assert(entries.every(e => e.run_id === 'run-audit-1'), 'audit context should be merged into tool records');
+  assertEqual(typeof entries[0].detail.exit_code, 'number');
+  assertEqual(entries[3].detail.subject, 'add b');
+  assert(new AuditLog(path.join(AUDIT_DIR, 'audit.jsonl')).verify().ok, 'tool entries should form one chain');
+});
+
+test('CLI: audit verify exits non-zero when the chain is broken', () => {
+  const logPath = path.join(AUDIT_DIR, 'audit.jsonl');
+  const verify = () => spawnSync('node', ['cli/index.js', 'audit', 'verify', '--log', logPath], { cwd: __dirname, encoding: 'utf8' });
+
+  const ok = verify();
+  assertEqual(ok.status, 0, `intact log should verify: ${ok.stdout}${ok.stderr}`);
+  assert(ok.stdout.includes('Chain intact (4 entries)'));
+
+  fs.writeFileSync(logPath, fs.readFileSync(logPath, 'utf8').replace('"exec","decision":"denied"', '"exec","decision":"executed"'));
+  const broken = verify();
+  assertEqual(broken.status, 1, 'tampered log should fail verification');
+  assert(broken.stdout.includes('Chain broken at line 2'), broken.stdout);
+  fs.rmSync(AUDIT_DIR, { recursive: true, force: true });
+});
+
+test('WorkspaceManager: writes and rollbacks go through the audited FS tool', () => {
+  fs.rmSync(AUDIT_DIR, { recursive: true, force: true });
+  const auditPolicy = new PolicyEngine(CONFIG_PATH);
+  auditPolicy.governance = new GovernanceEngine({
+    audit: { enabled: true, log_path: 'audit.jsonl', log_fields: ['event', 'decision', 'target'] },
+  }, { baseDir: AUDIT_DIR });
+
+  const dir = '/tmp/zeroclaw-qa-ws-audit';
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'a.js'), 'a');
+  const ws = new WorkspaceManager(dir, { fsTool: new FilesystemTool(auditPolicy), role: 'engineer' });
+  const result = ws.writeFiles([
+    { file_path: 'a.js', content: 'a2' },
+    { file_path: 'new.js', content: 'n' },
+    { file_path: '/etc/zeroclaw-qa-denied.js', content: 'x' },
+  ]);
+
+  assert(result.rolledBack, 'a denied write should roll the batch back');
+  assertEqual(fs.readFileSync(path.join(dir, 'a.js'), 'utf8'), 'a');
+  assert(!fs.existsSync(path.join(dir, 'new.js')), 'new.js should be removed on rollback');
+  const entries = fs.readFileSync(path.join(AUDIT_DIR, 'audit.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assertEqual(entries.map(e => `${e.event}:${e.decision}:${path.basename(e.target)}`).join(' '),
+    'fs.write:allowed:a.js fs.write:allowed:new.js fs.write:denied:zeroclaw-qa-denied.js fs.write:allowed:a.js fs.delete:allowed:new.js');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(AUDIT_DIR, { recursive: true, force: true });
+});
+
+test('WorkspaceManager: files the rollback cannot restore are reported, not swallowed', () => {
+  const dir = '/tmp/zeroclaw-qa-ws-rollback';
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const fsTool = new FilesystemTool(policy);
+  fsTool.delete_file = (filePath) => { throw new Error(`FS: path not allowed by policy: ${filePath}`); };
+  const result = new WorkspaceManager(dir, { fsTool }).writeFiles([
+    { file_path: 'new.js', content: 'n' },
+    { file_path: '/etc/zeroclaw-qa-denied.js', content: 'x' },
+  ]);
+
+  assertEqual(result.rolledBack, false);
+  assertEqual(result.rollbackErrors.map(f => f.file).join(), 'new.js');
+  assert(fs.existsSync(path.join(dir, 'new.js')), 'the unrestored file is still there');
+  const message = new ShipMachine({ repoPath: dir, objective: 'x' })._describeFailedWrite('Patch for step step-1', result);
+  assert(message.startsWith('Patch for step step-1 failed and its rollback was incomplete — not restored: new.js: FS: path not allowed'), message);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 23: Token Accounting
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 23: Token Accounting ===');
+
+const { PriceTable } = await import('./promptos-bridge/pricing.js');
+
+await testAsync('bridge: every call reports input/output tokens and estimated cost', async () => {
+  const prices = new PriceTable();
+  assertEqual(prices.priceFor('claude-sonnet-4-6').input, 3, 'longest prefix wins');
+  assertEqual(prices.priceFor('gpt-4o-mini').output, 0.6, 'gpt-4o-mini is not priced as gpt-4o');
+  assertEqual(prices.cost('claude-sonnet-4-6', 1000000, 100000), 4.5);
+  assertEqual(prices.cost('unknown-model', 10, 10), null);
+
+  const result = await bridge.execute('ship.scope_task', { objective: 'Add a health check', repo_context: '', constraints: '' }, { role: 'engineer' });
+  const { inputTokens, outputTokens, totalTokens, costUsd } = result.usage;
+  assert(inputTokens > 0 && outputTokens > 0, `expected an input/output split: ${JSON.stringify(result.usage)}`);
+  assertEqual(totalTokens, inputTokens + outputTokens);
+  assertEqual(result.tokensUsed, totalTokens);
+  assertEqual(costUsd, prices.cost('claude-sonnet-4-6', inputTokens, outputTokens));
+});
+
+test('TaskContext: usage accumulates per phase and survives checkpoints', () => {
+  const ctx = new TaskContext('Track spend');
+  ctx.recordUsage('plan', { inputTokens: 800, outputTokens: 200, totalTokens: 1000, costUsd: 0.0054 });
+  ctx.recordUsage('steps', { inputTokens: 1500, outputTokens: 500, totalTokens: 2000, costUsd: 0.012 });
+  ctx.recordUsage('steps', { inputTokens: 100, outputTokens: 50, totalTokens: 150, costUsd: null });
+
+  const budget = ctx.getBudgetUsage();
+  assertEqual(budget.tokens, 3150);
+  assertEqual(budget.inputTokens, 2400);
+  assertEqual(budget.costUsd, 0.0174);
+  assertEqual(ctx.getPhaseUsage('steps').calls, 2);
+  assertEqual(ctx.getPhaseUsage('docs').tokens, 0);
+
+  const restored = TaskContext.fromJSON(JSON.parse(JSON.stringify(ctx.toJSON())));
+  assertEqual(restored.getPhaseUsage('plan').outputTokens, 200);
+  assertEqual(restored.totalTokensUsed, 3150);
+});
+
+test('TaskContext: test evidence is kept per step and survives checkpoints', () => {
+  const ctx = new TaskContext('Check steps');
+  ctx.recordTestEvidence('step-1', { passed: 3, failed: 1 });
+  ctx.recordTestEvidence('step-2', { passed: 4, failed: 0 });
+  assertEqual(ctx.testEvidenceByStep['step-1'].failed, 1, 'step-2 should not overwrite step-1');
+  assertEqual(ctx.testEvidence.passed, 4, 'testEvidence is the latest run');
+
+  const restored = TaskContext.fromJSON(JSON.parse(JSON.stringify(ctx.toJSON())));
+  assertEqual(restored.testEvidenceByStep['step-1'].passed, 3);
+});
+
+await testAsync('budgets: limits and phase sub-budgets come from config.yaml', async () => {
+  const planner = new Planner({ budgets: { max_tokens: 1000 } });
+  const abort = planner.shouldAbort({ steps: 1, tokens: 1200, timeMinutes: 0, filesModified: 0 }, null);
+  assert(abort.abort && abort.reason.includes('1200/1000'), `configured max_tokens should abort: ${abort.reason}`);
+  assert(!new Planner().shouldAbort({ steps: 1, tokens: 1200, timeMinutes: 0, filesModified: 0 }, null).abort);
+  assertEqual(new Planner({ budgets: policy.getBudgetLimits() }).budgets.max_steps, 50);
+
+  assert(policy.checkPhaseBudget('plan', { tokens: 1000 }).ok);
+  const phase = policy.checkPhaseBudget('plan', { tokens: 40000 });
+  assert(!phase.ok && phase.reason.includes('plan phase tokens (40000/40000)'), phase.reason);
+  assert(policy.checkPhaseBudget('docs', { tokens: 10 ** 9 }).ok, 'phases without a limit are unlimited');
+
+  let error = null;
+  try {
+    await bridge.execute('ship.scope_task', { objective: 'x' }, { role: 'engineer', budget: { tokens: 600000 } });
+  } catch (err) { error = err; }
+  assert(error?.message.includes('budget exceeded'), `orchestrator-style budget should be enforced, got: ${error?.message}`);
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 24: Cost Reports
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 24: Cost Reports ===');
+
+const COST_DIR = '/tmp/zeroclaw-qa-cost';
+
+await testAsync('bridge: analytics events carry input/output tokens and cost from the config price table', async () => {
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+  const costBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  const configured = yaml.load(fs.readFileSync(CONFIG_PATH, 'utf8')).pricing['claude-sonnet-4'];
+  assertEqual(costBridge.pricing.priceFor('claude-sonnet-4-6').output, configured.output, 'config.yaml pricing should apply');
+
+  await costBridge.execute({ promptId: 'ship.scope_task', inputs: { objective: 'Add caching', repo_context: '', constraints: '' }, user: { id: 'dana' } });
+  const [event] = new Analytics(COST_DIR).loadHistory();
+  assert(event.input_tokens > 0 && event.output_tokens > 0, 'event should split input/output tokens');
+  assertEqual(event.cost_usd, costBridge.pricing.cost('claude-sonnet-4-6', event.input_tokens, event.output_tokens));
+  assertEqual(event.user_id, 'dana');
+});
+
+test('Analytics: cost breakdown by run, user and day; unpriced calls are flagged', () => {
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+  const costAnalytics = new Analytics(COST_DIR);
+  const base = { prompt_id: 'ship.plan', role: 'engineer', model: 'claude-sonnet-4-6' };
+  costAnalytics.log({ ...base, run_id: 'r1', user_id: 'dana', timestamp: '2026-03-01T10:00:00Z', tokens_used: 1500, input_tokens: 1000, output_tokens: 500, cost_usd: 0.0105 });
+  costAnalytics.log({ ...base, run_id: 'r1', user_id: 'dana', timestamp: '2026-03-02T10:00:00Z', tokens_used: 300, input_tokens: 200, output_tokens: 100, cost_usd: 0.0021 });
+  costAnalytics.log({ ...base, run_id: 'r2', user_id: 'lee', timestamp: '2026-03-02T11:00:00Z', tokens_used: 400 });
+
+  const byRun = costAnalytics.getCostBreakdown('run');
+  assertEqual(byRun[0].key, 'r1');
+  assertEqual(byRun[0].costUsd, 0.0126);
+  assertEqual(byRun[0].inputTokens, 1200);
+  assertEqual(byRun[1].unpricedCalls, 1, 'events without cost_usd are counted as unpriced');
+  assertEqual(costAnalytics.getCostBreakdown('day').find(r => r.key === '2026-03-02').calls, 2);
+  assertEqual(costAnalytics.getCostBreakdown('user', { since: '2026-03-02' }).find(r => r.key === 'dana').costUsd, 0.0021);
+  assertEqual(costAnalytics.getStats().totalCostUsd, 0.0126);
+
+  let error = null;
+  try { costAnalytics.getCostBreakdown('team'); } catch (err) { error = err; }
+  assert(error?.message.includes('unknown cost dimension'), 'unknown dimensions should be rejected');
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+test('budgets: max_cost_usd stops the run', () => {
+  const limit = policy.getBudgetLimits().max_cost_usd;
+  assert(limit > 0, 'config.yaml should set max_cost_usd');
+  const over = policy.checkBudget({ costUsd: limit });
+  assert(!over.ok && over.reason.includes('cost'), `expected cost overrun: ${over.reason}`);
+  const near = policy.checkBudget({ costUsd: limit * 0.9 });
+  assert(near.ok && near.warnings?.some(w => w.startsWith('cost at 90%')), 'should warn at 80%+ of max_cost_usd');
+
+  const abort = new Planner({ budgets: { max_cost_usd: 0.5 } })
+    .shouldAbort({ steps: 1, tokens: 10, costUsd: 0.75, timeMinutes: 0, filesModified: 0 }, null);
+  assert(abort.abort && abort.reason.includes('max cost'), abort.reason);
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 25: Streaming
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 25: Streaming ===');
+
+const { LLMAdapter } = await import('./promptos-bridge/llm-adapter.js');
+const { AnthropicProvider, OpenAICompatibleProvider, createProvider } = await import('./promptos-bridge/providers/index.js');
+const { createProgressReporter } = await import('./cli/run-task.js');
+
+// Fake Anthropic client: streams `chunks` as text deltas, `gapMs` apart;
+// from chunk `stallAt` on it sends nothing until the request is aborted.
+const fakeStreamClient = (chunks, { gapMs = 0, stallAt = Infinity } = {}) => ({
+  messages: {
+    create: async (params, { signal }) => {
+      assert(params.stream === true, 'adapter should request a stream');
+      const events = [
+        { type: 'message_start', message: { usage: { input_tokens: 120, output_tokens: 1 } } },
+        ...chunks.map(text => ({ type: 'content_block_delta', delta: { type: 'text_delta', text } })),
+        { type: 'message_delta', usage: { output_tokens: 42 } },
+        { type: 'message_stop' },
+      ];
+      return (async function* () {
+        for (let i = 0; i < events.length; i++) {
+          if (i > stallAt) {
+            await new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('Request was aborted.'))));
+          }
+          await new Promise(r => setTimeout(r, gapMs));
+          yield events[i];
+        }
+      })();
+    },
+  },
+});
+
+await testAsync('LLMAdapter: a slow but steady stream completes past the idle timeout and reports progress', async () => {
+  const adapter = new LLMAdapter({ idleTimeoutMs: 60 });
+  adapter.setProvider('anthropic', new AnthropicProvider({ client: fakeStreamClient(['{"summ', 'ary": "ok",', ' "items"', ': [1, 2]', '}'], { gapMs: 25 }) }));
+  const progress = [];
+  const started = Date.now();
+  const result = await adapter.call('prompt', null, null, { onProgress: p => progress.push(p) });
+
+  assert(Date.now() - started > 60, 'the whole response should take longer than the idle timeout');
+  assertEqual(JSON.stringify(result.content), JSON.stringify({ summary: 'ok', items: [1, 2] }));
+  assertEqual(result.isMock, false);
+  assertEqual(result.inputTokens, 120);
+  assertEqual(result.outputTokens, 42);
+  assertEqual(progress.filter(p => !p.done).length, 5, 'one progress update per text delta');
+  assert(progress.at(-1).done && progress.at(-1).outputTokens === 42, 'final update carries the real output tokens');
+});
+
+await testAsync('LLMAdapter: a stalled stream is aborted after the idle timeout', async () => {
+  const adapter = new LLMAdapter({ idleTimeoutMs: 50 });
+  let error = null;
+  try {
+    const stalled = new AnthropicProvider({ client: fakeStreamClient(['{"a":', ' 1}'], { gapMs: 10, stallAt: 1 }) });
+    await adapter._stream(stalled, { model: 'm', system: '', prompt: 'p', maxTokens: 10 });
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.message.includes('idle for 50ms'), `expected an idle timeout, got: ${error?.message}`);
+});
+
+await testAsync('bridge/CLI: progress is tagged per call and drawn on one status line', async () => {
+  const streamBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  assertEqual(streamBridge.llm.idleTimeoutMs, yaml.load(fs.readFileSync(CONFIG_PATH, 'utf8')).llm.idle_timeout_seconds * 1000);
+  streamBridge.llm.setProvider('anthropic', new AnthropicProvider({ client: fakeStreamClient([
+    '{"acceptance_criteria": ["x"], "out_of_scope": [], ',
+    '"constraints": [], "done_definition": "x", "risk_flags": []}',
+  ]) }));
+
+  const writes = [];
+  const reporter = createProgressReporter({ isTTY: true, columns: 200, write: text => writes.push(text) });
+  const seen = [];
+  await streamBridge.execute('ship.scope_task', { objective: 'Add caching', repo_context: '', constraints: '' }, {
+    onProgress: p => { seen.push(p); reporter({ phase: 'scope', ...p }); },
+  });
+
+  assert(seen.every(p => p.promptId === 'ship.scope_task' && p.callId === seen[0].callId), 'updates carry promptId and one callId');
+  assert(writes[0].includes('scope ship.scope_task') && writes[0].includes('tok'), `status line: ${writes[0]}`);
+  assertEqual(writes.at(-1), '\r\x1b[K', 'the line is cleared when the call finishes');
+  assertEqual(createProgressReporter({ isTTY: false }), null, 'no status line when not a terminal');
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 26: LLM Providers
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 26: LLM Providers ===');
+
+const http = await import('http');
+
+test('LLMAdapter: models route to providers by prefix or config', () => {
+  const adapter = new LLMAdapter({
+    providers: { local: { type: 'openai', base_url: 'http://localhost:1/v1', models: ['local/', 'gpt-4o-local'] } },
+  });
+  assertEqual(adapter.resolveProvider('claude-sonnet-4-6'), 'anthropic');
+  assertEqual(adapter.resolveProvider('gpt-4o'), 'openai');
+  assertEqual(adapter.resolveProvider('gpt-4o-local-q4'), 'local', 'longest prefix wins');
+  assertEqual(adapter.resolveProvider('local/llama-3.1-8b'), 'local');
+  assertEqual(new LLMAdapter({ provider: 'mock' }).resolveProvider('claude-sonnet-4-6'), 'mock', 'llm.provider forces one provider');
+
+  let error = null;
+  try { adapter.resolveProvider('mistral-large'); } catch (err) { error = err; }
+  assert(error?.message.includes('no provider for model "mistral-large"'), error?.message);
+  error = null;
+  try { createProvider('bad', { type: 'grpc' }); } catch (err) { error = err; }
+  assert(error?.message.includes('unknown type "grpc"'), error?.message);
+});
+
+await testAsync('LLMAdapter: providers without credentials answer with the mock', async () => {
+  const saved = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  try {
+    const adapter = new LLMAdapter();
+    assertEqual(adapter.getProvider('openai').isAvailable(), false);
+    const result = await adapter.call('Scope this task and list acceptance criteria', 'gpt-4o');
+    assertEqual(result.provider, 'mock');
+    assertEqual(result.isMock, true);
+    assert(Array.isArray(result.content.acceptance_criteria), 'mock content should be returned');
+  } finally {
+    if (saved !== undefined) process.env.OPENAI_API_KEY = saved;
+  }
+});
+
+await testAsync('OpenAICompatibleProvider: streams a local server\'s chat completion', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+      if (JSON.parse(body).model === 'local/missing') {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end('{"error":"model not found"}');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      const send = data => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+      send({ choices: [{ delta: { role: 'assistant' } }] });
+      send({ choices: [{ delta: { content: '{"answer": ' } }] });
+      send({ choices: [{ delta: { content: '42}' } }] });
+      send({ choices: [], usage: { prompt_tokens: 31, completion_tokens: 5 } });
+      send('[DONE]');
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  try {
+    const adapter = new LLMAdapter({ providers: { local: { type: 'openai', base_url: baseUrl, models: ['local/'] } } });
+    const progress = [];
+    const result = await adapter.call('What is the answer?', 'local/llama-3.1-8b', null, { onProgress: p => progress.push(p) });
+    assertEqual(JSON.stringify(result.content), '{"answer":42}');
+    assertEqual(result.provider, 'local');
+    assertEqual(result.isMock, false);
+    assertEqual(result.inputTokens, 31);
+    assertEqual(result.outputTokens, 5);
+    assertEqual(progress.filter(p => !p.done).length, 2);
+    assertEqual(requests[0].url, '/v1/chat/completions');
+    assertEqual(requests[0].body.stream, true);
+    assertEqual(requests[0].body.messages.at(-1).content, 'What is the answer?');
+    assertEqual(requests[0].auth, undefined, 'no key configured, no auth header');
+
+    const keyed = new OpenAICompatibleProvider({ name: 'local', baseUrl, apiKey: 'test-key' });
+    let error = null;
+    try {
+      await keyed.stream({ model: 'local/missing', system: '', prompt: 'x', maxTokens: 10 });
+    } catch (err) {
+      error = err;
+    }
+    assertEqual(requests.at(-1).auth, 'Bearer test-key');
+    assert(error?.message.includes('HTTP 404') && error.message.includes('model not found'), error?.message);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 27: Cassettes
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 27: Cassettes ===');
+
+const { Cassette } = await import('./promptos-bridge/cassette.js');
+const CASSETTE_PATH = '/tmp/zeroclaw-qa-cassette/run.json';
+
+// Provider that answers with a numbered reply, or fails if it's called at all
+const countingProvider = () => {
+  let calls = 0;
+  return {
+    name: 'anthropic', type: 'anthropic', isAvailable: () => true,
+    stream: async () => ({ text: `{"reply": ${++calls}}`, inputTokens: 10 + calls, outputTokens: 3 }),
+    get calls() { return calls; },
+  };
+};
+const unreachableProvider = {
+  name: 'anthropic', type: 'anthropic', isAvailable: () => true,
+  stream: async () => { throw new Error('replay must not call the provider'); },
+};
+
+await testAsync('Cassette: record then replay serves identical responses in order, offline', async () => {
+  fs.rmSync(path.dirname(CASSETTE_PATH), { recursive: true, force: true });
+  const recorder = new LLMAdapter({ cassette: { mode: 'record', path: CASSETTE_PATH } });
+  const provider = countingProvider();
+  recorder.setProvider('anthropic', provider);
+  const recorded = [await recorder.call('prompt A'), await recorder.call('prompt B'), await recorder.call('prompt A')];
+  assertEqual(provider.calls, 3);
+
+  const player = new LLMAdapter({ cassette: { mode: 'replay', path: CASSETTE_PATH } });
+  player.setProvider('anthropic', unreachableProvider);
+  const replayed = [await player.call('prompt A'), await player.call('prompt B'), await player.call('prompt A')];
+  assertEqual(JSON.stringify(replayed.map(r => r.content)), JSON.stringify(recorded.map(r => r.content)),
+    'a repeated prompt should get its responses in recorded order');
+  assertEqual(replayed[1].inputTokens, recorded[1].inputTokens);
+  assertEqual(replayed[1].provider, 'anthropic');
+
+  const file = JSON.parse(fs.readFileSync(CASSETTE_PATH, 'utf8'));
+  assertEqual(file.interactions[Cassette.key('prompt A')].length, 2);
+});
+
+await testAsync('Cassette: an unrecorded prompt fails the bridge call instead of falling back to the mock', async () => {
+  const replayBridge = new PromptOSBridge(PROMPTOS_PATH, {
+    configPath: CONFIG_PATH, analyticsDir: COST_DIR, cassette: { mode: 'replay', path: CASSETTE_PATH },
+  });
+  let error = null;
+  try {
+    await replayBridge.execute('ship.scope_task', { objective: 'Never recorded', repo_context: '', constraints: '' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.message.includes('Cassette: no recorded response for prompt'), `expected a cassette miss, got: ${error?.message}`);
+
+  const player = new LLMAdapter({ cassette: { mode: 'replay', path: CASSETTE_PATH } });
+  await player.call('prompt B');
+  error = null;
+  try { await player.call('prompt B'); } catch (err) { error = err; }
+  assert(error?.message.includes('recorded 1 time(s) but is being sent again'), error?.message);
+
+  error = null;
+  try { new Cassette('/tmp/zeroclaw-qa-cassette/missing.json', 'replay'); } catch (err) { error = err; }
+  assert(error?.message.includes('not found'), error?.message);
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+await testAsync('Cassette: masked run-specific values keep keys stable across runs', async () => {
+  const recorder = new LLMAdapter({ cassette: { mode: 'record', path: CASSETTE_PATH } });
+  recorder.setProvider('anthropic', countingProvider());
+  recorder.cassette.mask('/tmp/wt/app-1a2b3c4d', '<worktree>');
+  recorder.cassette.mask('shipmachine/fix-1a2b3c4d', '<branch>');
+  await recorder.call('Survey /tmp/wt/app-1a2b3c4d on branch shipmachine/fix-1a2b3c4d');
+
+  const player = new LLMAdapter({ cassette: { mode: 'replay', path: CASSETTE_PATH } });
+  player.setProvider('anthropic', unreachableProvider);
+  player.cassette.mask('/tmp/wt/app-9f8e7d6c', '<worktree>');
+  player.cassette.mask('shipmachine/fix-9f8e7d6c', '<branch>');
+  const result = await player.call('Survey /tmp/wt/app-9f8e7d6c on branch shipmachine/fix-9f8e7d6c');
+  assertEqual(result.content.reply, 1);
+
+  const file = JSON.parse(fs.readFileSync(CASSETTE_PATH, 'utf8'));
+  assert(Object.values(file.interactions).some(([entry]) => entry.prompt_preview === 'Survey <worktree> on branch <branch>'),
+    'recorded prompts should be stored masked');
+  fs.rmSync(path.dirname(CASSETTE_PATH), { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 28: Provider Errors
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 28: Provider Errors ===');
+
+const { LLMError, classifyError } = await import('./promptos-bridge/llm-errors.js');
+
+// Provider that throws the scripted errors in turn, then answers
+const scriptedProvider = (failures) => {
+  const provider = {
+    name: 'anthropic', type: 'anthropic', calls: 0, isAvailable: () => true,
+    stream: async () => {
+      const failure = failures[provider.calls++];
+      if (failure) throw failure;
+      return { text: '{"ok": true}', inputTokens: 5, outputTokens: 2 };
+    },
+  };
+  return provider;
+};
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+test('classifyError: provider failures get a kind and transient flag', () => {
+  const kinds = [
+    [httpError(429, { 'retry-after': '7' }), 'rate_limit', true],
+    [httpError(529), 'overloaded', true],
+    [httpError(401), 'auth', false],
+    [httpError(400), 'invalid_request', false],
+    [httpError(503), 'server', true],
+    [Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }), 'network', true],
+    [new Error('something odd'), 'unknown', false],
+  ];
+  for (const [err, kind, transient] of kinds) {
+    const classified = classifyError(err, 'anthropic');
+    assert(classified instanceof LLMError, 'should return an LLMError');
+    assertEqual(classified.kind, kind, err.message);
+    assertEqual(classified.transient, transient, `${kind} transient`);
+  }
+  const limited = classifyError(httpError(429, { 'retry-after': '7' }), 'anthropic');
+  assertEqual(limited.retryAfterMs, 7000);
+  assert(limited.message.startsWith('LLMAdapter: anthropic rate_limit (HTTP 429)'), limited.message);
+});
+
+await testAsync('LLMAdapter: transient errors are retried, others fail at once — never with mock output', async () => {
+  const adapter = new LLMAdapter({ retry: { baseDelayMs: 1 } });
+  const flaky = scriptedProvider([httpError(529), httpError(429)]);
+  adapter.setProvider('anthropic', flaky);
+  const result = await adapter.call('prompt');
+  assertEqual(flaky.calls, 3);
+  assertEqual(result.isMock, false);
+  assertEqual(result.content.ok, true);
+
+  const rejected = scriptedProvider([httpError(401)]);
+  adapter.setProvider('anthropic', rejected);
+  let error = null;
+  try { await adapter.call('prompt'); } catch (err) { error = err; }
+  assertEqual(error?.kind, 'auth');
+  assertEqual(rejected.calls, 1, 'auth errors are not retried');
+
+  const bridgeWithErrors = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  bridgeWithErrors.llm.setProvider('anthropic', scriptedProvider([httpError(400)]));
+  error = null;
+  try {
+    await bridgeWithErrors.execute('ship.scope_task', { objective: 'x', repo_context: '', constraints: '' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.message.includes('invalid_request (HTTP 400)'), `bridge should fail hard, got: ${error?.message}`);
+  assertEqual(error.cause?.kind, 'invalid_request');
+
+  const strict = new LLMAdapter({ mockWithoutCredentials: false });
+  strict.setProvider('anthropic', { ...scriptedProvider([]), isAvailable: () => false });
+  error = null;
+  try { await strict.call('prompt'); } catch (err) { error = err; }
+  assert(error?.kind === 'auth' && error.message.includes('mock_without_credentials'), error?.message);
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+await testAsync('LLMAdapter: circuit breaker cuts off a failing provider, then lets a trial call through', async () => {
+  let clock = 1000;
+  const adapter = new LLMAdapter({ retry: { baseDelayMs: 1 }, circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 } });
+  const down = scriptedProvider([httpError(503), httpError(503), httpError(503)]);
+  adapter.setProvider('anthropic', down);
+  adapter.getBreaker('anthropic').now = () => clock;
+
+  let error = null;
+  try { await adapter.call('prompt'); } catch (err) { error = err; }
+  assert(error?.kind === 'server' && error.message.includes('gave up after 2 attempts'), error?.message);
+  assertEqual(adapter.getBreaker('anthropic').state, 'open');
+
+  error = null;
+  try { await adapter.call('prompt'); } catch (err) { error = err; }
+  assertEqual(error?.kind, 'circuit_open');
+  assertEqual(down.calls, 2, 'an open circuit should not call the provider');
+
+  clock += 60000;
+  down.calls = 3; // past the scripted failures: the trial call succeeds
+  const result = await adapter.call('prompt');
+  assertEqual(result.content.ok, true);
+  assertEqual(adapter.getBreaker('anthropic').state, 'closed');
+});
+
+await testAsync('LLMAdapter: a half-open trial call that fails with a 400 closes the circuit', async () => {
+  let clock = 1000;
+  const adapter = new LLMAdapter({ retry: { baseDelayMs: 1 }, circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 } });
+  const provider = scriptedProvider([httpError(503), httpError(503), httpError(400)]);
+  adapter.setProvider('anthropic', provider);
+  adapter.getBreaker('anthropic').now = () => clock;
+
+  try { await adapter.call('prompt'); } catch { /* opens the circuit */ }
+  assertEqual(adapter.getBreaker('anthropic').state, 'open');
+
+  clock += 60000;
+  let error = null;
+  try { await adapter.call('prompt'); } catch (err) { error = err; }
+  assertEqual(error?.kind, 'invalid_request', 'the trial call reaches the provider');
+  assertEqual(adapter.getBreaker('anthropic').state, 'closed', 'the breaker should not stay half-open');
+
+  const result = await adapter.call('prompt');
+  assertEqual(result.content.ok, true);
+  assertEqual(provider.calls, 4);
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 29: Output Repair
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 29: Output Repair ===');
+
+const { validateSchema } = await import('./promptos-bridge/schema-validator.js');
+
+// Provider that answers with each of the given outputs in turn, recording the prompts
+const answeringProvider = (outputs) => {
+  const provider = {
+    name: 'anthropic', type: 'anthropic', prompts: [], isAvailable: () => true,
+    stream: async (request) => {
+      provider.prompts.push(request.prompt);
+      const output = outputs[Math.min(provider.prompts.length, outputs.length) - 1];
+      return { text: typeof output === 'string' ? output : JSON.stringify(output), inputTokens: 100, outputTokens: 20 };
+    },
+  };
+  return provider;
+};
+const securityInputs = { diff: '+ const x = 1;', file_paths: '["src/x.js"]' };
+
+test('validateSchema: reports nested types, enums and required properties by path', () => {
+  const schema = {
+    type: 'object',
+    required: ['risk_level', 'issues'],
+    properties: {
+      risk_level: { type: 'string', enum: ['low', 'high'] },
+      issues: { type: 'array', items: { type: 'object', required: ['file'], properties: { line: { type: 'integer' } } } },
+    },
+  };
+  assertEqual(validateSchema({ risk_level: 'low', issues: [{ file: 'a.js', line: 3 }] }, schema).length, 0);
+  const errors = validateSchema({ risk_level: 'severe', issues: [{ line: 'three' }] }, schema);
+  assert(errors.includes('$.risk_level: must be one of "low", "high", got "severe"'), errors.join('\n'));
+  assert(errors.includes('$.issues[0]: missing required property "file"'), errors.join('\n'));
+  assert(errors.includes('$.issues[0].line: expected integer, got string'), errors.join('\n'));
+  assertEqual(validateSchema('x', schema)[0], '$: expected object, got string');
+});
+
+await testAsync('Bridge: invalid output is sent back with its errors and repaired', async () => {
+  const repairBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  const provider = answeringProvider([
+    'not json at all',
+    { risk_level: 'severe', issues: [], safe_to_proceed: true },
+    { risk_level: 'low', issues: [], safe_to_proceed: true },
+  ]);
+  repairBridge.llm.setProvider('anthropic', provider);
+  const result = await repairBridge.execute('ship.security_check', securityInputs);
+  assertEqual(result.output.risk_level, 'low');
+  assertEqual(result.repairAttempts, 2);
+  assertEqual(provider.prompts.length, 3);
+  assert(provider.prompts[1].includes('## Your previous response\nnot json at all'), 'repair prompt should quote the raw response');
+  assert(provider.prompts[2].includes('$.risk_level: must be one of'), 'repair prompt should list the errors');
+  assertEqual(result.usage.inputTokens, 300, 'usage should cover every call');
+
+  const [event] = new Analytics(COST_DIR)._loadAll().slice(-1);
+  assertEqual(event.passed, true);
+  assertEqual(event.repair_attempts, 2);
+  assertEqual(new Analytics(COST_DIR).getStats().repairedCalls, 1);
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+await testAsync('Bridge: output still invalid after max_repair_attempts fails the step', async () => {
+  const repairBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  repairBridge.maxRepairAttempts = 1;
+  const provider = answeringProvider([{ risk_level: 'low', issues: 'none' }]);
+  repairBridge.llm.setProvider('anthropic', provider);
+  let error = null;
+  try { await repairBridge.execute('ship.security_check', securityInputs); } catch (err) { error = err; }
+  assert(error?.message.includes('failed schema validation after 1 repair attempt(s)'), error?.message);
+  assert(error.message.includes('missing required property "safe_to_proceed"'), error.message);
+  assertEqual(provider.prompts.length, 2);
+
+  const [event] = new Analytics(COST_DIR)._loadAll().slice(-1);
+  assertEqual(event.passed, false);
+  assertEqual(event.repair_attempts, 1);
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 30: Input Validation
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 30: Input Validation ===');
+
+const { checkInputs } = await import('./promptos-bridge/input-validator.js');
+
+test('checkInputs: required, type and max_length checks, with coercion', () => {
+  const declared = [
+    { name: 'objective', type: 'string', required: true, max_length: 10 },
+    { name: 'files', type: 'string', required: true },
+    { name: 'limit', type: 'number', required: false },
+    { name: 'strict', type: 'boolean', required: false },
+    { name: 'notes', type: 'string', required: false },
+  ];
+  const ok = checkInputs({ objective: 'Add cache', files: ['a.js'], limit: '3', strict: 'false', notes: null, extra: 1 }, declared);
+  assertEqual(ok.errors.length, 0, ok.errors.join('; '));
+  assertEqual(ok.inputs.files, '[\n  "a.js"\n]', 'arrays become the JSON the template would render');
+  assertEqual(ok.inputs.limit, 3);
+  assertEqual(ok.inputs.strict, false);
+  assert(!('notes' in ok.inputs), 'null counts as not provided');
+  assertEqual(ok.inputs.extra, 1, 'undeclared inputs pass through');
+
+  const bad = checkInputs({ objective: 'Add a cache layer', limit: 'lots' }, declared);
+  assert(bad.errors.includes('inputs: missing required property "files"'), bad.errors.join('; '));
+  assert(bad.errors.includes('inputs.objective: must be at most 10 characters'), bad.errors.join('; '));
+  assert(bad.errors.includes('inputs.limit: expected number, got string'), bad.errors.join('; '));
+});
+
+await testAsync('Bridge: invalid inputs are rejected before any LLM call', async () => {
+  const inputBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  const provider = answeringProvider([{ risk_level: 'low', issues: [], safe_to_proceed: true }]);
+  inputBridge.llm.setProvider('anthropic', provider);
+  let error = null;
+  try { await inputBridge.execute('ship.security_check', { diff: '+ x' }); } catch (err) { error = err; }
+  assertEqual(error?.message, 'PromptOS: invalid inputs for "ship.security_check": inputs: missing required property "file_paths"');
+  assertEqual(provider.prompts.length, 0, 'the model should not be called');
+
+  await inputBridge.execute('ship.security_check', { diff: '+ x', file_paths: ['src/x.js'] });
+  assert(provider.prompts[0].includes('"src/x.js"') && !provider.prompts[0].includes('not provided'), 'coerced input should be rendered');
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+await testAsync('Bridge: invalid inputs are audited as denied before any approval is requested', async () => {
+  const auditDir = fs.mkdtempSync('/tmp/zeroclaw-qa-audit-');
+  const inputBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  inputBridge.policy.governance.auditLog = new AuditLog(path.join(auditDir, 'audit.jsonl'), { fields: ['event', 'decision', 'policy_violations'] });
+  inputBridge.policy.governance.approvalRules = [{ prompt_id: 'ship.security_check', condition: 'always', reason: 'qa gate' }];
+  const asked = [];
+  inputBridge.setApprovalManager(new ApprovalManager({
+    name: 'qa',
+    decide: async (request) => { asked.push(request); return { decision: 'approved', decidedBy: 'qa' }; },
+  }));
+
+  let error = null;
+  try { await inputBridge.execute('ship.security_check', { diff: '+ x' }); } catch (err) { error = err; }
+  assert(error?.message.startsWith('PromptOS: invalid inputs'), error?.message);
+  assertEqual(asked.length, 0, 'nobody should be asked to approve an invalid call');
+  const entries = fs.readFileSync(path.join(auditDir, 'audit.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assertEqual(entries.map(e => `${e.event}:${e.decision}`).join(' '), 'prompt:denied');
+  assert(entries[0].policy_violations[0].startsWith('invalid inputs for "ship.security_check"'), JSON.stringify(entries[0]));
+  fs.rmSync(auditDir, { recursive: true, force: true });
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+test('Registry: undeclared template placeholders are reported at load', () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const packDir = path.join(packsDir, 'broken-pack');
+  fs.mkdirSync(path.join(packDir, 'prompts'), { recursive: true });
+  fs.writeFileSync(path.join(packDir, 'pack.yaml'), yaml.dump({ name: 'broken-pack', prompts: [{ id: 'x.greet', file: 'prompts/greet.yaml' }] }));
+  fs.writeFileSync(path.join(packDir, 'prompts', 'greet.yaml'), yaml.dump({
+    id: 'x.greet',
+    inputs: [{ name: 'name', type: 'string', required: true }],
+    prompt: 'Greet {{name}} in {{language}}, {{tone}}ly.',
+  }));
+  try {
+    const packBridge = new PromptOSBridge(packsDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+    assertEqual(packBridge.listPrompts().join(), 'x.greet', 'the spec is still registered');
+    assertEqual(packBridge.registryIssues.length, 1);
+    assertEqual(packBridge.registryIssues[0].message, 'template uses undeclared input(s): {{language}}, {{tone}}');
+    assertEqual(bridge.registryIssues.length, 0, 'core pack templates should only use declared inputs');
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 31: Templates
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 31: Templates ===');
+
+const { Template } = await import('./promptos-bridge/template.js');
+
+test('Template: paths, conditionals, loops and fences render without stray lines', () => {
+  const template = new Template([
+    '# {{task.title}}',
+    '{{#if task.files}}',
+    'Files:',
+    '{{#each task.files}}',
+    '{{@index}}. {{this.path}} for {{owner}}{{#if @last}} (last){{/if}}',
+    '{{/each}}',
+    '{{else}}',
+    'No files.',
+    '{{/if}}',
+    '{{#unless task.urgent}}Not urgent.{{/unless}} {{! ignored }}',
+    '{{fence task.notes md}}',
+    '\\{{literal}} {{task.missing}}',
+  ].join('\n'));
+  const rendered = template.render({
+    owner: 'dana',
+    task: { title: 'Cache', files: [{ path: 'a.js' }, { path: 'b.js' }], notes: 'see ```code```' },
+  });
+  assertEqual(rendered, [
+    '# Cache',
+    'Files:',
+    '0. a.js for dana',
+    '1. b.js for dana (last)',
+    'Not urgent. ',
+    '````md',
+    'see ```code```',
+    '````',
+    '{{literal}} [task.missing: not provided]',
+  ].join('\n'));
+  assert(template.render({ task: { title: 'x', files: [] } }).includes('No files.'), 'empty lists take the else branch');
+});
+
+test('Template: syntax errors throw at compile time; check() compares paths with declared inputs', () => {
+  const errors = [
+    ['{{#if a}}\n{{#each b}}\n{{/if}}', 'line 3: {{/if}} closes {{#each}} opened on line 2'],
+    ['{{#if a}}', '{{#if}} opened on line 1 is never closed'],
+    ['{{> missing}}', 'unknown partial "missing"'],
+    ['{{#with a}}{{/with}}', 'unknown block {{#with a}}'],
+  ];
+  for (const [source, message] of errors) {
+    let error = null;
+    try { new Template(source, { name: 'x.test' }); } catch (err) { error = err; }
+    assert(error?.message.startsWith('Template: x.test') && error.message.includes(message), error?.message);
+  }
+
+  const template = new Template('{{objective.title}} {{#each objective}}{{.}}{{/each}} {{#each survey.modules}}{{path}}{{/each}} {{@root.extra}}');
+  assertEqual(template.check([{ name: 'objective', type: 'string' }, { name: 'survey', type: 'object' }]).join('\n'), [
+    'template uses undeclared input(s): {{extra}}',
+    '{{objective.title}}: "objective" is a string input and has no fields',
+    '{{#each objective}}: "objective" is a string input, not a list',
+  ].join('\n'));
+});
+
+await testAsync('Bridge: ship.plan renders scope and survey objects, with the pack\'s code-map partial', async () => {
+  const templateBridge = new PromptOSBridge(PROMPTOS_PATH, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+  const provider = answeringProvider([{ steps: [], estimated_complexity: 'low', warnings: [] }]);
+  templateBridge.llm.setProvider('anthropic', provider);
+  const inputs = {
+    objective: 'Add caching',
+    scope_output: { acceptance_criteria: ['Responses are cached', 'Cache expires'], constraints: [], done_definition: 'Tests pass', risk_flags: [] },
+    repo_survey_output: { entrypoints: ['src/index.js'], build_command: 'unknown', test_command: 'npm test', lint_command: 'npm run lint', key_modules: [{ path: 'src/api/', purpose: 'API layer' }], tech_stack: ['Node.js'] },
+  };
+  await templateBridge.execute('ship.plan', inputs);
+  const prompt = provider.prompts[0];
+  assert(prompt.includes('Acceptance criteria:\n- Responses are cached\n- Cache expires\nDone when: Tests pass'), prompt.slice(0, 600));
+  assert(prompt.includes('- `src/api/` — API layer'), 'key modules should be listed');
+  assert(!prompt.includes('## Code Map') && !prompt.includes('not provided'), 'optional code map section should be left out');
+
+  await templateBridge.execute('ship.plan', { ...inputs, code_map: 'src/index.js\n  + main' });
+  assert(provider.prompts[1].includes('## Code Map\nFiles ranked'), 'partial should render when code_map is set');
+  assertEqual(templateBridge.registryIssues.length, 0);
+  fs.rmSync(COST_DIR, { recursive: true, force: true });
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 32: Pack Versions
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 32: Pack Versions ===');
+
+const { satisfies, maxSatisfying } = await import('./promptos-bridge/semver.js');
+
+// Write a pack directory with one ship.greet prompt at the given version
+const writePack = (packsDir, dirName, pack, promptVersion) => {
+  const packDir = path.join(packsDir, dirName);
+  fs.mkdirSync(path.join(packDir, 'prompts'), { recursive: true });
+  fs.writeFileSync(path.join(packDir, 'pack.yaml'), yaml.dump({ ...pack, prompts: [{ id: 'ship.greet', file: 'prompts/greet.yaml' }] }));
+  fs.writeFileSync(path.join(packDir, 'prompts', 'greet.yaml'), yaml.dump({
+    id: 'ship.greet',
+    version: promptVersion,
+    inputs: [{ name: 'name', type: 'string', required: true }],
+    prompt: `Greet {{name}} (v${promptVersion}).`,
+  }));
+};
+
+test('semver: ranges, wildcards and prereleases', () => {
+  const cases = [
+    ['1.4.2', '1.x', true], ['2.0.0', '1.x', false], ['1.2.9', '~1.2.0', true], ['1.3.0', '~1.2.0', false],
+    ['1.9.0', '^1.2.0', true], ['0.3.0', '^0.2.0', false], ['1.5.0', '>=1.2.0 <2.0.0', true], ['2.1.0', '1.x || 2.x', true],
+    ['1.2.3', '1.2.3', true], ['1.0.0-beta.1', '1.x', false], ['1.0.0-beta.1', '1.0.0-beta.1', true],
+  ];
+  for (const [version, range, expected] of cases) {
+    assertEqual(satisfies(version, range), expected, `${version} in ${range}`);
+  }
+  assertEqual(maxSatisfying(['1.0.0', '1.10.0', '1.9.0', '2.0.0'], '^1.0.0'), '1.10.0');
+});
+
+test('Registry: multiple versions, conflicts and pack dependencies', () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  try {
+    writePack(packsDir, 'base', { name: 'base', version: '1.0.0' }, '1.0.0');
+    writePack(packsDir, 'base-2', { name: 'base', version: '2.0.0' }, '2.0.0');
+    writePack(packsDir, 'extra', { name: 'extra', version: '1.0.0', dependencies: { base: '^1.0.0' } }, '1.0.0');
+    writePack(packsDir, 'orphan', { name: 'orphan', version: '1.0.0', dependencies: { missing: '1.x' } }, '3.0.0');
+    const packBridge = new PromptOSBridge(packsDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+
+    assertEqual(packBridge.listPromptVersions('ship.greet').join(), '2.0.0,1.0.0');
+    assertEqual(packBridge.getPromptSpec('ship.greet').version, '2.0.0');
+    assertEqual(packBridge.getPromptSpec('ship.greet@1.x')._packName, 'base');
+    assertEqual(packBridge.getPromptSpec('ship.greet@^3.0.0'), null);
+
+    const messages = packBridge.registryIssues.map(issue => `${issue.promptId || issue.pack}: ${issue.message}`);
+    assert(messages.includes('ship.greet: version 1.0.0 is provided by both base@1.0.0 and extra@1.0.0; using base'), messages.join('\n'));
+    assert(messages.includes('orphan@1.0.0: requires missing@1.x (not installed); pack not loaded'), messages.join('\n'));
+    assertEqual(packBridge.listPacks().filter(pack => !pack.enabled).map(pack => pack.name).join(), 'orphan');
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+  }
+});
+
+await testAsync('Bridge: a run\'s lock keeps it on the prompt versions it started with', async () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const provider = answeringProvider([{ greeting: 'hi' }]);
+  const versionedBridge = (lock) => {
+    const b = new PromptOSBridge(packsDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+    b.llm.setProvider('anthropic', provider);
+    if (lock) b.setLock(lock);
+    return b;
+  };
+  try {
+    writePack(packsDir, 'base', { name: 'base', version: '1.0.0' }, '1.0.0');
+    const first = versionedBridge();
+    const result = await first.execute('ship.greet@1.x', { name: 'Dana' });
+    assertEqual(result.promptVersion, '1.0.0');
+    const lock = first.getLock();
+    assertEqual(lock.prompts['ship.greet@1.x'].version, '1.0.0');
+    assertEqual(new Analytics(COST_DIR)._loadAll().slice(-1)[0].prompt_version, '1.0.0');
+
+    // a newer 1.x is installed before the run resumes
+    writePack(packsDir, 'base-11', { name: 'base', version: '1.1.0' }, '1.1.0');
+    await versionedBridge(lock).execute('ship.greet@1.x', { name: 'Dana' });
+    assert(provider.prompts[1].includes('(v1.0.0)'), 'resumed run should stay on the locked version');
+    await versionedBridge().execute('ship.greet@1.x', { name: 'Dana' });
+    assert(provider.prompts[2].includes('(v1.1.0)'), 'a new run should get the newest match');
+
+    fs.rmSync(path.join(packsDir, 'base'), { recursive: true });
+    let error = null;
+    try { await versionedBridge(lock).execute('ship.greet@1.x', { name: 'Dana' }); } catch (err) { error = err; }
+    assertEqual(error?.message, 'PromptOS: this run is locked to ship.greet@1.0.0 from base@1.0.0, which is no longer installed');
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+    fs.rmSync(COST_DIR, { recursive: true, force: true });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 33: Pack Management
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 33: Pack Management ===');
+
+const { PackManager } = await import('./promptos-bridge/pack-manager.js');
+
+// Rewrite a pack's ship.greet spec
+const editGreet = (packDir, edit) => {
+  const file = path.join(packDir, 'prompts', 'greet.yaml');
+  const spec = yaml.load(fs.readFileSync(file, 'utf8'));
+  edit(spec);
+  fs.writeFileSync(file, yaml.dump(spec));
+};
+
+test('PackManager: validate lints schemas, placeholders and examples', () => {
+  const workDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  try {
+    const core = new PackManager(PROMPTOS_PATH).validate(path.join(PROMPTOS_PATH, 'shipmachine-core'));
+    assertEqual(core.errors.length, 0, JSON.stringify(core.errors));
+
+    writePack(workDir, 'greet', { name: 'greet', version: '1.0.0' }, '1.0.0');
+    editGreet(path.join(workDir, 'greet'), spec => {
+      spec.inputs.push({ name: 'tone', type: 'string' });
+      spec.prompt += ' Sign it {{sender}}.';
+      spec.outputs = { schema: { required: ['greeting', 'mood'], properties: { greeting: { type: 'string' } } } };
+      spec.examples = [{ inputs: { name: 'Dana' }, expected_output: { greeting: 42 } }, { inputs: {} }];
+    });
+    const result = new PackManager(workDir).validate(path.join(workDir, 'greet'));
+    assertEqual(result.errors.map(e => `${e.promptId}: ${e.message}`).join('\n'), [
+      'ship.greet: outputs.schema.required: "mood" is not in properties',
+      'ship.greet: template uses undeclared input(s): {{sender}}',
+      'ship.greet: examples[0].expected_output: missing required property "mood"',
+      'ship.greet: examples[0].expected_output.greeting: expected string, got number',
+      'ship.greet: examples[1].inputs: missing required property "name"',
+    ].join('\n'));
+    assertEqual(result.warnings.map(w => w.message).join(), 'inputs.tone: declared but not used in the template');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('PackManager: an invalid schema pattern is a spec error, reported when the pack loads', () => {
+  const workDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  try {
+    writePack(workDir, 'greet', { name: 'greet', version: '1.0.0' }, '1.0.0');
+    editGreet(path.join(workDir, 'greet'), spec => {
+      spec.outputs = { schema: { properties: { greeting: { type: 'string', pattern: '(unclosed' } } } };
+      spec.examples = [{ inputs: { name: 'Dana' }, expected_output: { greeting: 'Hi Dana' } }];
+    });
+    const result = new PackManager(workDir).validate(path.join(workDir, 'greet'));
+    assertEqual(result.errors.length, 1, JSON.stringify(result.errors));
+    assert(result.errors[0].message.startsWith('outputs.schema.properties.greeting.pattern: Invalid regular expression'), result.errors[0].message);
+
+    const packBridge = new PromptOSBridge(workDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+    assertEqual(packBridge.listPrompts().includes('ship.greet'), false, 'the spec should not load');
+    assert(packBridge.registryIssues.some(issue => issue.promptId === 'ship.greet' && issue.message.includes('.pattern: Invalid regular expression')),
+      JSON.stringify(packBridge.registryIssues));
+    assertEqual(validateSchema('x', { type: 'string', pattern: '(unclosed' }).length, 0, 'validation should not throw on a bad pattern');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('PackManager: install from a directory or tarball, refusing duplicates and invalid packs', () => {
+  const workDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const packsDir = path.join(workDir, 'packs');
+  try {
+    const manager = new PackManager(packsDir);
+    writePack(workDir, 'greet', { name: 'greet', version: '1.0.0' }, '1.0.0');
+    writePack(workDir, 'greet-1.1', { name: 'greet', version: '1.1.0' }, '1.1.0');
+    spawnSync('tar', ['-czf', path.join(workDir, 'greet-1.1.tgz'), '-C', workDir, 'greet-1.1']);
+
+    assertEqual(manager.install(path.join(workDir, 'greet')).dir, path.join(packsDir, 'greet-1.0.0'));
+    assertEqual(manager.install(path.join(workDir, 'greet-1.1.tgz')).version, '1.1.0');
+    assertEqual(manager.list().map(pack => pack.version).join(), '1.1.0,1.0.0');
+    const installedBridge = new PromptOSBridge(packsDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+    assertEqual(installedBridge.listPromptVersions('ship.greet').join(), '1.1.0,1.0.0');
+    assertEqual(installedBridge.registryIssues.length, 0, JSON.stringify(installedBridge.registryIssues));
+
+    let error = null;
+    try { manager.install(path.join(workDir, 'greet')); } catch (err) { error = err; }
+    assert(error?.message.includes('greet@1.0.0 is already installed'), error?.message);
+    assertEqual(manager.install(path.join(workDir, 'greet'), { force: true }).replaced, true);
+
+    writePack(workDir, 'broken', { name: 'broken', version: '1.0.0', dependencies: { greet: '^1.0.0' } }, '1.0.0');
+    editGreet(path.join(workDir, 'broken'), spec => { spec.prompt = 'Greet {{#if name}}{{name}}'; });
+    error = null;
+    try { manager.install(path.join(workDir, 'broken')); } catch (err) { error = err; }
+    assert(error?.message.startsWith('PackManager: broken@1.0.0 failed validation (1 error(s))'), error?.message);
+    assert(!fs.existsSync(path.join(packsDir, 'broken-1.0.0')), 'an invalid pack should not be installed');
+
+    writePack(workDir, 'needy', { name: 'needy', version: '1.0.0', dependencies: { greet: '2.x' } }, '1.0.0');
+    error = null;
+    try { manager.install(path.join(workDir, 'needy')); } catch (err) { error = err; }
+    assertEqual(error?.message, 'PackManager: needy@1.0.0 requires greet@2.x, which is not installed');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('PackManager: a pack needs a safe name and a semver version, even with force', () => {
+  const workDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const packsDir = path.join(workDir, 'store', 'packs');
+  try {
+    const manager = new PackManager(packsDir);
+    writePack(workDir, 'escape', { name: '../../escaped', version: '1.0.0' }, '1.0.0');
+    writePack(workDir, 'nameless', { version: '1.0.0' }, '1.0.0');
+    writePack(workDir, 'unversioned', { name: 'unversioned', version: 'latest' }, '1.0.0');
+
+    assert(manager.validate(path.join(workDir, 'escape')).errors.some(e => e.message.startsWith('pack.yaml: invalid name "../../escaped"')),
+      'validate should report the name');
+    const refusals = ['escape', 'nameless', 'unversioned'].map(dir => {
+      try { manager.install(path.join(workDir, dir), { force: true }); } catch (err) { return err.message; }
+      return null;
+    });
+    assert(refusals[0]?.includes('invalid name "../../escaped"'), refusals[0]);
+    assert(refusals[1]?.includes('missing name'), refusals[1]);
+    assert(refusals[2]?.includes('invalid version "latest"'), refusals[2]);
+    assert(!fs.existsSync(path.join(workDir, 'escaped-1.0.0')), 'nothing should be written outside the packs directory');
+    assertEqual(manager.list().length, 0);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('PackManager: diff shows prompt text and schema changes', () => {
+  const workDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  try {
+    writePack(workDir, 'greet', { name: 'greet', version: '1.0.0' }, '1.0.0');
+    writePack(workDir, 'greet-2', { name: 'greet', version: '2.0.0' }, '2.0.0');
+    editGreet(path.join(workDir, 'greet-2'), spec => {
+      spec.inputs[0].required = false;
+    });
+    const result = new PackManager(workDir).diff(path.join(workDir, 'greet'), path.join(workDir, 'greet-2'));
+    const greet = result.prompts[0];
+    assertEqual(`${result.from.version} → ${result.to.version}`, '1.0.0 → 2.0.0');
+    assertEqual(`${greet.status} ${greet.fromVersion} → ${greet.toVersion}`, 'changed 1.0.0 → 2.0.0');
+    assertEqual(greet.prompt.filter(line => line[0] !== ' ').join('\n'), '- Greet {{name}} (v1.0.0).\n+ Greet {{name}} (v2.0.0).');
+    assertEqual(greet.schema.filter(line => line[0] !== ' ').join('\n'), '-     required: true\n+     required: false');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════════════
+// SECTION 34: Spec Examples
+// ════════════════════════════════════════════════════════════════════════════
+console.log('\n=== Section 34: Spec Examples ===');
+
+// ship.greet with an output schema and two examples
+const writeExamplePack = (packsDir, dirName) => {
+  writePack(packsDir, dirName, { name: 'greet', version: '1.0.0' }, '1.0.0');
+  editGreet(path.join(packsDir, dirName), spec => {
+    spec.outputs = { schema: { required: ['greeting'], properties: { greeting: { type: 'string' } } } };
+    spec.examples = [
+      { inputs: { name: 'Ada' }, expected_output: { greeting: 'Hello, Ada!' } },
+      { inputs: { name: 'Linus' }, expected_output: { greeting: 'Hi, Linus!' } },
+    ];
+  });
+};
+
+await testAsync('Bridge: fewShot sends spec examples as earlier turns', async () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const requests = [];
+  try {
+    writeExamplePack(packsDir, 'greet');
+    const exampleBridge = new PromptOSBridge(packsDir, { configPath: CONFIG_PATH, analyticsDir: COST_DIR });
+    exampleBridge.llm.setProvider('anthropic', {
+      name: 'anthropic', type: 'anthropic', isAvailable: () => true,
+      stream: async (request) => {
+        requests.push(request);
+        return { text: '{"greeting": "Hello, Dana!"}', inputTokens: 100, outputTokens: 20 };
+      },
+    });
+
+    const plain = await exampleBridge.execute('ship.greet', { name: 'Dana' });
+    assertEqual(plain.fewShotExamples, 0);
+    assertEqual(requests[0].examples, undefined);
+
+    const fewShot = await exampleBridge.execute('ship.greet', { name: 'Dana' }, { fewShot: 1 });
+    assertEqual(fewShot.fewShotExamples, 1);
+    assertEqual(requests[1].examples.length, 1);
+    assertEqual(requests[1].examples[0].prompt, 'Greet Ada (v1.0.0).');
+    assertEqual(JSON.parse(requests[1].examples[0].output).greeting, 'Hello, Ada!');
+    assertEqual(requests[1].prompt, 'Greet Dana (v1.0.0).');
+
+    // few-shot turns are part of a cassette key
+    assert(Cassette.key(requests[1].prompt) !== Cassette.key(requests[1].prompt, requests[1].examples), 'few-shot turns should change the key');
+    assertEqual(Cassette.key(requests[1].prompt, []), Cassette.key(requests[1].prompt));
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+    fs.rmSync(COST_DIR, { recursive: true, force: true });
+  }
+});
+
+await testAsync('PackManager: test runs examples as contract tests', async () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  try {
+    const core = await new PackManager(PROMPTOS_PATH).test(path.join(PROMPTOS_PATH, 'shipmachine-core'));
+    assert(core.results.length >= 12 && core.results.every(result => result.passed), JSON.stringify(core.results.filter(r => !r.passed)));
+
+    writeExamplePack(packsDir, 'greet');
+    editGreet(path.join(packsDir, 'greet'), spec => {
+      spec.outputs.schema.properties.greeting.maxLength = 10;
+      spec.examples.push({ inputs: {} });
+    });
+    const result = await new PackManager(packsDir).test(path.join(packsDir, 'greet'), { fewShot: 1 });
+    assertEqual(result.results.map(r => `${r.example}:${r.passed}`).join(), '0:false,1:true,2:false');
+    assertEqual(result.results[0].errors.join('\n'), [
+      'expected_output.greeting: must be at most 10 characters',
+      'response.greeting: must be at most 10 characters',
+    ].join('\n'));
+    assertEqual(result.results[2].errors.join(), 'inputs: missing required property "name"');
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+  }
+});
+
+await testAsync('PackManager: test against a replay cassette catches prompt and schema drift', async () => {
+  const packsDir = fs.mkdtempSync('/tmp/zeroclaw-qa-packs-');
+  const cassettePath = path.join(packsDir, 'contract.json');
+  const adapter = mode => new LLMAdapter({ provider: 'mock', cassette: { mode, path: cassettePath } });
+  try {
+    writeExamplePack(packsDir, 'greet');
+    const manager = new PackManager(path.join(packsDir, 'installed'));
+    const packDir = path.join(packsDir, 'greet');
+
+    // "record" with a provider that answers like the examples
+    const recorder = adapter('record');
+    recorder.setProvider('mock', answeringProvider([{ greeting: 'Hello, Ada!' }, { greeting: 'Hi, Linus!' }]));
+    assert((await manager.test(packDir, { llm: recorder })).results.every(r => r.passed), 'recording should pass');
+    assert((await manager.test(packDir, { llm: adapter('replay') })).results.every(r => r.passed), 'unchanged pack should replay cleanly');
+
+    editGreet(packDir, spec => {
+      spec.prompt = 'Say hello to {{name}}.';
+    });
+    const changedPrompt = await manager.test(packDir, { llm: adapter('replay') });
+    assert(changedPrompt.results.every(r => !r.passed && r.errors[0].includes('Cassette: no recorded response')), JSON.stringify(changedPrompt.results));
+
+    writeExamplePack(packsDir, 'greet');
+    editGreet(packDir, spec => {
+      spec.outputs.schema.required.push('emoji');
+      spec.outputs.schema.properties.emoji = { type: 'string' };
+      spec.examples.forEach(example => { example.expected_output.emoji = '👋'; });
+    });
+    const changedSchema = await manager.test(packDir, { llm: adapter('replay') });
+    assertEqual(changedSchema.results[0].errors.join(), 'response: missing required property "emoji"');
+  } finally {
+    fs.rmSync(packsDir, { recursive: true, force: true });
+  }
+});
+
 // ════════════════════════════════════════════════════════════════════════════
 // RESULTS
 // ════════════════════════════════════════════════════════════════════════════
+fs.rmSync(QA_ANALYTICS_DIR, { recursive: true, force: true });
 console.log('\n' + '═'.repeat(60));
 console.log(`\nFinal Results: ${passed}/${passed + failed} passed\n`);
 
@@ -4,6 +4,7 @@ import path from 'path';
 /**
  * ExecTool — policy-gated command execution.
  * Checks command allowlist and dangerous patterns before running.
+ * Every decision is written to the governance audit log.
  */
 export class ExecTool {
   constructor(policy) {
@@ -34,13 +35,22 @@ export class ExecTool {
    */
   run(cmd, cwd, opts = {}) {
     const { role = null, confirmed = false, timeout = 60000, env = {} } = opts;
-    this._assertToolAccess(role);
-
     const resolvedCwd = path.resolve(cwd || process.cwd());
+    const audit = (decision, detail = {}) => this.policy.audit({
+      event: 'exec', decision, role, target: cmd, detail: { cwd: resolvedCwd, ...detail },
+    });
+
+    try {
+      this._assertToolAccess(role);
+    } catch (err) {
+      audit('denied', { reason: err.message });
+      throw err;
+    }
 
     // Check if dangerous
     if (this.policy.isDangerous(cmd)) {
       if (this.policy.dangerousCommandsRequireHuman() && !confirmed && !this._humanConfirmed.has(cmd)) {
+        audit('requires-confirmation');
         return {
           requiresConfirmation: true,
           cmd,
@@ -52,6 +62,7 @@ export class ExecTool {
 
     // Check command allowlist
     if (!this.policy.checkCommandAllowed(cmd)) {
+      audit('denied', { reason: 'command not in allowlist' });
       throw new Error(
         `Exec: command not in allowlist: "${cmd}"\n` +
         `Hint: add it to control-plane/config.yaml allowed_commands`
@@ -80,11 +91,13 @@ export class ExecTool {
     });
 
     const durationMs = Date.now() - startTime;
+    const exitCode = result.status ?? (result.error ? 1 : 0);
+    audit('executed', { exit_code: exitCode, duration_ms: durationMs, confirmed: confirmed || this._humanConfirmed.has(cmd) });
 
     return {
       stdout: result.stdout || '',
       stderr: result.stderr || '',
-      exitCode: result.status ?? (result.error ? 1 : 0),
+      exitCode,
       durationMs,
       timedOut: result.signal === 'SIGTERM',
       error: result.error?.message || null,
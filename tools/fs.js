@@ -51,14 +51,22 @@ export class FilesystemTool {
 
   /**
    * Write content to a file. Creates parent directories if needed.
+   * Writes and denied writes are recorded in the governance audit log.
    * @param {string} filePath
    * @param {string} content
    * @param {string} [role]
    */
   write_file(filePath, content, role = null) {
     const resolved = path.resolve(filePath);
-    this._assertToolAccess(role);
-    this._assertPathAllowed(resolved);
+    const audit = (decision, detail) => this.policy.audit({ event: 'fs.write', decision, role, target: resolved, detail });
+
+    try {
+      this._assertToolAccess(role);
+      this._assertPathAllowed(resolved);
+    } catch (err) {
+      audit('denied', { reason: err.message });
+      throw err;
+    }
 
     try {
       fs.mkdirSync(path.dirname(resolved), { recursive: true });
@@ -66,6 +74,33 @@ export class FilesystemTool {
     } catch (err) {
       throw new Error(`FS.write_file: failed to write "${resolved}": ${err.message}`);
     }
+    audit('allowed', { bytes: Buffer.byteLength(content ?? '', 'utf8') });
+  }
+
+  /**
+   * Delete a file. Deletes and denied deletes are recorded in the governance
+   * audit log.
+   * @param {string} filePath
+   * @param {string} [role]
+   */
+  delete_file(filePath, role = null) {
+    const resolved = path.resolve(filePath);
+    const audit = (decision, detail) => this.policy.audit({ event: 'fs.delete', decision, role, target: resolved, detail });
+
+    try {
+      this._assertToolAccess(role);
+      this._assertPathAllowed(resolved);
+    } catch (err) {
+      audit('denied', { reason: err.message });
+      throw err;
+    }
+
+    try {
+      fs.unlinkSync(resolved);
+    } catch (err) {
+      throw new Error(`FS.delete_file: failed to delete "${resolved}": ${err.message}`);
+    }
+    audit('allowed', {});
   }
 
   /**
@@ -1,4 +1,5 @@
 import { execSync, spawnSync } from 'child_process';
+import os from 'os';
 import path from 'path';
 import fs from 'fs';
 
@@ -28,13 +29,14 @@ export class GitTool {
    * Run a git command in a repo directory.
    * @param {string} repoPath
    * @param {string[]} args - git arguments
+   * @param {Object} [env] - extra environment variables (e.g. GIT_INDEX_FILE)
    * @returns {{stdout: string, stderr: string, exitCode: number}}
    */
-  _git(repoPath, args) {
+  _git(repoPath, args, env = {}) {
     const result = spawnSync('git', args, {
       cwd: repoPath,
       encoding: 'utf8',
-      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
     });
 
     return {
@@ -87,16 +89,41 @@ export class GitTool {
    * Get unified diff of working changes.
    * @param {string} repoPath
    * @param {string} [role]
+   * @param {Object} [options]
+   *   - includeUntracked: boolean (show untracked files as added; the repo's
+   *     index is left untouched)
+   *   - exclude: string[] (untracked paths to leave out)
    * @returns {string} unified diff
    */
-  diff(repoPath, role = null) {
+  diff(repoPath, role = null, options = {}) {
     const resolved = path.resolve(repoPath);
     this._assertToolAccess(role);
     this._assertPathAllowed(resolved);
 
-    // Get diff of staged + unstaged
-    const staged = this._git(resolved, ['diff', '--cached']);
-    const unstaged = this._git(resolved, ['diff']);
+    if (!options.includeUntracked) {
+      return this._diffWith(resolved, {});
+    }
+
+    // Mark untracked files intent-to-add in a copy of the index, so they
+    // show up without touching the user's staging area
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipmachine-index-'));
+    try {
+      const index = path.resolve(resolved, this._git(resolved, ['rev-parse', '--git-path', 'index']).stdout.trim());
+      const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+      if (fs.existsSync(index)) fs.copyFileSync(index, env.GIT_INDEX_FILE);
+      this._git(resolved, ['add', '--intent-to-add', '--', ...this._pathspec(null, options.exclude)], env);
+      return this._diffWith(resolved, env);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Staged + unstaged diff, against the index GIT_INDEX_FILE names in env.
+   */
+  _diffWith(repoPath, env) {
+    const staged = this._git(repoPath, ['diff', '--cached'], env);
+    const unstaged = this._git(repoPath, ['diff'], env);
 
     return [staged.stdout, unstaged.stdout].filter(Boolean).join('\n');
   }
@@ -129,40 +156,117 @@ export class GitTool {
   }
 
   /**
-   * Stage all changes and create a commit.
+   * Stage changes and create a commit.
    * @param {string} repoPath
    * @param {string} message - commit message
    * @param {string} [role]
+   * @param {Object} [options]
+   *   - paths: string[] (commit only these paths; default: everything)
+   *   - exclude: string[] (paths never staged, e.g. symlinked node_modules)
    * @returns {{sha: string, message: string}}
    */
-  commit(repoPath, message, role = null) {
+  commit(repoPath, message, role = null, options = {}) {
     const resolved = path.resolve(repoPath);
-    this._assertToolAccess(role);
-    this._assertPathAllowed(resolved);
+    const audit = (decision, detail) => this.policy.audit({ event: 'git.commit', decision, role, target: resolved, detail });
+
+    try {
+      this._assertToolAccess(role);
+      this._assertPathAllowed(resolved);
+    } catch (err) {
+      audit('denied', { reason: err.message });
+      throw err;
+    }
 
     if (!message || message.trim().length === 0) {
       throw new Error('Git.commit: commit message cannot be empty');
     }
 
-    // Stage all
-    const addResult = this._git(resolved, ['add', '-A']);
+    const pathspec = this._pathspec(options.paths, options.exclude);
+
+    // Stage
+    const addResult = this._git(resolved, ['add', '-A', '--', ...pathspec]);
     if (addResult.exitCode !== 0) {
       throw new Error(`Git.commit: failed to stage files: ${addResult.stderr}`);
     }
 
-    // Commit
-    const commitResult = this._git(resolved, ['commit', '-m', message]);
+    // Commit — limited to the pathspec so other staged work is left alone
+    const commitArgs = options.paths ? ['commit', '-m', message, '--', ...pathspec] : ['commit', '-m', message];
+    const commitResult = this._git(resolved, commitArgs);
     if (commitResult.exitCode !== 0) {
-      throw new Error(`Git.commit: failed to commit: ${commitResult.stderr}`);
+      throw new Error(`Git.commit: failed to commit: ${commitResult.stderr || commitResult.stdout}`);
     }
 
     // Get the commit SHA
     const shaResult = this._git(resolved, ['rev-parse', 'HEAD']);
     const sha = shaResult.stdout.trim().slice(0, 8);
+    audit('allowed', { sha, subject: message.split('\n')[0], paths: options.paths || null });
 
     return { sha, message };
   }
 
+  /**
+   * Check for uncommitted changes (including untracked files).
+   * @param {string} repoPath
+   * @param {string} [role]
+   * @param {Object} [options] - {paths, exclude} as for commit()
+   * @returns {boolean}
+   */
+  hasChanges(repoPath, role = null, options = {}) {
+    const resolved = path.resolve(repoPath);
+    this._assertToolAccess(role);
+    this._assertPathAllowed(resolved);
+
+    const result = this._git(resolved, [
+      'status', '--porcelain', '--untracked-files=all', '--',
+      ...this._pathspec(options.paths, options.exclude),
+    ]);
+    if (result.exitCode !== 0) {
+      throw new Error(`Git.hasChanges: failed in ${resolved}: ${result.stderr}`);
+    }
+    return result.stdout.trim().length > 0;
+  }
+
+  /**
+   * Discard all uncommitted changes and move HEAD to a ref
+   * (git reset --hard + git clean -fd).
+   * @param {string} repoPath
+   * @param {string} ref - commit to reset to
+   * @param {string} [role]
+   * @param {Object} [options]
+   *   - exclude: string[] (untracked paths to keep)
+   * @returns {{ref: string}}
+   */
+  reset(repoPath, ref, role = null, options = {}) {
+    const resolved = path.resolve(repoPath);
+    this._assertToolAccess(role);
+    this._assertPathAllowed(resolved);
+
+    if (!ref || !/^[\w./~^-]+$/.test(ref)) {
+      throw new Error(`Git.reset: invalid ref "${ref}"`);
+    }
+
+    const resetResult = this._git(resolved, ['reset', '--hard', ref]);
+    if (resetResult.exitCode !== 0) {
+      throw new Error(`Git.reset: failed to reset to "${ref}": ${resetResult.stderr}`);
+    }
+
+    const cleanArgs = ['clean', '-fd', ...(options.exclude || []).flatMap(p => ['-e', p])];
+    const cleanResult = this._git(resolved, cleanArgs);
+    if (cleanResult.exitCode !== 0) {
+      throw new Error(`Git.reset: failed to clean untracked files: ${cleanResult.stderr}`);
+    }
+
+    return { ref };
+  }
+
+  /**
+   * Build a pathspec list from include/exclude paths.
+   */
+  _pathspec(paths, exclude = []) {
+    const include = paths && paths.length > 0 ? paths : ['.'];
+    return [...include, ...(exclude || []).map(p => `:(exclude)${p}`)];
+  }
+
   /**
    * Apply a unified diff patch to the repo.
    * @param {string} repoPath
@@ -214,18 +318,49 @@ export class GitTool {
     return result.stdout.trim();
   }
 
+  /**
+   * Get the full SHA of HEAD.
+   * @param {string} repoPath
+   * @returns {string|null} null if the repo has no commits
+   */
+  headSha(repoPath) {
+    const resolved = path.resolve(repoPath);
+    const result = this._git(resolved, ['rev-parse', 'HEAD']);
+    return result.exitCode === 0 ? result.stdout.trim() : null;
+  }
+
+  /**
+   * List tracked and untracked, non-ignored files.
+   * @param {string} repoPath
+   * @param {string} [role]
+   * @returns {string[]} repo-relative paths
+   */
+  listFiles(repoPath, role = null) {
+    const resolved = path.resolve(repoPath);
+    this._assertToolAccess(role);
+    this._assertPathAllowed(resolved);
+
+    const result = this._git(resolved, ['ls-files', '--cached', '--others', '--exclude-standard']);
+    if (result.exitCode !== 0) {
+      throw new Error(`Git.listFiles: failed in ${resolved}: ${result.stderr}`);
+    }
+    return [...new Set(result.stdout.split('\n').filter(Boolean))];
+  }
+
   /**
    * Get recent commit log.
    * @param {string} repoPath
    * @param {number} [limit=10]
+   * @param {string} [since] - only commits after this ref (since..HEAD)
    * @returns {{sha: string, message: string, date: string}[]}
    */
-  log(repoPath, limit = 10) {
+  log(repoPath, limit = 10, since = null) {
     const resolved = path.resolve(repoPath);
     const result = this._git(resolved, [
       'log',
       `--max-count=${limit}`,
       '--pretty=format:%H|%s|%ai',
+      ...(since ? [`${since}..HEAD`] : []),
     ]);
 
     return result.stdout
@@ -29,6 +29,8 @@ export class PRTool {
    *   - rollbackPlan: {steps, commands, ...}
    *   - changelog: string
    *   - objective: string
+   *   - branch: string (task branch, recorded in MANIFEST.json)
+   *   - commits: {sha, message}[] (per-step commits, recorded in MANIFEST.json)
    * @param {string} [role]
    * @returns {{bundlePath: string, files: string[]}}
    */
@@ -100,6 +102,8 @@ export class PRTool {
       files,
       riskLevel: artifacts.riskAssessment?.risk_level || 'unknown',
       goNoGo: artifacts.riskAssessment?.go_no_go || 'unknown',
+      ...(artifacts.branch ? { branch: artifacts.branch } : {}),
+      ...(artifacts.commits?.length ? { commits: artifacts.commits.map(c => ({ sha: c.sha, message: c.message })) } : {}),
     };
     fs.writeFileSync(
       path.join(bundlePath, 'MANIFEST.json'),